@@ -0,0 +1,25 @@
+/*
+LineDevs - commands/buttons/agreeRegister.cjs
+"Agree & Register" on the terms panel: runs the configured onboarding steps, or starts verification straight away
+when there are none and records consent once it has responded.
+*/
+
+const { onboardingSteps } = require('../../lib/onboarding.cjs');
+
+module.exports = {
+  customId: 'agree_register',
+
+  async execute(interaction, { guildConfig, currentTerms, recordTermsConsent, onboarding, promptOnboardingStep, startVerification }) {
+    const settings = await guildConfig.get(interaction.guildId);
+    const steps = onboardingSteps(settings.onboarding);
+    if (!steps.length) {
+      // Respond first: the profile modal has to open within Discord's 3s window.
+      const response = await startVerification(interaction);
+      await recordTermsConsent(interaction, (await currentTerms(interaction.guildId)).version, 'register');
+      return response;
+    }
+    const terms = await currentTerms(interaction.guildId);
+    onboarding.start(interaction.guildId, interaction.user.id, { termsVersion: terms.version, steps });
+    return promptOnboardingStep(interaction, steps[0], settings);
+  }
+};
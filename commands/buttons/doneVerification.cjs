@@ -0,0 +1,36 @@
+/*
+LineDevs - commands/buttons/doneVerification.cjs
+"Done" after pasting the profile key: checks the Roblox About section and completes verification.
+*/
+
+const { MessageFlags } = require('discord.js');
+
+module.exports = {
+  customId: 'done_verification',
+
+  async execute(interaction, ctx) {
+    const { metrics, appLog, logEvent, takeCooldown, config } = ctx;
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const wait = takeCooldown(ctx.doneVerificationPresses, interaction.user.id, config.verificationDoneCooldownSeconds);
+    if (wait) return interaction.editReply({ content: `Please wait ${wait}s before checking again.` });
+    const pend = await ctx.loadPendingVerification(interaction.user.id);
+    if (!pend) return interaction.editReply({ content: 'No pending verification found.' });
+    if (pend.expired) {
+      await ctx.deletePendingVerification(interaction.user.id).catch(e => appLog('ERROR', 'DB delete expired verification failed', e.message));
+      metrics.recordVerification('expired', pend.method);
+      await logEvent('INFO', 'verification.expired', { discordId: interaction.user.id, robloxId: pend.robloxId, meta: { method: pend.method } }, `Expired verification key rejected for ${interaction.user.tag} (${pend.robloxName || pend.method})`);
+      return interaction.editReply({ content: 'Your verification key has expired. Press **Agree & Register** again to get a new key.' });
+    }
+    if (pend.method !== 'profile') return interaction.editReply({ content: 'Your pending verification is completed in the Roblox game. Join the game and enter your key there.' });
+    const profile = ctx.getVerificationProvider('profile');
+    if (!profile) return interaction.editReply({ content: 'Profile key verification is not enabled.' });
+
+    if (await profile.checkKey(pend.robloxId, pend.verificationKey)) {
+      const result = await ctx.completeVerification({ discordId: interaction.user.id, guild: interaction.guild, robloxId: pend.robloxId, robloxUsername: pend.robloxName, method: 'profile' });
+      if (!result.ok) return interaction.editReply({ content: `This Roblox account is already linked to <@${result.ownerId}>. You must use a different account.` });
+      return interaction.editReply({ content: `Verification successful — Verified as **${pend.robloxName}**` });
+    }
+    metrics.recordVerification('failed', 'profile');
+    return interaction.editReply({ content: `Key not found on profile. Make sure you pasted exactly:\n\`\`\`${pend.verificationKey}\`\`\`\n\nIt can take a few minutes for Roblox to update the description.` });
+  }
+};
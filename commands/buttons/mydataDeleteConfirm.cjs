@@ -0,0 +1,23 @@
+/*
+LineDevs - commands/buttons/mydataDeleteConfirm.cjs
+Confirmation of /mydata delete: schedules the deletion after the grace period, or erases right away without one.
+*/
+
+const { DATA_DELETE_CONFIRM_ID } = require('../slash/mydata.cjs');
+
+module.exports = {
+  customId: DATA_DELETE_CONFIRM_ID,
+
+  async execute(interaction, { storage, eraseUserData, logEvent, config }) {
+    const user = await storage.users.get(interaction.user.id);
+    const identifiers = [interaction.user.tag, interaction.user.username, interaction.user.globalName, interaction.member?.nickname, user && user.roblox_username].filter(Boolean);
+    if (config.dataDeletionGraceHours <= 0) {
+      await interaction.update({ content: 'Deleting your data...', components: [] });
+      await eraseUserData({ discord_id: interaction.user.id, identifiers });
+      return interaction.editReply({ content: 'Your data was deleted.' });
+    }
+    const request = await storage.privacy.requestDeletion(interaction.user.id, { scheduledFor: new Date(Date.now() + config.dataDeletionGraceHours * 60 * 60 * 1000), identifiers });
+    await logEvent('INFO', 'privacy.delete_requested', { discordId: interaction.user.id, meta: { scheduledFor: request.scheduled_for } }, `${interaction.user.tag} requested deletion of their data`);
+    return interaction.update({ content: `Your data will be deleted <t:${Math.floor(new Date(request.scheduled_for).getTime() / 1000)}:R>. Use /mydata cancel to keep it.`, components: [] });
+  }
+};
@@ -0,0 +1,24 @@
+/*
+LineDevs - commands/buttons/onboardAge.cjs
+Answer to the onboarding age check.
+*/
+
+const { MessageFlags } = require('discord.js');
+
+module.exports = {
+  customId: ['onboard_age_yes', 'onboard_age_no'],
+
+  async execute(interaction, { guildConfig, onboarding, promptOnboardingStep, finishOnboarding, logEvent }) {
+    const progress = onboarding.get(interaction.guildId, interaction.user.id);
+    if (!progress) return interaction.reply({ content: 'Your registration timed out. Press **Agree & Register** again.', flags: MessageFlags.Ephemeral });
+    const settings = await guildConfig.get(interaction.guildId);
+    if (interaction.customId === 'onboard_age_no') {
+      onboarding.finish(interaction.guildId, interaction.user.id);
+      await logEvent('INFO', 'onboarding.age_declined', { discordId: interaction.user.id, meta: { guildId: interaction.guildId, minimumAge: settings.onboarding.minimumAge } }, `${interaction.user.tag} did not confirm the minimum age`);
+      return interaction.update({ content: `Sorry, you must be at least ${settings.onboarding.minimumAge} to register on this server.`, components: [] });
+    }
+    const next = onboarding.complete(interaction.guildId, interaction.user.id, 'age');
+    if (next) return promptOnboardingStep(interaction, next, settings);
+    return finishOnboarding(interaction, progress);
+  }
+};
@@ -0,0 +1,15 @@
+/*
+LineDevs - commands/buttons/termsAccept.cjs
+"Accept" on the re-consent prompt (terms_accept_<version>), shown when a gated command is used after the terms
+were republished with re-consent.
+*/
+
+module.exports = {
+  prefix: 'terms_accept_',
+
+  async execute(interaction, { recordTermsConsent }) {
+    const version = Number(interaction.customId.slice('terms_accept_'.length));
+    await recordTermsConsent(interaction, version, 'reconsent');
+    return interaction.update({ content: `Thanks - you accepted version ${version} of the terms. Run your command again.`, embeds: [], components: [] });
+  }
+};
@@ -0,0 +1,27 @@
+/*
+LineDevs - commands/buttons/verifyMethodGame.cjs
+Game verification: issues a key the member enters in the verification game, which confirms it over HTTP.
+*/
+
+const { MessageFlags } = require('discord.js');
+
+module.exports = {
+  customId: 'verify_method_game',
+
+  async execute(interaction, { getVerificationProvider, issueVerificationKey, metrics, appLog, logEvent, config }) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const game = getVerificationProvider('game');
+    if (!game) return interaction.editReply({ content: 'Game verification is not enabled.' });
+    let issued;
+    try {
+      issued = await issueVerificationKey(interaction.user.id, { method: 'game', guildId: interaction.guildId });
+    } catch (e) {
+      await appLog('ERROR', 'DB insert verification key failed (game)', e.message);
+      return interaction.editReply({ content: 'Could not start verification right now. Please try again later.' });
+    }
+    if (issued.wait) return interaction.editReply({ content: `A key was issued moments ago. Please wait ${issued.wait}s before requesting a new one.` });
+    metrics.recordVerification('started', 'game');
+    await logEvent('INFO', 'verification.started', { discordId: interaction.user.id, meta: { method: 'game' } }, `Started game verification for ${interaction.user.tag}`);
+    return interaction.editReply({ content: `**Account Verification**\n\n1) Copy the key below:\n\`\`\`${issued.key}\`\`\`\n2) Join the verification game: ${game.gameUrl()}\n3) Enter the key when the game asks for it.\n\nYou will get a DM once the game confirms your account.\n\n*Key expires in ${config.verificationTtlMinutes} minutes.*` });
+  }
+};
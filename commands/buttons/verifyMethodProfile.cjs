@@ -0,0 +1,12 @@
+/*
+LineDevs - commands/buttons/verifyMethodProfile.cjs
+Profile key verification: asks for the Roblox username (commands/modals/registerRoblox.cjs).
+*/
+
+module.exports = {
+  customId: 'verify_method_profile',
+
+  async execute(interaction, { buildRobloxUsernameModal }) {
+    return interaction.showModal(buildRobloxUsernameModal());
+  }
+};
@@ -0,0 +1,25 @@
+/*
+LineDevs - commands/modals/onboardQuiz.cjs
+Answers to the onboarding rules quiz. Any wrong answer ends the attempt.
+*/
+
+const { MessageFlags } = require('discord.js');
+const { countWrongAnswers } = require('../../lib/onboarding.cjs');
+
+module.exports = {
+  customId: 'onboard_quiz',
+
+  async execute(interaction, { guildConfig, onboarding, finishOnboarding, logEvent }) {
+    const progress = onboarding.get(interaction.guildId, interaction.user.id);
+    if (!progress) return interaction.reply({ content: 'Your registration timed out. Press **Agree & Register** again.', flags: MessageFlags.Ephemeral });
+    const { quiz } = (await guildConfig.get(interaction.guildId)).onboarding;
+    const wrong = countWrongAnswers(quiz, quiz.map((q, i) => interaction.fields.getTextInputValue(`quiz_${i}`)));
+    if (wrong) {
+      onboarding.finish(interaction.guildId, interaction.user.id);
+      await logEvent('INFO', 'onboarding.quiz_failed', { discordId: interaction.user.id, meta: { guildId: interaction.guildId, wrong, questions: quiz.length } }, `${interaction.user.tag} failed the rules quiz (${wrong}/${quiz.length} wrong)`);
+      return interaction.reply({ content: `${wrong} of ${quiz.length} answer(s) were wrong. Read the terms again and press **Agree & Register** to retry.`, flags: MessageFlags.Ephemeral });
+    }
+    onboarding.complete(interaction.guildId, interaction.user.id, 'quiz');
+    return finishOnboarding(interaction, progress);
+  }
+};
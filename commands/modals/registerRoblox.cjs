@@ -0,0 +1,33 @@
+/*
+LineDevs - commands/modals/registerRoblox.cjs
+Roblox username for profile key verification: issues the key to paste into the profile About section.
+*/
+
+const { MessageFlags, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+module.exports = {
+  customId: 'modal_register_roblox',
+
+  async execute(interaction, { resolveRobloxUsername, issueVerificationKey, metrics, appLog, logEvent, config }) {
+    const username = interaction.fields.getTextInputValue('roblox_username').trim();
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const lookup = await resolveRobloxUsername(username);
+    if (!lookup) return interaction.editReply({ content: `Roblox username **${username}** not found.` });
+    let issued;
+    try {
+      issued = await issueVerificationKey(interaction.user.id, { robloxId: lookup.id, robloxName: lookup.username || username, method: 'profile', guildId: interaction.guildId });
+    } catch (e) {
+      await appLog('ERROR', 'DB insert verification key failed', e.message);
+      return interaction.editReply({ content: 'Could not start verification right now. Please try again later.' });
+    }
+    if (issued.wait) return interaction.editReply({ content: `A key was issued moments ago. Please wait ${issued.wait}s before requesting a new one.` });
+    const key = issued.key;
+
+    const instructions = `**Account Verification**\n\n1) Copy the key below (easy tap-to-copy block):\n\`\`\`${key}\`\`\`\n2) Go to your Roblox profile: https://www.roblox.com/users/${lookup.id}/profile\n3) Paste the key **exactly** into your profile's About section.\n4) Return here and press **Done**.\n\n*Key expires in ${config.verificationTtlMinutes} minutes.*`;
+
+    const doneButton = new ButtonBuilder().setCustomId('done_verification').setLabel('Done').setStyle(ButtonStyle.Success);
+    metrics.recordVerification('started', 'profile');
+    await logEvent('INFO', 'verification.started', { discordId: interaction.user.id, robloxId: lookup.id, meta: { method: 'profile' } }, `Started verification for ${interaction.user.tag} as ${lookup.username || username}`);
+    return interaction.editReply({ content: instructions, components: [ new ActionRowBuilder().addComponents(doneButton) ] });
+  }
+};
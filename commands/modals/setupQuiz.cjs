@@ -0,0 +1,23 @@
+/*
+LineDevs - commands/modals/setupQuiz.cjs
+/setup quiz modal: saves (or, when emptied, turns off) the rules quiz.
+*/
+
+const { PermissionsBitField, MessageFlags } = require('discord.js');
+const { parseQuiz } = require('../../lib/onboarding.cjs');
+const { SETUP_QUIZ_MODAL_ID, saveGuildSettings } = require('../slash/setup.cjs');
+
+module.exports = {
+  customId: SETUP_QUIZ_MODAL_ID,
+  permission: PermissionsBitField.Flags.Administrator,
+  deniedMessage: 'Only administrators may change the server settings.',
+
+  async execute(interaction, ctx) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const parsed = parseQuiz(interaction.fields.getTextInputValue('quiz_text'));
+    if (parsed.error) return interaction.editReply({ content: parsed.error });
+    const current = await ctx.guildConfig.get(interaction.guildId);
+    await saveGuildSettings(interaction, ctx, { onboarding: { ...current.onboarding, quiz: parsed.quiz } }, { quiz: { questions: parsed.quiz.length } });
+    return interaction.editReply({ content: parsed.quiz.length ? `Saved a quiz with ${parsed.quiz.length} question(s). Members answer it after pressing **Agree & Register**.` : 'The rules quiz is turned off.' });
+  }
+};
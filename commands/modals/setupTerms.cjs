@@ -0,0 +1,32 @@
+/*
+LineDevs - commands/modals/setupTerms.cjs
+/setup terms modal. Every save publishes a new version; members who registered keep their consent to the older one
+unless the version was published with re-consent (custom ID suffix _reconsent).
+*/
+
+const { PermissionsBitField, MessageFlags } = require('discord.js');
+const { SETUP_TERMS_MODAL_ID } = require('../slash/setup.cjs');
+
+module.exports = {
+  prefix: SETUP_TERMS_MODAL_ID,
+  permission: PermissionsBitField.Flags.Administrator,
+  deniedMessage: 'Only administrators may change the server settings.',
+
+  async execute(interaction, { storage, currentTerms, defaultTerms, auditLog }) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const requiresReconsent = interaction.customId.endsWith('_reconsent');
+    const fallback = defaultTerms();
+    const title = interaction.fields.getTextInputValue('terms_title').trim() || fallback.title;
+    const body = interaction.fields.getTextInputValue('terms_text').trim() || fallback.body;
+    const current = await currentTerms(interaction.guildId);
+    if (!requiresReconsent && current.title === title && current.body === body) return interaction.editReply({ content: 'No changes - the terms were not republished.' });
+
+    const version = await storage.terms.publish({ guildId: interaction.guildId, title, body, requiresReconsent, createdBy: interaction.user.id });
+    await auditLog(interaction.user.id, 'terms_published', interaction.guildId, { version: version.version, reconsent: requiresReconsent, length: body.length });
+    return interaction.editReply({ content: [
+      `Published terms version ${version.version}.`,
+      requiresReconsent ? 'Verified members will be asked to accept them before they can use the bot again.' : 'Members who already registered are not asked again.',
+      'Run /register_show_terms in the registration channel to post the new panel.'
+    ].join('\n') });
+  }
+};
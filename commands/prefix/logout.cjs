@@ -0,0 +1,36 @@
+/*
+LineDevs - commands/prefix/logout.cjs
+!logout unlinks the author's Roblox account in every server; `!logout @member` does it for someone else
+(administrators only).
+*/
+
+const { PermissionsBitField } = require('discord.js');
+
+module.exports = {
+  name: 'logout',
+
+  async execute(message, args, { client, adminActions, appLog, logEvent }) {
+    const guildIds = [...client.guilds.cache.keys()];
+    const mentioned = message.mentions.users.first();
+    if (mentioned) {
+      if (!message.member.permissions.has(PermissionsBitField.Flags.Administrator)) return message.reply('Only administrators may logout other users.');
+      try {
+        await adminActions.forceUnlink({ actorId: message.author.id, guildIds, discordId: mentioned.id, reason: '!logout', via: 'discord' });
+      } catch (e) {
+        await appLog('ERROR', 'Admin logout failed', e.message);
+        return message.reply(`Could not log out ${mentioned} right now. Please try again later.`);
+      }
+      await message.channel.send(`${mentioned} has been logged out and unlinked from Roblox.`);
+      await logEvent('INFO', 'user.logout', { discordId: mentioned.id, meta: { by: message.author.id } }, `Admin logged out user ${mentioned.tag}`);
+      return;
+    }
+    try {
+      await adminActions.releaseAccount(message.author.id, guildIds);
+    } catch (e) {
+      await appLog('ERROR', 'Self logout failed', e.message);
+      return message.reply('Could not log you out right now. Please try again later.');
+    }
+    await logEvent('INFO', 'user.logout', { discordId: message.author.id }, `User ${message.author.tag} logged themselves out.`);
+    await message.reply('You have been logged out and unlinked from Roblox.');
+  }
+};
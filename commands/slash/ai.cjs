@@ -0,0 +1,172 @@
+/*
+LineDevs - commands/slash/ai.cjs
+/ai: asks the Assistant privately. Spends tokens up front (refunded when generation fails), streams the reply into
+the ephemeral response and keeps the turn in the caller's session when memory or a private thread is used.
+*/
+
+const fetch = require('node-fetch');
+const { SlashCommandBuilder, MessageFlags, ChannelType, AttachmentBuilder } = require('discord.js');
+const { splitMessage } = require('../../lib/discordText.cjs');
+const { trimToBudget } = require('../../lib/aiSessions.cjs');
+
+const AI_IMAGE_TYPES = new Set(['image/png', 'image/jpeg', 'image/webp', 'image/gif']);
+const AI_TEXT_FILE_RE = /\.(txt|md|markdown|json|js|cjs|mjs|ts|lua|luau|py|java|c|cpp|h|cs|go|rs|rb|php|html|css|xml|ya?ml|toml|ini|csv|log|sql|sh)$/i;
+
+// Throttles progressive editReply calls while a response streams in.
+function createReplyStreamer(interaction, intervalMs) {
+  let latest = '';
+  let lastEditAt = 0;
+  let timer = null;
+  let chain = Promise.resolve();
+  const flush = () => {
+    timer = null;
+    lastEditAt = Date.now();
+    const text = latest.length > 1900 ? `…${latest.slice(-1900)}` : latest;
+    chain = chain.then(() => interaction.editReply({ content: `Assistant:\n${text} ▌` })).catch(() => {});
+  };
+  return {
+    update(text) {
+      latest = text;
+      if (!timer) timer = setTimeout(flush, Math.max(0, lastEditAt + intervalMs - Date.now()));
+    },
+    async stop() {
+      clearTimeout(timer);
+      timer = null;
+      await chain;
+    }
+  };
+}
+
+// Downloads /ai attachments. Images become inline parts; text files are returned for quoting into the prompt.
+// Returns { images, texts } or { error } with a user-facing message for unsupported or oversized files.
+async function loadAiAttachments(attachments, { maxBytes, maxTextChars, fetchImpl = fetch }) {
+  const images = [];
+  const texts = [];
+  for (const a of attachments) {
+    const type = String(a.contentType || '').split(';')[0].trim().toLowerCase();
+    const isImage = AI_IMAGE_TYPES.has(type);
+    const isText = !isImage && (type.startsWith('text/') || type === 'application/json' || AI_TEXT_FILE_RE.test(a.name || ''));
+    if (!isImage && !isText) return { error: `**${a.name}** is not supported. Attach images (PNG, JPEG, WebP, GIF) or text files.` };
+    if (a.size > maxBytes) return { error: `**${a.name}** is too large (max ${Math.floor(maxBytes / 1024 / 1024)} MB).` };
+    const res = await fetchImpl(a.url, { timeout: 15000 });
+    if (!res.ok) throw new Error(`attachment download failed (HTTP ${res.status})`);
+    const buf = await res.buffer();
+    if (isImage) { images.push({ mimeType: type, data: buf.toString('base64'), name: a.name }); continue; }
+    let text = buf.toString('utf8');
+    if (text.length > maxTextChars) text = `${text.slice(0, maxTextChars)}\n[truncated]`;
+    texts.push({ name: a.name, text });
+  }
+  return { images, texts };
+}
+
+// Splits a reply into Discord messages at safe Markdown boundaries, or falls back to a .md attachment
+// with a short preview once it would take more than maxMessages messages.
+function buildAiReplyPayloads(text, maxMessages) {
+  const chunks = splitMessage(`Assistant:\n${text}`);
+  if (chunks.length <= maxMessages) return chunks.map(content => ({ content }));
+  const preview = splitMessage(text, 1500)[0];
+  const file = new AttachmentBuilder(Buffer.from(text, 'utf8'), { name: 'assistant-reply.md' });
+  return [{ content: `Assistant (full reply attached, ${text.length} characters):\n${preview}\n…`, files: [file] }];
+}
+
+// Picks the session an /ai call belongs to: the private thread it was run in, a fresh thread
+// session, the caller's active session when memory is on, or none for a one-shot prompt.
+// Creating a session closes the caller's active one, so this only runs once the tokens are spent.
+async function resolveAiSession(interaction, aiSessions, { memory, thread, prompt }) {
+  if (interaction.channel?.isThread()) {
+    const threadSession = await aiSessions.findSessionByThread(interaction.channelId);
+    if (threadSession && threadSession.discord_id === interaction.user.id) return { session: threadSession, inThread: true };
+  }
+  const title = prompt.slice(0, 60);
+  if (thread) return { session: await aiSessions.createSession(interaction.user.id, interaction.guildId, title), inThread: false };
+  if (memory) return { session: await aiSessions.getActiveSession(interaction.user.id, interaction.guildId) || await aiSessions.createSession(interaction.user.id, interaction.guildId, title), inThread: false };
+  return { session: null, inThread: false };
+}
+
+async function execute(interaction, ctx) {
+  const { storage, aiClient, aiSessions, tokenService, guildConfig, metrics, appLog, logEvent, config } = ctx;
+  const prompt = interaction.options.getString('prompt').trim();
+  const wantsThread = Boolean(interaction.options.getBoolean('thread')) && interaction.channel?.type === ChannelType.GuildText;
+  // Replies stay visible inside private (session) threads and are ephemeral everywhere else.
+  const publicReply = interaction.channel?.type === ChannelType.PrivateThread;
+  await interaction.deferReply(publicReply ? {} : { flags: MessageFlags.Ephemeral });
+  const memberState = await storage.members.get(interaction.guildId, interaction.user.id) || {};
+  if (memberState.banned_until && new Date(memberState.banned_until) > new Date()) return interaction.editReply({ content: `You are banned until ${new Date(memberState.banned_until).toUTCString()}.` });
+  if (!aiClient.isConfigured()) {
+    await appLog('WARN', `AI request blocked: ${aiClient.backend} backend not configured.`);
+    return interaction.editReply({ content: `Assistant not configured. Please set the API key for the ${aiClient.backend} backend.` });
+  }
+  const attachments = ['attachment', 'attachment2'].map(name => interaction.options.getAttachment(name)).filter(Boolean);
+  let files = { images: [], texts: [] };
+  if (attachments.length) {
+    try {
+      files = await loadAiAttachments(attachments, { maxBytes: config.aiAttachmentMaxBytes, maxTextChars: config.aiTextAttachmentMaxChars, fetchImpl: ctx.fetchImpl });
+    } catch (e) {
+      await appLog('WARN', `AI attachment download failed for ${interaction.user.tag}`, e && e.message || e);
+      return interaction.editReply({ content: 'Could not download your attachment. Please try again.' });
+    }
+    if (files.error) return interaction.editReply({ content: files.error });
+  }
+  const userContent = [prompt, ...files.texts.map(f => `Attached file ${f.name}:\n\`\`\`\n${f.text}\n\`\`\``)].join('\n\n');
+  const historyContent = files.images.length ? `${userContent}\n\n[image(s): ${files.images.map(i => i.name).join(', ')}]` : userContent;
+  const quota = tokenService.quotaForMember(interaction.member, await guildConfig.get(interaction.guildId));
+  const spent = await tokenService.spend(interaction.user.id, tokenService.costFor({ chars: userContent.length, images: files.images.length }), { quota, guildId: interaction.guildId, reason: 'ai' });
+  if (!spent.ok) return interaction.editReply({ content: `This request costs ${spent.cost} token(s) and you have ${spent.balance} left today. Quota resets <t:${Math.floor(tokenService.nextResetAt().getTime() / 1000)}:R>. Use /tokens to check your balance.` });
+
+  let session = null;
+  let inThread = false;
+  let assistantText;
+  let replied = false;
+  const streamer = wantsThread ? null : createReplyStreamer(interaction, config.aiStreamEditIntervalMs);
+  try {
+    ({ session, inThread } = await resolveAiSession(interaction, aiSessions, { memory: interaction.options.getBoolean('memory') ?? config.aiMemoryDefault, thread: wantsThread, prompt }));
+    const history = session ? await aiSessions.getMessages(session.id) : [];
+    const systemPrompt = await aiSessions.getSystemPrompt(interaction.guildId) || config.aiSystemPrompt;
+    const context = trimToBudget([...history, { role: 'user', content: userContent, images: files.images }], { budget: config.aiContextTokenBudget, systemPrompt });
+    await appLog('DEBUG', `Sending AI prompt for ${interaction.user.tag} via ${aiClient.backend}/${aiClient.model}. Tokens remaining: ${spent.balance}`);
+    const result = await aiClient.generate({ messages: context, systemPrompt, onDelta: text => streamer && streamer.update(text) });
+    assistantText = result.text;
+    replied = true;
+    metrics.recordAi({ ok: true, attempts: result.attempts, tokensSpent: spent.cost });
+    await logEvent('INFO', 'ai.reply', { discordId: interaction.user.id, meta: { length: assistantText.length, attempts: result.attempts, sessionId: session ? session.id : null } }, `AI replied to ${interaction.user.tag} (Length: ${assistantText.length}, attempts: ${result.attempts}${session ? `, session #${session.id}, ${context.length} turn(s) in context` : ''})`);
+  } catch (e) {
+    metrics.recordAi({ ok: false, attempts: e && e.attempts || 1, tokensSpent: spent.cost });
+    await logEvent('ERROR', 'ai.error', { discordId: interaction.user.id, meta: { backend: aiClient.backend, status: e && e.status || null } }, `AI generation failed for ${interaction.user.tag}:`, e && e.message || e, e && e.body ? e.body : '');
+    await tokenService.credit(interaction.user.id, spent.cost, { kind: 'refund', reason: 'ai generation failed', guildId: interaction.guildId, quota })
+      .then(() => { metrics.recordAiRefund(spent.cost); return appLog('INFO', `Refunded ${spent.cost} token(s) to ${interaction.user.tag} after failed generation`); })
+      .catch(err => appLog('ERROR', 'Token refund failed (AI)', err.message));
+    assistantText = `AI request failed${e && e.status ? ` (HTTP ${e.status})` : ''}. Your tokens were refunded. (Error logged)`;
+  } finally {
+    if (streamer) await streamer.stop();
+  }
+
+  const finalResponse = assistantText || 'No reply from Assistant.';
+  if (session && replied) await aiSessions.appendMessages(session.id, [{ role: 'user', content: historyContent }, { role: 'model', content: assistantText }]).catch(e => appLog('ERROR', 'DB append AI session messages failed', e.message));
+
+  if (wantsThread && session && !inThread) {
+    try {
+      const thread = await interaction.channel.threads.create({ name: `AI: ${prompt.slice(0, 80)}`, type: ChannelType.PrivateThread, invitable: false, autoArchiveDuration: 1440 });
+      await thread.members.add(interaction.user.id);
+      await aiSessions.setThread(session.id, thread.id);
+      await thread.send({ content: `${interaction.user}: ${prompt}`.slice(0, 2000), allowedMentions: { users: [interaction.user.id] } });
+      for (const payload of buildAiReplyPayloads(finalResponse, config.aiMaxReplyMessages)) await thread.send(payload);
+      return interaction.editReply({ content: `Replied in ${thread}. Run \`/ai\` inside the thread to continue the conversation.` });
+    } catch (e) {
+      await appLog('WARN', `Failed to create AI thread for ${interaction.user.tag}`, e && e.message || e);
+    }
+  }
+  const [firstPayload, ...restPayloads] = buildAiReplyPayloads(finalResponse, config.aiMaxReplyMessages);
+  await interaction.editReply(firstPayload);
+  for (const payload of restPayloads) await interaction.followUp(publicReply ? payload : { ...payload, flags: MessageFlags.Ephemeral });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('ai').setDescription('Ask the Assistant privately (uses tokens)')
+    .addStringOption(opt => opt.setName('prompt').setDescription('Your prompt').setRequired(true))
+    .addBooleanOption(opt => opt.setName('memory').setDescription('Continue your active conversation session'))
+    .addBooleanOption(opt => opt.setName('thread').setDescription('Start a new session in a private thread'))
+    .addAttachmentOption(opt => opt.setName('attachment').setDescription('Image or text file for the Assistant'))
+    .addAttachmentOption(opt => opt.setName('attachment2').setDescription('Another image or text file')),
+  consentGated: true,
+  execute
+};
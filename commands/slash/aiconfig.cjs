@@ -0,0 +1,30 @@
+/*
+LineDevs - commands/slash/aiconfig.cjs
+/aiconfig: shows, sets or clears the server's Assistant system prompt.
+*/
+
+const { SlashCommandBuilder, PermissionsBitField, MessageFlags } = require('discord.js');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('aiconfig').setDescription('Configure the Assistant for this server')
+    .addSubcommand(sub => sub.setName('show').setDescription('Show the server system prompt'))
+    .addSubcommand(sub => sub.setName('set').setDescription('Set the server system prompt')
+      .addStringOption(opt => opt.setName('prompt').setDescription('System prompt text').setRequired(true).setMaxLength(4000)))
+    .addSubcommand(sub => sub.setName('clear').setDescription('Revert to the default system prompt')),
+  permission: PermissionsBitField.Flags.Administrator,
+  deniedMessage: 'Only administrators may configure the Assistant.',
+
+  async execute(interaction, { aiSessions, auditLog, config }) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const sub = interaction.options.getSubcommand();
+    if (sub === 'show') {
+      const prompt = await aiSessions.getSystemPrompt(interaction.guildId);
+      if (prompt) return interaction.editReply({ content: `**Server system prompt**\n\`\`\`\n${prompt.slice(0, 1900)}\n\`\`\`` });
+      return interaction.editReply({ content: config.aiSystemPrompt ? `No server override. Default system prompt:\n\`\`\`\n${config.aiSystemPrompt.slice(0, 1900)}\n\`\`\`` : 'No system prompt configured.' });
+    }
+    const prompt = sub === 'set' ? interaction.options.getString('prompt', true) : '';
+    await aiSessions.setSystemPrompt(interaction.guildId, prompt, interaction.user.id);
+    await auditLog(interaction.user.id, sub === 'set' ? 'ai_system_prompt_set' : 'ai_system_prompt_clear', interaction.guildId, { length: prompt.length });
+    return interaction.editReply({ content: sub === 'set' ? 'Server system prompt updated.' : 'Server system prompt cleared.' });
+  }
+};
@@ -0,0 +1,53 @@
+/*
+LineDevs - commands/slash/aisession.cjs
+/aisession: list, continue, reset and export the caller's Assistant conversation sessions.
+*/
+
+const { SlashCommandBuilder, MessageFlags, AttachmentBuilder } = require('discord.js');
+const { sessionToMarkdown } = require('../../lib/aiSessions.cjs');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('aisession').setDescription('Manage your Assistant conversation sessions')
+    .addSubcommand(sub => sub.setName('list').setDescription('List your recent sessions'))
+    .addSubcommand(sub => sub.setName('continue').setDescription('Make an earlier session active again')
+      .addIntegerOption(opt => opt.setName('id').setDescription('Session ID from /aisession list').setRequired(true).setMinValue(1)))
+    .addSubcommand(sub => sub.setName('reset').setDescription('End your active session; the next memory prompt starts fresh'))
+    .addSubcommand(sub => sub.setName('export').setDescription('Download a session transcript')
+      .addIntegerOption(opt => opt.setName('id').setDescription('Session ID (defaults to the active one)').setMinValue(1))),
+  consentGated: true,
+
+  async execute(interaction, { aiSessions, appLog }) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const sub = interaction.options.getSubcommand();
+    const discordId = interaction.user.id;
+
+    if (sub === 'list') {
+      const sessions = await aiSessions.listSessions(discordId, interaction.guildId);
+      if (!sessions.length) return interaction.editReply({ content: 'You have no sessions yet. Use `/ai memory:true` to start one.' });
+      const lines = sessions.map(s => `\`#${s.id}\` ${s.active ? '**(active)** ' : ''}${s.title || 'Untitled'} — ${s.message_count} message(s), <t:${Math.floor(new Date(s.updated_at).getTime() / 1000)}:R>${s.thread_id ? ` in <#${s.thread_id}>` : ''}`);
+      return interaction.editReply({ content: `**Your sessions**\n${lines.join('\n')}`.slice(0, 2000) });
+    }
+
+    if (sub === 'continue') {
+      const session = await aiSessions.getSession(interaction.options.getInteger('id', true), discordId);
+      if (!session) return interaction.editReply({ content: 'Session not found.' });
+      await aiSessions.setActive(session);
+      return interaction.editReply({ content: `Session \`#${session.id}\` is active. Use \`/ai memory:true\` to continue it.` });
+    }
+
+    if (sub === 'reset') {
+      const count = await aiSessions.resetActive(discordId, interaction.guildId);
+      await appLog('INFO', `AI session reset by ${interaction.user.tag}`);
+      return interaction.editReply({ content: count ? 'Your active session was closed. Your next memory prompt starts a new conversation.' : 'You have no active session.' });
+    }
+
+    if (sub === 'export') {
+      const id = interaction.options.getInteger('id');
+      const session = id ? await aiSessions.getSession(id, discordId) : await aiSessions.getActiveSession(discordId, interaction.guildId);
+      if (!session) return interaction.editReply({ content: 'Session not found.' });
+      const messages = await aiSessions.getMessages(session.id);
+      const file = new AttachmentBuilder(Buffer.from(sessionToMarkdown(session, messages), 'utf8'), { name: `ai-session-${session.id}.md` });
+      return interaction.editReply({ content: `Transcript for session \`#${session.id}\` (${messages.length} message(s)).`, files: [file] });
+    }
+  }
+};
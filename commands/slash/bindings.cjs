@@ -0,0 +1,51 @@
+/*
+LineDevs - commands/slash/bindings.cjs
+/bindings: lists, adds and removes Roblox group rank -> role bindings (see lib/groupBindings.cjs).
+*/
+
+const { SlashCommandBuilder, PermissionsBitField, MessageFlags } = require('discord.js');
+const { MAX_GROUP_RANK } = require('../../lib/groupBindings.cjs');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('bindings').setDescription('Give Discord roles by Roblox group rank')
+    .addSubcommand(sub => sub.setName('list').setDescription('List the group role bindings'))
+    .addSubcommand(sub => sub.setName('add').setDescription('Give a role to members of a group with at least a rank')
+      .addIntegerOption(opt => opt.setName('group_id').setDescription('Roblox group ID').setRequired(true).setMinValue(1))
+      .addRoleOption(opt => opt.setName('role').setDescription('Role to give').setRequired(true))
+      .addIntegerOption(opt => opt.setName('min_rank').setDescription(`Minimum rank in the group (1-${MAX_GROUP_RANK}, default 1)`).setMinValue(1).setMaxValue(MAX_GROUP_RANK)))
+    .addSubcommand(sub => sub.setName('remove').setDescription('Remove a binding (members keep roles it already gave)')
+      .addIntegerOption(opt => opt.setName('id').setDescription('Binding ID from /bindings list').setRequired(true).setMinValue(1))),
+  permission: PermissionsBitField.Flags.Administrator,
+  deniedMessage: 'Only administrators may manage role bindings.',
+
+  async execute(interaction, { groupBindings, auditLog }) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'list') {
+      const bindings = await groupBindings.list(interaction.guildId);
+      if (!bindings.length) return interaction.editReply({ content: 'No group role bindings. Add one with /bindings add.' });
+      const lines = bindings.map(b => `#${b.id} - group ${b.group_id}, rank ${b.min_rank}+ -> <@&${b.role_id}>`);
+      return interaction.editReply({ content: ['**Group role bindings**', ...lines].join('\n').slice(0, 2000), allowedMentions: { parse: [] } });
+    }
+
+    if (sub === 'add') {
+      const groupId = interaction.options.getInteger('group_id', true);
+      const role = interaction.options.getRole('role', true);
+      const minRank = interaction.options.getInteger('min_rank') ?? 1;
+      if (role.id === interaction.guildId || role.managed) return interaction.editReply({ content: `${role} cannot be assigned by bots.`, allowedMentions: { parse: [] } });
+      const binding = await groupBindings.add({ guildId: interaction.guildId, groupId, minRank, roleId: role.id, createdBy: interaction.user.id });
+      if (!binding) return interaction.editReply({ content: 'That binding already exists.' });
+      await auditLog(interaction.user.id, 'role_binding_add', interaction.guildId, { id: binding.id, groupId: String(groupId), minRank, roleId: role.id });
+      const note = role.editable ? '' : `\nI cannot assign ${role} yet - move my role above it and make sure I have Manage Roles.`;
+      return interaction.editReply({ content: `Added binding #${binding.id}: group ${groupId}, rank ${minRank}+ -> ${role}. Members get it when they verify, run /update or at the next re-sync.${note}`, allowedMentions: { parse: [] } });
+    }
+
+    if (sub === 'remove') {
+      const id = interaction.options.getInteger('id', true);
+      if (!await groupBindings.remove(interaction.guildId, id)) return interaction.editReply({ content: `No binding #${id} in this server.` });
+      await auditLog(interaction.user.id, 'role_binding_remove', interaction.guildId, { id });
+      return interaction.editReply({ content: `Removed binding #${id}. Members who already have its role keep it.` });
+    }
+  }
+};
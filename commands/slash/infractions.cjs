@@ -0,0 +1,35 @@
+/*
+LineDevs - commands/slash/infractions.cjs
+/infractions: lists a member's infractions in this server, newest first.
+*/
+
+const { SlashCommandBuilder, PermissionsBitField, MessageFlags } = require('discord.js');
+const { formatDuration } = require('../../lib/moderation.cjs');
+
+function formatInfraction(i) {
+  const when = `<t:${Math.floor(new Date(i.created_at).getTime() / 1000)}:R>`;
+  const by = i.moderator_id ? `<@${i.moderator_id}>` : 'automod';
+  const action = i.action === 'timeout' && i.duration_ms ? `timeout ${formatDuration(Number(i.duration_ms))}` : i.action;
+  const pardoned = i.pardoned_at ? ' ~~pardoned~~' : '';
+  const quote = i.content ? ` — "${String(i.content).slice(0, 80)}"` : '';
+  return `\`#${i.id}\` ${when} **${action}** by ${by}${pardoned} — ${i.reason || 'no reason'}${quote}`;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('infractions').setDescription('List a member\'s infractions')
+    .addUserOption(opt => opt.setName('user').setDescription('Member to inspect').setRequired(true)),
+  permission: PermissionsBitField.Flags.ModerateMembers,
+  deniedMessage: 'Only moderators may use this command.',
+
+  async execute(interaction, { moderation, auditLog }) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const target = interaction.options.getUser('user', true);
+    const guildId = interaction.guildId;
+    const list = await moderation.listInfractions(target.id, guildId, 15);
+    await auditLog(interaction.user.id, 'view_infractions', target.id, { guildId });
+    if (!list.length) return interaction.editReply({ content: `${target} has no infractions.` });
+    const flags = await moderation.activeFlagCount(target.id, guildId);
+    const lines = list.map(formatInfraction);
+    return interaction.editReply({ content: `**Infractions for ${target}** (${flags} active flag(s), newest first)\n${lines.join('\n')}`.slice(0, 2000), allowedMentions: { parse: [] } });
+  }
+};
@@ -0,0 +1,29 @@
+/*
+LineDevs - commands/slash/lookup.cjs
+/lookup: a member's Roblox link, tokens, flags and ban state, for moderators.
+*/
+
+const { SlashCommandBuilder, PermissionsBitField, MessageFlags } = require('discord.js');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('lookup').setDescription('Show a member\'s Roblox link, tokens, flags and ban state')
+    .addUserOption(opt => opt.setName('user').setDescription('Member to look up').setRequired(true)),
+  permission: PermissionsBitField.Flags.ModerateMembers,
+  deniedMessage: 'Only moderators may use this command.',
+
+  async execute(interaction, { adminActions, auditLog }) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const target = interaction.options.getUser('user', true);
+    const d = await adminActions.describeUser(interaction.guildId, target.id);
+    const lines = [
+      `**Lookup: ${target}** (\`${target.id}\`)`,
+      `Roblox: ${d.roblox ? `[${d.roblox.username}](https://www.roblox.com/users/${d.roblox.id}/profile) (\`${d.roblox.id}\`), linked ${d.roblox.linkedAt ? `<t:${Math.floor(new Date(d.roblox.linkedAt).getTime() / 1000)}:R>` : 'unknown'}` : 'not linked'}`,
+      `Tokens: ${d.tokens}/${d.quota}`,
+      `Flags: ${d.flags} active / ${d.infractions} total`,
+      `AI ban: ${d.bannedUntil ? `until <t:${Math.floor(d.bannedUntil.getTime() / 1000)}:f>` : 'none'}`,
+      `Timeout: ${d.timedOutUntil ? `until <t:${Math.floor(d.timedOutUntil.getTime() / 1000)}:f>` : (d.inGuild ? 'none' : 'not in server')}`
+    ];
+    await auditLog(interaction.user.id, 'lookup', target.id, { guildId: interaction.guildId });
+    return interaction.editReply({ content: lines.join('\n'), allowedMentions: { parse: [] } });
+  }
+};
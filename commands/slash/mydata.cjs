@@ -0,0 +1,53 @@
+/*
+LineDevs - commands/slash/mydata.cjs
+/mydata: exports everything stored about the caller by DM, or schedules its deletion. The deletion is confirmed with
+a button (commands/buttons/mydataDeleteConfirm.cjs).
+*/
+
+const { SlashCommandBuilder, MessageFlags, AttachmentBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+const DATA_DELETE_CONFIRM_ID = 'mydata_delete_confirm';
+const dataExportPresses = new Map();
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('mydata').setDescription('Export or delete the data LineDevs stores about you')
+    .addSubcommand(sub => sub.setName('export').setDescription('Get a JSON file with everything stored about you by DM'))
+    .addSubcommand(sub => sub.setName('delete').setDescription('Delete everything stored about you'))
+    .addSubcommand(sub => sub.setName('cancel').setDescription('Cancel your pending deletion request')),
+  DATA_DELETE_CONFIRM_ID,
+
+  async execute(interaction, { storage, logEvent, takeCooldown, config }) {
+    const sub = interaction.options.getSubcommand();
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    if (sub === 'export') {
+      const wait = takeCooldown(dataExportPresses, interaction.user.id, config.dataExportCooldownSeconds);
+      if (wait) return interaction.editReply({ content: `You requested an export recently. Please wait ${wait}s.` });
+      const bundle = { discordId: interaction.user.id, generatedAt: new Date().toISOString(), ...await storage.privacy.collect(interaction.user.id) };
+      const file = new AttachmentBuilder(Buffer.from(JSON.stringify(bundle, null, 2), 'utf8'), { name: `linedevs-data-${interaction.user.id}.json` });
+      try {
+        await interaction.user.send({ content: 'Here is everything LineDevs stores about you.', files: [file] });
+      } catch (e) {
+        dataExportPresses.delete(interaction.user.id);
+        return interaction.editReply({ content: 'I could not DM you. Allow direct messages from server members and try again.' });
+      }
+      await logEvent('INFO', 'privacy.export', { discordId: interaction.user.id }, `Sent a data export to ${interaction.user.tag}`);
+      return interaction.editReply({ content: 'Sent - check your DMs.' });
+    }
+
+    if (sub === 'cancel') {
+      if (!await storage.privacy.cancelDeletion(interaction.user.id)) return interaction.editReply({ content: 'You have no pending deletion request.' });
+      await logEvent('INFO', 'privacy.delete_cancelled', { discordId: interaction.user.id }, `${interaction.user.tag} cancelled their data deletion request`);
+      return interaction.editReply({ content: 'Your deletion request was cancelled. Nothing was deleted.' });
+    }
+
+    const pending = await storage.privacy.deletionRequest(interaction.user.id);
+    if (pending) return interaction.editReply({ content: `Your data is already scheduled for deletion <t:${Math.floor(new Date(pending.scheduled_for).getTime() / 1000)}:R>. Use /mydata cancel to keep it.` });
+    const confirm = new ButtonBuilder().setCustomId(DATA_DELETE_CONFIRM_ID).setLabel('Delete my data').setStyle(ButtonStyle.Danger);
+    const when = config.dataDeletionGraceHours > 0 ? `after a ${config.dataDeletionGraceHours} hour grace period (you can cancel until then)` : 'immediately';
+    return interaction.editReply({
+      content: `This removes your Roblox link, token balances and history, infractions, terms consents, AI sessions and the log lines about you in every server, ${when}. Your verified and group roles are removed as well, and donations you made are kept without your name or Discord account. Use /mydata export first if you want a copy.`,
+      components: [ new ActionRowBuilder().addComponents(confirm) ]
+    });
+  }
+};
@@ -0,0 +1,23 @@
+/*
+LineDevs - commands/slash/pardon.cjs
+/pardon: pardons one active infraction, or all of them.
+*/
+
+const { SlashCommandBuilder, PermissionsBitField, MessageFlags } = require('discord.js');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('pardon').setDescription('Pardon one or all active infractions')
+    .addUserOption(opt => opt.setName('user').setDescription('Member to pardon').setRequired(true))
+    .addIntegerOption(opt => opt.setName('infraction').setDescription('Infraction ID (omit to pardon all)').setMinValue(1)),
+  permission: PermissionsBitField.Flags.ModerateMembers,
+  deniedMessage: 'Only moderators may use this command.',
+
+  async execute(interaction, { adminActions }) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const target = interaction.options.getUser('user', true);
+    const infractionId = interaction.options.getInteger('infraction');
+    const { count, flags } = await adminActions.clearFlags({ actorId: interaction.user.id, guildId: interaction.guildId, discordId: target.id, infractionId, via: 'discord' });
+    if (!count) return interaction.editReply({ content: infractionId ? `No active infraction \`#${infractionId}\` found for ${target}.` : `${target} has no active infractions.` });
+    return interaction.editReply({ content: `Pardoned ${count} infraction(s) for ${target}. Active flags: ${flags}.` });
+  }
+};
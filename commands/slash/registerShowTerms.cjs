@@ -0,0 +1,19 @@
+/*
+LineDevs - commands/slash/registerShowTerms.cjs
+/register_show_terms: posts the registration terms panel in the current channel.
+*/
+
+const { SlashCommandBuilder, PermissionsBitField, MessageFlags } = require('discord.js');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('register_show_terms').setDescription('Display Terms & Policies for registration'),
+  permission: PermissionsBitField.Flags.Administrator,
+  deniedMessage: 'Only administrators may deploy the registration terms.',
+
+  async execute(interaction, { adminActions, appLog }) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    await adminActions.postTermsPanel({ actorId: interaction.user.id, guildId: interaction.guildId, channelId: interaction.channelId, via: 'discord' });
+    await appLog('INFO', `Admin ${interaction.user.tag} deployed registration terms.`);
+    return interaction.editReply({ content: 'Registration terms posted.' });
+  }
+};
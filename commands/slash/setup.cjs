@@ -0,0 +1,169 @@
+/*
+LineDevs - commands/slash/setup.cjs
+/setup: per-server channels, roles, terms, onboarding steps, token quotas and donor perks (see lib/guildConfig.cjs).
+The terms and quiz subcommands open modals, handled by commands/modals/setupTerms.cjs and setupQuiz.cjs.
+*/
+
+const {
+  SlashCommandBuilder,
+  PermissionsBitField,
+  MessageFlags,
+  ChannelType,
+  ActionRowBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const { MAX_TOKEN_ADJUSTMENT } = require('../../lib/adminActions.cjs');
+const { formatQuiz } = require('../../lib/onboarding.cjs');
+
+const SETUP_TERMS_MODAL_ID = 'modal_setup_terms';
+const SETUP_QUIZ_MODAL_ID = 'modal_setup_quiz';
+// The terms are shown as an embed; 4000 is the text input limit (the embed description allows 4096).
+const TERMS_TEXT_MAX_LENGTH = 4000;
+
+async function describeGuildSettings(settings, { storage, tokenService, currentTerms }) {
+  const channel = (id) => id ? `<#${id}>` : 'not set';
+  const role = (id) => id ? `<@&${id}>` : 'not set';
+  const roleQuotas = [...settings.roleQuotas].map(([roleId, amount]) => `<@&${roleId}>: ${amount}`).join(', ');
+  const terms = await currentTerms(settings.guildId);
+  const requiredVersion = await storage.terms.requiredVersion(settings.guildId);
+  const accepted = terms.version ? await storage.terms.countAccepted(settings.guildId, terms.version) : 0;
+  const { minimumAge, quiz } = settings.onboarding;
+  return [
+    '**Server settings**',
+    `Registration channel: ${channel(settings.registrationChannelId)}`,
+    `AI channel: ${channel(settings.aiChannelId)}`,
+    `Verified role: ${role(settings.verifiedRoleId)}`,
+    `Unverified role: ${role(settings.unverifiedRoleId)}`,
+    `Terms: ${terms.version ? `version ${terms.version}, accepted by ${accepted} member(s)` : 'default'}${requiredVersion ? ` (re-consent required since version ${requiredVersion})` : ''}`,
+    `Age check: ${minimumAge ? `${minimumAge}+` : 'off'}`,
+    `Rules quiz: ${quiz.length ? `${quiz.length} question(s)` : 'off'}`,
+    `Daily token quota: ${settings.defaultQuota == null ? `${tokenService.defaultQuota} (default)` : settings.defaultQuota}`,
+    `Role quotas: ${roleQuotas || 'none'}`,
+    `Donor perks: role ${role(settings.donorRoleId)}, ${settings.donationBonusTokens ? `${settings.donationBonusTokens} bonus token(s)` : 'no bonus tokens'}, thank-you posts in ${channel(settings.donationChannelId)}`
+  ].join('\n');
+}
+
+// Saves a /setup change and audits it. `details` is what goes into the audit log (defaults to the patch).
+async function saveGuildSettings(interaction, { guildConfig, auditLog }, patch, details = patch) {
+  const settings = await guildConfig.update(interaction.guildId, patch, interaction.user.id);
+  await auditLog(interaction.user.id, 'guild_settings_update', interaction.guildId, details);
+  return settings;
+}
+
+async function execute(interaction, ctx) {
+  const { guildConfig, currentTerms } = ctx;
+  const sub = interaction.options.getSubcommand();
+  const current = await guildConfig.get(interaction.guildId);
+
+  if (sub === 'terms') {
+    const terms = await currentTerms(interaction.guildId);
+    const reconsent = Boolean(interaction.options.getBoolean('reconsent'));
+    const modal = new ModalBuilder().setCustomId(reconsent ? `${SETUP_TERMS_MODAL_ID}_reconsent` : SETUP_TERMS_MODAL_ID).setTitle(`Registration terms (version ${terms.version + 1})`);
+    const titleInput = new TextInputBuilder().setCustomId('terms_title').setLabel('Title').setStyle(TextInputStyle.Short)
+      .setRequired(false).setMaxLength(256).setValue(terms.title);
+    const bodyInput = new TextInputBuilder().setCustomId('terms_text').setLabel('Terms text (leave empty for the default)').setStyle(TextInputStyle.Paragraph)
+      .setRequired(false).setMaxLength(TERMS_TEXT_MAX_LENGTH).setValue(terms.body.slice(0, TERMS_TEXT_MAX_LENGTH));
+    modal.addComponents(new ActionRowBuilder().addComponents(titleInput), new ActionRowBuilder().addComponents(bodyInput));
+    return interaction.showModal(modal);
+  }
+
+  if (sub === 'quiz') {
+    const modal = new ModalBuilder().setCustomId(SETUP_QUIZ_MODAL_ID).setTitle('Rules quiz');
+    const quizInput = new TextInputBuilder().setCustomId('quiz_text').setLabel('One "Question = answer; alternative" per line')
+      .setStyle(TextInputStyle.Paragraph).setRequired(false).setMaxLength(2000).setPlaceholder('Can you share your account? = no')
+      .setValue(formatQuiz(current.onboarding.quiz));
+    modal.addComponents(new ActionRowBuilder().addComponents(quizInput));
+    return interaction.showModal(modal);
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  if (sub === 'show') return interaction.editReply({ content: await describeGuildSettings(current, ctx), allowedMentions: { parse: [] } });
+
+  let patch;
+  let details;
+  const notes = [];
+  if (sub === 'channels') {
+    const registration = interaction.options.getChannel('registration');
+    const ai = interaction.options.getChannel('ai');
+    if (!registration && !ai) return interaction.editReply({ content: 'Pick at least one channel.' });
+    patch = { ...(registration && { registrationChannelId: registration.id }), ...(ai && { aiChannelId: ai.id }) };
+  } else if (sub === 'roles') {
+    const verified = interaction.options.getRole('verified');
+    const unverified = interaction.options.getRole('unverified');
+    if (!verified && !unverified) return interaction.editReply({ content: 'Pick at least one role.' });
+    patch = { ...(verified && { verifiedRoleId: verified.id }), ...(unverified && { unverifiedRoleId: unverified.id }) };
+    for (const role of [verified, unverified].filter(Boolean)) {
+      if (!role.editable) notes.push(`I cannot assign ${role} - move my role above it and make sure I have Manage Roles.`);
+    }
+  } else if (sub === 'quota') {
+    patch = { defaultQuota: interaction.options.getInteger('amount', true) };
+  } else if (sub === 'role_quota') {
+    const role = interaction.options.getRole('role', true);
+    const amount = interaction.options.getInteger('amount');
+    const roleQuotas = new Map(current.roleQuotas);
+    if (amount == null) roleQuotas.delete(role.id); else roleQuotas.set(role.id, amount);
+    patch = { roleQuotas };
+    details = { roleQuotas: Object.fromEntries(roleQuotas) };
+  } else if (sub === 'donations') {
+    const role = interaction.options.getRole('role');
+    const channel = interaction.options.getChannel('channel');
+    const bonusTokens = interaction.options.getInteger('bonus_tokens');
+    if (!role && !channel && bonusTokens == null) return interaction.editReply({ content: 'Pick a role, a channel or a token bonus.' });
+    patch = { ...(role && { donorRoleId: role.id }), ...(channel && { donationChannelId: channel.id }), ...(bonusTokens != null && { donationBonusTokens: bonusTokens || null }) };
+    if (role && !role.editable) notes.push(`I cannot assign ${role} - move my role above it and make sure I have Manage Roles.`);
+  } else if (sub === 'age_check') {
+    const minimumAge = interaction.options.getInteger('minimum_age', true) || null;
+    patch = { onboarding: { ...current.onboarding, minimumAge } };
+    details = { minimumAge };
+  } else if (sub === 'unset') {
+    patch = { [interaction.options.getString('setting', true)]: null };
+  }
+
+  const settings = await saveGuildSettings(interaction, ctx, patch, details);
+  return interaction.editReply({ content: ['Settings updated.', ...notes, '', await describeGuildSettings(settings, ctx)].join('\n'), allowedMentions: { parse: [] } });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('setup').setDescription('Configure LineDevs for this server')
+    .addSubcommand(sub => sub.setName('show').setDescription('Show the current server settings'))
+    .addSubcommand(sub => sub.setName('channels').setDescription('Set the registration and AI channels')
+      .addChannelOption(opt => opt.setName('registration').setDescription('Channel with the registration terms (other messages are removed)').addChannelTypes(ChannelType.GuildText))
+      .addChannelOption(opt => opt.setName('ai').setDescription('Channel reserved for /ai (messages are redirected)').addChannelTypes(ChannelType.GuildText)))
+    .addSubcommand(sub => sub.setName('roles').setDescription('Set the roles given before and after verification')
+      .addRoleOption(opt => opt.setName('verified').setDescription('Role given once a Roblox account is linked'))
+      .addRoleOption(opt => opt.setName('unverified').setDescription('Role given on join and removed after verification')))
+    .addSubcommand(sub => sub.setName('terms').setDescription('Publish a new version of the registration terms')
+      .addBooleanOption(opt => opt.setName('reconsent').setDescription('Ask verified members to accept the new version before using the bot')))
+    .addSubcommand(sub => sub.setName('age_check').setDescription('Ask members to confirm their age before verifying')
+      .addIntegerOption(opt => opt.setName('minimum_age').setDescription('Minimum age (0 turns the check off)').setRequired(true).setMinValue(0).setMaxValue(99)))
+    .addSubcommand(sub => sub.setName('quiz').setDescription('Edit the rules quiz members answer before verifying'))
+    .addSubcommand(sub => sub.setName('quota').setDescription('Set the daily token quota for every member')
+      .addIntegerOption(opt => opt.setName('amount').setDescription('Tokens per day').setRequired(true).setMinValue(0).setMaxValue(MAX_TOKEN_ADJUSTMENT)))
+    .addSubcommand(sub => sub.setName('role_quota').setDescription('Set or remove the daily token quota of a role')
+      .addRoleOption(opt => opt.setName('role').setDescription('Role to configure').setRequired(true))
+      .addIntegerOption(opt => opt.setName('amount').setDescription('Tokens per day (omit to remove)').setMinValue(0).setMaxValue(MAX_TOKEN_ADJUSTMENT)))
+    .addSubcommand(sub => sub.setName('donations').setDescription('Set the perks members get when they donate')
+      .addRoleOption(opt => opt.setName('role').setDescription('Role given to donors'))
+      .addChannelOption(opt => opt.setName('channel').setDescription('Channel for thank-you posts').addChannelTypes(ChannelType.GuildText))
+      .addIntegerOption(opt => opt.setName('bonus_tokens').setDescription('AI tokens added per donation (0 turns the bonus off)').setMinValue(0).setMaxValue(MAX_TOKEN_ADJUSTMENT)))
+    .addSubcommand(sub => sub.setName('unset').setDescription('Clear one setting')
+      .addStringOption(opt => opt.setName('setting').setDescription('Setting to clear').setRequired(true).addChoices(
+        { name: 'Registration channel', value: 'registrationChannelId' },
+        { name: 'AI channel', value: 'aiChannelId' },
+        { name: 'Verified role', value: 'verifiedRoleId' },
+        { name: 'Unverified role', value: 'unverifiedRoleId' },
+        { name: 'Daily quota', value: 'defaultQuota' },
+        { name: 'Role quotas', value: 'roleQuotas' },
+        { name: 'Donor role', value: 'donorRoleId' },
+        { name: 'Donation thank-you channel', value: 'donationChannelId' },
+        { name: 'Donation bonus tokens', value: 'donationBonusTokens' }
+      ))),
+  permission: PermissionsBitField.Flags.Administrator,
+  deniedMessage: 'Only administrators may change the server settings.',
+  execute,
+  saveGuildSettings,
+  SETUP_TERMS_MODAL_ID,
+  SETUP_QUIZ_MODAL_ID
+};
@@ -0,0 +1,48 @@
+/*
+LineDevs - commands/slash/tokens.cjs
+/tokens: balance and history for members; grant for administrators.
+*/
+
+const { SlashCommandBuilder, PermissionsBitField, MessageFlags } = require('discord.js');
+const { MAX_TOKEN_ADJUSTMENT } = require('../../lib/adminActions.cjs');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('tokens').setDescription('Check or manage AI tokens')
+    .addSubcommand(sub => sub.setName('balance').setDescription('Show your token balance'))
+    .addSubcommand(sub => sub.setName('history').setDescription('Show your recent token transactions'))
+    .addSubcommand(sub => sub.setName('grant').setDescription('Grant or remove tokens (administrators)')
+      .addUserOption(opt => opt.setName('user').setDescription('Member to credit').setRequired(true))
+      .addIntegerOption(opt => opt.setName('amount').setDescription('Tokens to add (negative to remove)').setRequired(true).setMinValue(-MAX_TOKEN_ADJUSTMENT).setMaxValue(MAX_TOKEN_ADJUSTMENT))
+      .addStringOption(opt => opt.setName('reason').setDescription('Reason for the ledger').setMaxLength(200))),
+  subcommandPermissions: {
+    grant: { permission: PermissionsBitField.Flags.Administrator, deniedMessage: 'Only administrators may grant tokens.' }
+  },
+  consentGated: true,
+
+  async execute(interaction, { tokenService, guildConfig, adminActions }) {
+    const sub = interaction.options.getSubcommand();
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    if (sub === 'balance') {
+      const settings = await guildConfig.get(interaction.guildId);
+      const b = await tokenService.getBalance(interaction.user.id, { quota: tokenService.quotaForMember(interaction.member, settings), guildId: interaction.guildId });
+      return interaction.editReply({ content: `You have **${b.tokens}** token(s) remaining today (daily quota ${b.quota}). Quota resets <t:${Math.floor(b.nextResetAt.getTime() / 1000)}:R>. Use /ai <prompt> to spend tokens.` });
+    }
+
+    if (sub === 'history') {
+      const entries = await tokenService.history(interaction.user.id, 15, interaction.guildId);
+      if (!entries.length) return interaction.editReply({ content: 'No token transactions yet.' });
+      const lines = entries.map(e => `<t:${Math.floor(new Date(e.created_at).getTime() / 1000)}:R> **${e.delta >= 0 ? '+' : ''}${e.delta}** ${e.kind}${e.reason ? ` — ${e.reason}` : ''} (balance ${e.balance_after})`);
+      return interaction.editReply({ content: `**Recent token transactions**\n${lines.join('\n')}`.slice(0, 2000) });
+    }
+
+    if (sub === 'grant') {
+      const target = interaction.options.getUser('user', true);
+      const amount = interaction.options.getInteger('amount', true);
+      const reason = interaction.options.getString('reason') || 'admin grant';
+      if (amount === 0) return interaction.editReply({ content: 'The amount must not be zero.' });
+      const { balance } = await adminActions.adjustTokens({ actorId: interaction.user.id, guildId: interaction.guildId, discordId: target.id, amount, reason, via: 'discord' });
+      return interaction.editReply({ content: `${amount >= 0 ? 'Granted' : 'Removed'} ${Math.abs(amount)} token(s) ${amount >= 0 ? 'to' : 'from'} ${target}. New balance: ${balance}.` });
+    }
+  }
+};
@@ -0,0 +1,22 @@
+/*
+LineDevs - commands/slash/unban.cjs
+/unban: lifts a member's AI ban and Discord timeout.
+*/
+
+const { SlashCommandBuilder, PermissionsBitField, MessageFlags } = require('discord.js');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('unban').setDescription('Lift a member\'s timeout and AI ban')
+    .addUserOption(opt => opt.setName('user').setDescription('Member to unban').setRequired(true))
+    .addStringOption(opt => opt.setName('reason').setDescription('Reason for the audit log').setMaxLength(500)),
+  permission: PermissionsBitField.Flags.ModerateMembers,
+  deniedMessage: 'Only moderators may use this command.',
+
+  async execute(interaction, { adminActions }) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const target = interaction.options.getUser('user', true);
+    const reason = interaction.options.getString('reason') || 'Lifted by moderator';
+    const { timeoutLifted } = await adminActions.clearBan({ actorId: interaction.user.id, guildId: interaction.guildId, discordId: target.id, reason, via: 'discord' });
+    return interaction.editReply({ content: `Cleared the ban for ${target}${timeoutLifted ? ' and lifted their timeout' : ''}.` });
+  }
+};
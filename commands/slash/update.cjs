@@ -0,0 +1,70 @@
+/*
+LineDevs - commands/slash/update.cjs
+/update: re-checks the member's Roblox account now instead of waiting for the re-sync job, in this server only.
+Members who still have to accept terms published with re-consent keep their username and group roles up to date, but
+are sent to Agree & Register instead of being given the Verified role.
+*/
+
+const { SlashCommandBuilder, MessageFlags } = require('discord.js');
+
+const updatePresses = new Map();
+const roleList = (ids) => ids.map(id => `<@&${id}>`).join(', ');
+
+// Same rule as the re-consent guard: only terms published with re-consent need an acceptance on record, so members
+// verified before consent was tracked still count as accepted.
+async function hasAcceptedTerms(storage, guildId, discordId) {
+  const required = await storage.terms.requiredVersion(guildId);
+  if (!required) return true;
+  const consent = await storage.terms.latestConsent(guildId, discordId);
+  return Boolean(consent) && consent.version >= required;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('update').setDescription('Refresh your Roblox username and group roles'),
+
+  async execute(interaction, ctx) {
+    const { storage, guildConfig, robloxSync, appLog, takeCooldown, config } = ctx;
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const wait = takeCooldown(updatePresses, interaction.user.id, config.robloxUpdateCooldownSeconds);
+    if (wait) return interaction.editReply({ content: `Please wait ${wait}s before updating again.` });
+    const user = await storage.users.get(interaction.user.id);
+    if (!user || !user.roblox_id) return interaction.editReply({ content: 'You have not linked a Roblox account yet. Press **Agree & Register** in the registration channel first.' });
+
+    let result;
+    try {
+      result = (await robloxSync.resolveBatch([user.roblox_id])).get(String(user.roblox_id));
+    } catch (e) {
+      await appLog('WARN', `Roblox lookup failed for /update by ${interaction.user.tag}`, e.message);
+      return interaction.editReply({ content: 'Roblox is not responding right now. Please try again later.' });
+    }
+    const check = { discordId: user.discord_id, robloxId: user.roblox_id, previousUsername: user.roblox_username, robloxUsername: result.name || user.roblox_username, previousStatus: user.roblox_status || 'active', status: result.status };
+    await storage.users.recordRobloxCheck(user.discord_id, { status: check.status, robloxUsername: result.name && result.name !== user.roblox_username ? result.name : undefined });
+    await ctx.logRobloxCheck(check);
+    if (ctx.ROBLOX_INACTIVE_STATUSES.has(check.status)) {
+      await ctx.applyRobloxCheckToMember(interaction.member, check, null);
+      return interaction.editReply({ content: `Your linked Roblox account **${check.robloxUsername}** is ${check.status} on Roblox. Press **Agree & Register** to verify a different account.` });
+    }
+
+    const settings = await guildConfig.get(interaction.guildId);
+    const lines = [`Updated as **${check.robloxUsername}**${check.robloxUsername !== check.previousUsername ? ` (was ${check.previousUsername})` : ''}.`];
+    if (settings.verifiedRoleId && !interaction.member.roles.cache.has(settings.verifiedRoleId)) {
+      if (!(await hasAcceptedTerms(storage, interaction.guildId, interaction.user.id))) {
+        lines.push('You have not accepted the current terms of this server yet. Press **Agree & Register** in the registration channel to accept them and get verified here.');
+      } else {
+        await interaction.member.roles.add(settings.verifiedRoleId).catch(e => appLog('WARN', 'Failed to add verified role (/update)', e.message));
+        if (settings.unverifiedRoleId) await interaction.member.roles.remove(settings.unverifiedRoleId).catch(e => appLog('WARN', 'Failed to remove unverified role (/update)', e.message));
+      }
+    }
+    let bound;
+    try {
+      bound = await ctx.applyRobloxCheckToMember(interaction.member, check, ctx.groupRanksLoader(check.robloxId));
+    } catch (e) {
+      await appLog('WARN', `Group role bindings failed for /update by ${interaction.user.tag}`, e.message);
+      lines.push('Group roles could not be checked right now. Please try again later.');
+    }
+    if (bound && bound.added.length) lines.push(`Added: ${roleList(bound.added)}`);
+    if (bound && bound.removed.length) lines.push(`Removed: ${roleList(bound.removed)}`);
+    if (bound && !bound.added.length && !bound.removed.length) lines.push('Your group roles are up to date.');
+    return interaction.editReply({ content: lines.join('\n'), allowedMentions: { parse: [] } });
+  }
+};
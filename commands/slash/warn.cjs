@@ -0,0 +1,26 @@
+/*
+LineDevs - commands/slash/warn.cjs
+/warn: records a manual warning and DMs it to the member.
+*/
+
+const { SlashCommandBuilder, PermissionsBitField, MessageFlags } = require('discord.js');
+
+module.exports = {
+  data: new SlashCommandBuilder().setName('warn').setDescription('Issue a warning to a member')
+    .addUserOption(opt => opt.setName('user').setDescription('Member to warn').setRequired(true))
+    .addStringOption(opt => opt.setName('reason').setDescription('Reason shown to the member').setRequired(true).setMaxLength(500)),
+  permission: PermissionsBitField.Flags.ModerateMembers,
+  deniedMessage: 'Only moderators may use this command.',
+
+  async execute(interaction, { moderation, auditLog }) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const target = interaction.options.getUser('user', true);
+    const reason = interaction.options.getString('reason', true);
+    const guildId = interaction.guildId;
+    const infraction = await moderation.recordInfraction({ discordId: target.id, guildId, channelId: interaction.channelId, source: 'manual', action: 'warn', reason, moderatorId: interaction.user.id });
+    const flags = await moderation.activeFlagCount(target.id, guildId);
+    await auditLog(interaction.user.id, 'warn', target.id, { guildId, infractionId: infraction.id, reason });
+    const dm = await target.send(`You received a warning in **${interaction.guild?.name || 'LineDevs'}**: ${reason}`).then(() => true).catch(() => false);
+    return interaction.editReply({ content: `Warned ${target} (infraction \`#${infraction.id}\`, ${flags} active flag(s)).${dm ? '' : ' Could not DM the member.'}` });
+  }
+};
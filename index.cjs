@@ -6,25 +6,41 @@ Preserves behavior; reorganized for readability and maintainability.
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const http = require('http');
 const { Server: IOServer } = require('socket.io');
 const fetch = require('node-fetch');
-const { Pool } = require('pg');
+const { createVerificationProviders } = require('./lib/verificationProviders.cjs');
+const { createVerification } = require('./lib/verification.cjs');
+const { createAiClient } = require('./lib/aiClient.cjs');
+const { createTokenService, parseRoleQuotas } = require('./lib/tokens.cjs');
+const { createModeration, loadModerationConfig, formatDuration } = require('./lib/moderation.cjs');
+const { createStorage } = require('./lib/storage.cjs');
+const { createDashboardAuth, parseCookies, serializeCookie, SESSION_COOKIE, STATE_COOKIE, STATE_TTL_SECONDS } = require('./lib/dashboardAuth.cjs');
+const { createRedactor, wholeWordPattern, scrubTerms } = require('./lib/redaction.cjs');
+const { createHealth } = require('./lib/health.cjs');
+const { createCommandRegistry } = require('./lib/commandRegistry.cjs');
+const { createMetrics } = require('./lib/metrics.cjs');
+const { createAdminActions, adminError } = require('./lib/adminActions.cjs');
+const { createGuildConfig } = require('./lib/guildConfig.cjs');
+const { createRobloxSync, createMemberSync, INACTIVE_STATUSES: ROBLOX_INACTIVE_STATUSES } = require('./lib/robloxSync.cjs');
+const { createGroupBindings } = require('./lib/groupBindings.cjs');
+const { createOnboardingTracker } = require('./lib/onboarding.cjs');
+const { createDonations, createDonationProviders, describeDonation, formatAmount } = require('./lib/donations.cjs');
 const {
   Client,
   GatewayIntentBits,
   Partials,
   REST,
   Routes,
-  SlashCommandBuilder,
   ActionRowBuilder,
   ButtonBuilder,
   ButtonStyle,
   ModalBuilder,
   TextInputBuilder,
   TextInputStyle,
-  PermissionsBitField,
+  EmbedBuilder,
   MessageFlags
 } = require('discord.js');
 require('dotenv').config();
@@ -36,60 +52,101 @@ const VERSION = '2.4.4';
    ===================== */
 const DISCORD_TOKEN = process.env.DISCORD_TOKEN || '';
 const CLIENT_ID = process.env.CLIENT_ID || '';
+// GUILD_ID is the home server (dashboard logins). The channel and role IDs below seed its guild_settings on
+// first start; after that they are managed per server with /setup.
 const GUILD_ID = process.env.GUILD_ID || '';
 const UNVERIFIED_ROLE_ID = process.env.UNVERIFIED_ROLE_ID || process.env.UNVERIFIED_ID || '';
 const VERIFIED_ROLE_ID = process.env.VERIFIED_ROLE_ID || process.env.VERIFIED_ID || '';
 const REGISTRATION_CHANNEL_ID = process.env.REGISTRATION_CHANNEL_ID || '';
 const AI_CHANNEL_ID = process.env.AI_CHANNEL_ID || '';
 const DATABASE_URL = process.env.DATABASE_URL || '';
+const DATABASE_SSL = process.env.DATABASE_SSL !== 'false';
+const DATA_FILE = process.env.DATA_FILE || undefined;
 const GEMINI_API = process.env.GEMINI_API || '';
 const ROBLOX_API_KEY = process.env.ROBLOX_API_KEY || '';
 const PORT = parseInt(process.env.PORT || '3000', 10);
+const VERIFICATION_TTL_MINUTES = parseInt(process.env.VERIFICATION_TTL_MINUTES || '30', 10);
+const VERIFICATION_REISSUE_COOLDOWN_SECONDS = parseInt(process.env.VERIFICATION_REISSUE_COOLDOWN_SECONDS || '60', 10);
+const VERIFICATION_DONE_COOLDOWN_SECONDS = parseInt(process.env.VERIFICATION_DONE_COOLDOWN_SECONDS || '15', 10);
+const VERIFICATION_SWEEP_INTERVAL_MINUTES = parseInt(process.env.VERIFICATION_SWEEP_INTERVAL_MINUTES || '5', 10);
+const VERIFICATION_PROVIDERS = (process.env.VERIFICATION_PROVIDERS || 'eryn,profile').split(',').map(s => s.trim()).filter(Boolean);
+const VERIFICATION_PROVIDER_TIMEOUT_MS = parseInt(process.env.VERIFICATION_PROVIDER_TIMEOUT_MS || '2000', 10);
+const ROBLOX_USERS_API_BASE = process.env.ROBLOX_USERS_API_BASE || 'https://users.roblox.com';
+const ROBLOX_SYNC_INTERVAL_MINUTES = parseInt(process.env.ROBLOX_SYNC_INTERVAL_MINUTES || '360', 10);
+const ROBLOX_SYNC_RECHECK_HOURS = parseInt(process.env.ROBLOX_SYNC_RECHECK_HOURS || '24', 10);
+const ROBLOX_SYNC_BATCH_SIZE = parseInt(process.env.ROBLOX_SYNC_BATCH_SIZE || '100', 10);
+const ROBLOX_SYNC_MAX_USERS = parseInt(process.env.ROBLOX_SYNC_MAX_USERS || '1000', 10);
+const ROBLOX_SYNC_REQUEST_INTERVAL_MS = parseInt(process.env.ROBLOX_SYNC_REQUEST_INTERVAL_MS || '1000', 10);
+const ROBLOX_SYNC_REMOVE_VERIFIED = process.env.ROBLOX_SYNC_REMOVE_VERIFIED === 'true';
+const ROBLOX_GROUPS_API_BASE = process.env.ROBLOX_GROUPS_API_BASE || 'https://groups.roblox.com';
+const ROBLOX_UPDATE_COOLDOWN_SECONDS = parseInt(process.env.ROBLOX_UPDATE_COOLDOWN_SECONDS || '60', 10);
+const ROBLOX_OAUTH_CLIENT_ID = process.env.ROBLOX_OAUTH_CLIENT_ID || '';
+const ROBLOX_OAUTH_CLIENT_SECRET = process.env.ROBLOX_OAUTH_CLIENT_SECRET || '';
+const ROBLOX_OAUTH_REDIRECT_URI = process.env.ROBLOX_OAUTH_REDIRECT_URI || '';
+const GAME_VERIFY_PLACE_ID = process.env.GAME_VERIFY_PLACE_ID || '';
+const GAME_VERIFY_SECRET = process.env.GAME_VERIFY_SECRET || '';
+const AI_BACKEND = process.env.AI_BACKEND || 'gemini';
+const AI_MODEL = process.env.AI_MODEL || '';
+const AI_API_KEY = process.env.AI_API_KEY || (AI_BACKEND === 'gemini' ? GEMINI_API : AI_BACKEND === 'openai' ? (process.env.OPENAI_API_KEY || '') : '');
+const AI_BASE_URL = process.env.AI_BASE_URL || '';
+const AI_TIMEOUT_MS = parseInt(process.env.AI_TIMEOUT_MS || '60000', 10);
+const AI_MAX_RETRIES = parseInt(process.env.AI_MAX_RETRIES || '2', 10);
+const AI_STREAM_EDIT_INTERVAL_MS = parseInt(process.env.AI_STREAM_EDIT_INTERVAL_MS || '1500', 10);
+const AI_MAX_REPLY_MESSAGES = parseInt(process.env.AI_MAX_REPLY_MESSAGES || '4', 10);
+const AI_ATTACHMENT_MAX_BYTES = parseInt(process.env.AI_ATTACHMENT_MAX_BYTES || String(5 * 1024 * 1024), 10);
+const AI_TEXT_ATTACHMENT_MAX_CHARS = parseInt(process.env.AI_TEXT_ATTACHMENT_MAX_CHARS || '20000', 10);
+const AI_SYSTEM_PROMPT = process.env.AI_SYSTEM_PROMPT || '';
+const AI_CONTEXT_TOKEN_BUDGET = parseInt(process.env.AI_CONTEXT_TOKEN_BUDGET || '6000', 10);
+const AI_MEMORY_DEFAULT = process.env.AI_MEMORY_DEFAULT === 'true';
+const TOKEN_DEFAULT_QUOTA = parseInt(process.env.TOKEN_DEFAULT_QUOTA || '15', 10);
+const TOKEN_ROLE_QUOTAS = parseRoleQuotas(process.env.TOKEN_ROLE_QUOTAS || '');
+const TOKEN_RESET_HOUR_UTC = parseInt(process.env.TOKEN_RESET_HOUR_UTC || '0', 10);
+const AI_TOKEN_COST_BASE = parseInt(process.env.AI_TOKEN_COST_BASE || '1', 10);
+const AI_TOKEN_COST_PER_CHARS = parseInt(process.env.AI_TOKEN_COST_PER_CHARS || '0', 10);
+const AI_TOKEN_COST_PER_IMAGE = parseInt(process.env.AI_TOKEN_COST_PER_IMAGE || '0', 10);
+const MODERATION_DELETE_MESSAGES = process.env.MODERATION_DELETE_MESSAGES === 'true';
+const DASHBOARD_OAUTH_CLIENT_ID = process.env.DASHBOARD_OAUTH_CLIENT_ID || CLIENT_ID;
+const DASHBOARD_OAUTH_CLIENT_SECRET = process.env.DASHBOARD_OAUTH_CLIENT_SECRET || process.env.DISCORD_CLIENT_SECRET || '';
+const DASHBOARD_OAUTH_REDIRECT_URI = process.env.DASHBOARD_OAUTH_REDIRECT_URI || '';
+const DASHBOARD_SESSION_SECRET = process.env.DASHBOARD_SESSION_SECRET || '';
+const DASHBOARD_SESSION_HOURS = parseInt(process.env.DASHBOARD_SESSION_HOURS || '12', 10);
+const DASHBOARD_ADMIN_ROLE_IDS = process.env.DASHBOARD_ADMIN_ROLE_IDS || '';
+const DASHBOARD_VIEWER_ROLE_IDS = process.env.DASHBOARD_VIEWER_ROLE_IDS || '';
+const LOG_RETENTION_DAYS = parseInt(process.env.LOG_RETENTION_DAYS || '30', 10);
+const LOG_EXPORT_MAX_ROWS = parseInt(process.env.LOG_EXPORT_MAX_ROWS || '50000', 10);
+const DATA_DELETION_GRACE_HOURS = parseInt(process.env.DATA_DELETION_GRACE_HOURS || '72', 10);
+const DATA_EXPORT_COOLDOWN_SECONDS = parseInt(process.env.DATA_EXPORT_COOLDOWN_SECONDS || '600', 10);
+const DONATION_PROVIDERS = (process.env.DONATION_PROVIDERS || 'kofi,stripe').split(',').map(s => s.trim()).filter(Boolean);
+const KOFI_VERIFICATION_TOKEN = process.env.KOFI_VERIFICATION_TOKEN || '';
+const KOFI_PAGE_URL = process.env.KOFI_PAGE_URL || '';
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || '';
+const STRIPE_PAYMENT_LINK = process.env.STRIPE_PAYMENT_LINK || '';
+const DONATION_GCASH_NUMBER = process.env.DONATION_GCASH_NUMBER || '';
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '10000', 10);
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '2000', 10);
+// Hosts that sleep idle web services (e.g. Render's free tier) stay awake when the bot requests its own URL.
+const KEEP_ALIVE_URL = process.env.KEEP_ALIVE_URL || process.env.SELF_URL || '';
+const KEEP_ALIVE_INTERVAL_MINUTES = parseInt(process.env.KEEP_ALIVE_INTERVAL_MINUTES || '3', 10);
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+const METRICS_LAG_SPIKE_MS = parseInt(process.env.METRICS_LAG_SPIKE_MS || '100', 10);
 
 /* =====================
-   Database Initialization
+   Storage
    ===================== */
-let pool = null;
+// Postgres when DATABASE_URL is set, otherwise the embedded file store (DATA_FILE, default data/linedevs.json).
+const storage = createStorage({ databaseUrl: DATABASE_URL, ssl: DATABASE_SSL, dataFile: DATA_FILE, verificationTtlMinutes: VERIFICATION_TTL_MINUTES, log: (...args) => appLog(...args) });
+const guildConfig = createGuildConfig({ storage });
 
 async function initDatabase() {
-  if (!DATABASE_URL) return;
-  pool = new Pool({ connectionString: DATABASE_URL, ssl: { rejectUnauthorized: false } });
-
   try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        discord_id TEXT PRIMARY KEY,
-        roblox_id TEXT,
-        roblox_username TEXT,
-        tokens INTEGER DEFAULT 15,
-        last_token_reset TIMESTAMP DEFAULT now(),
-        flags INTEGER DEFAULT 0,
-        banned_until TIMESTAMP NULL,
-        linked_at TIMESTAMP NULL
-      );
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS verifications (
-        discord_id TEXT PRIMARY KEY,
-        roblox_id TEXT,
-        roblox_username TEXT,
-        verification_key TEXT,
-        created_at TIMESTAMP DEFAULT now()
-      );
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS logs (
-        id SERIAL PRIMARY KEY,
-        ts TIMESTAMP DEFAULT now(),
-        level TEXT,
-        message TEXT
-      );
-    `);
-
-    console.log('Database initialized.');
+    await storage.init();
+    console.log(`Database initialized (${storage.kind}).`);
     await appLog('INFO', 'Database setup complete.');
+    if (GUILD_ID) {
+      const seeded = await guildConfig.seed(GUILD_ID, { registrationChannelId: REGISTRATION_CHANNEL_ID, aiChannelId: AI_CHANNEL_ID, verifiedRoleId: VERIFIED_ROLE_ID, unverifiedRoleId: UNVERIFIED_ROLE_ID });
+      if (seeded) await appLog('INFO', `Imported settings and member balances for guild ${GUILD_ID} from the environment.`);
+    }
+    await purgeOldLogs();
   } catch (e) {
     console.error(e);
     await appLog('ERROR', 'Database initialization failed:', e && e.message || e);
@@ -101,107 +158,358 @@ async function initDatabase() {
    ===================== */
 const logBuffer = [];
 const MAX_LOGS = 6000;
+// Log inserts are not awaited by callers; shutdown waits for the ones still running.
+const pendingLogWrites = new Set();
 
-async function appLog(level, ...parts) {
-  const msg = `[${level}] ${new Date().toISOString()} - ${parts.join(' ')}`;
+// fields: { event, discordId, robloxId, meta } - stored in their own columns so the log explorer can filter on them.
+async function writeLog(level, text, fields = {}) {
+  const msg = `[${level}] ${new Date().toISOString()} - ${text}`;
   const last = logBuffer.length ? logBuffer[logBuffer.length - 1].msg : null;
   if (last === msg) return;
   console.log(msg);
   logBuffer.push({ level, msg, ts: Date.now() });
   if (logBuffer.length > MAX_LOGS) logBuffer.shift();
-  if (pool) {
-    pool.query('INSERT INTO logs(level,message) VALUES($1,$2)', [level, msg])
-      .catch(e => console.error('DB Log Error:', e.message));
+  const write = storage.logs.append({ level, message: text, event: fields.event, discordId: fields.discordId, robloxId: fields.robloxId, meta: fields.meta })
+    .catch(e => console.error('DB Log Error:', e.message))
+    .finally(() => pendingLogWrites.delete(write));
+  pendingLogWrites.add(write);
+}
+
+async function appLog(level, ...parts) {
+  return writeLog(level, parts.join(' '));
+}
+
+// Structured form of appLog, e.g. logEvent('INFO', 'verification.completed', { discordId, robloxId, meta: { method } }, 'User ... verified').
+async function logEvent(level, event, fields, ...parts) {
+  return writeLog(level, parts.join(' '), { ...fields, event });
+}
+
+// Records a staff action with the acting user's ID, in the logs and the audit log.
+async function auditLog(actorId, action, targetId, details = {}) {
+  await logEvent('AUDIT', `audit.${action}`, { discordId: targetId, meta: { actorId, ...details } }, `${action} by ${actorId} on ${targetId}`, JSON.stringify(details));
+  await storage.logs.audit({ actorId, action, targetId, details })
+    .catch(e => appLog('ERROR', 'DB audit log insert failed', e.message));
+}
+
+// Names of users the bot has seen, hidden from dashboard viewers (admins see raw log lines).
+const redactor = createRedactor();
+
+function rememberPersonalNames(...people) {
+  for (const p of people) {
+    if (!p) continue;
+    const user = p.user || p;
+    redactor.remember(user.tag, user.username, user.globalName, p.displayName, p.nickname);
   }
 }
 
 /* =====================
-   Helpers & Utils
+   Verification Providers
    ===================== */
-function generateVerificationKey() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789._';
-  let k = '';
-  for (let i = 0; i < 12; i++) k += chars.charAt(Math.floor(Math.random() * chars.length));
-  return k;
-}
+const verificationProviders = createVerificationProviders(VERIFICATION_PROVIDERS, {
+  log: (...args) => appLog(...args),
+  timeout: VERIFICATION_PROVIDER_TIMEOUT_MS,
+  usersBaseUrl: ROBLOX_USERS_API_BASE,
+  erynBaseUrl: process.env.ERYN_API_BASE,
+  bloxlinkApiKey: process.env.BLOXLINK_API_KEY,
+  bloxlinkBaseUrl: process.env.BLOXLINK_API_BASE,
+  roverApiKey: process.env.ROVER_API_KEY,
+  roverBaseUrl: process.env.ROVER_API_BASE,
+  oauthClientId: ROBLOX_OAUTH_CLIENT_ID,
+  oauthClientSecret: ROBLOX_OAUTH_CLIENT_SECRET,
+  oauthRedirectUri: ROBLOX_OAUTH_REDIRECT_URI,
+  oauthStateSecret: process.env.ROBLOX_OAUTH_STATE_SECRET,
+  oauthBaseUrl: process.env.ROBLOX_OAUTH_BASE_URL,
+  gamePlaceId: GAME_VERIFY_PLACE_ID,
+  gameSecret: GAME_VERIFY_SECRET
+});
 
-async function resolveRobloxUsername(username) {
-  try {
-    const res = await fetch('https://users.roproxy.com/v1/usernames/users', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', ...(ROBLOX_API_KEY ? { 'x-api-key': ROBLOX_API_KEY } : {}) },
-      body: JSON.stringify({ usernames: [username], excludeBannedUsers: true })
-    });
-    if (!res.ok) return null;
-    const js = await res.json();
-    if (!js.data || !js.data.length) return null;
-    return js.data[0];
-  } catch (e) {
-    await appLog('WARN', 'resolveRobloxUsername error', e && e.message || e);
-    return null;
+/* =====================
+   Roblox Re-sync
+   ===================== */
+const robloxSync = createRobloxSync({
+  storage,
+  usersBaseUrl: ROBLOX_USERS_API_BASE,
+  apiKey: ROBLOX_API_KEY,
+  batchSize: ROBLOX_SYNC_BATCH_SIZE,
+  maxUsersPerRun: ROBLOX_SYNC_MAX_USERS,
+  recheckAfterMs: ROBLOX_SYNC_RECHECK_HOURS * 60 * 60 * 1000,
+  requestIntervalMs: ROBLOX_SYNC_REQUEST_INTERVAL_MS,
+  log: (...args) => appLog(...args),
+  onChecked: applyRobloxCheck
+});
+const groupBindings = createGroupBindings({ storage, groupsBaseUrl: ROBLOX_GROUPS_API_BASE, requestIntervalMs: ROBLOX_SYNC_REQUEST_INTERVAL_MS, log: (...args) => appLog(...args) });
+const memberSync = createMemberSync({ guildConfig, groupBindings, removeVerified: ROBLOX_SYNC_REMOVE_VERIFIED, log: (...args) => appLog(...args) });
+
+// Logs a rename or status change found by the re-sync job (or /update).
+async function logRobloxCheck(check) {
+  if (check.robloxUsername !== check.previousUsername) {
+    redactor.remember(check.robloxUsername);
+    await logEvent('INFO', 'roblox.renamed', { discordId: check.discordId, robloxId: check.robloxId, meta: { from: check.previousUsername, to: check.robloxUsername } }, `Roblox account ${check.robloxId} of ${check.discordId} was renamed from ${check.previousUsername} to ${check.robloxUsername}`);
+  }
+  if (check.status !== check.previousStatus) {
+    await logEvent(ROBLOX_INACTIVE_STATUSES.has(check.status) ? 'WARN' : 'INFO', 'roblox.status', { discordId: check.discordId, robloxId: check.robloxId, meta: { from: check.previousStatus, to: check.status } }, `Roblox account ${check.robloxUsername} (${check.robloxId}) of ${check.discordId} is now ${check.status}`);
   }
 }
 
-async function checkDiscordRobloxLinked(discordId) {
-  try {
-    const res = await fetch('https://verify.eryn.io/api/user/' + discordId);
-    if (!res.ok) return null;
-    const js = await res.json();
-    if (js && js.status === 'ok') return { robloxId: String(js.robloxId), robloxUsername: js.robloxUsername };
-    return null;
-  } catch (e) {
-    await appLog('WARN', 'checkDiscordRobloxLinked error', e && e.message || e);
-    return null;
+// Group ranks are looked up at most once per check, and only if some server has bindings.
+function groupRanksLoader(robloxId) {
+  let ranks = null;
+  return async () => ranks || (ranks = await groupBindings.fetchGroupRanks(robloxId));
+}
+
+// Mirrors a re-sync check into every server the member is in.
+async function applyRobloxCheck(check) {
+  await logRobloxCheck(check);
+  const changed = check.robloxUsername !== check.previousUsername || check.status !== check.previousStatus;
+  const loadRanks = groupRanksLoader(check.robloxId);
+  for (const guild of client.guilds.cache.values()) {
+    if (!changed && !(await groupBindings.list(guild.id)).length) continue;
+    const member = await guild.members.fetch(check.discordId).catch(() => null);
+    if (!member) continue;
+    await memberSync.applyToMember(member, check, loadRanks).catch(e => appLog('WARN', `Roblox re-sync failed for ${check.discordId} in ${guild.name}`, e.message));
   }
 }
 
-const BANNED_WORDS = ['fuck','motherfucker','fucker','cunt','nigger','nigga','bitch','dickhead','asshole'];
-function containsBannedWord(text) {
-  if (!text) return false;
-  const l = String(text).toLowerCase();
-  return BANNED_WORDS.some(w => l.includes(w));
+async function resyncRobloxAccounts() {
+  if (!client.isReady() || robloxSync.isRunning()) return;
+  const summary = await robloxSync.run();
+  if (!summary.checked && !summary.failedBatches) return;
+  await appLog('INFO', `Roblox re-sync checked ${summary.checked} account(s) in ${Math.round(summary.durationMs / 1000)}s: ${summary.renamed} renamed, ${summary.banned} banned, ${summary.deleted} deleted, ${summary.restored} restored${summary.failedBatches ? `, ${summary.failedBatches} failed batch(es)` : ''}.`);
 }
 
 /* =====================
-   Metrics & Runtime State
+   Moderation
    ===================== */
-const pendingVerifications = new Map();
-const metrics = { uptimeStart: Date.now(), memoryUsageMB: 0, lagSpikes: 0, codeUpdates: 0, activeUsers: 0, status: 'starting' };
+const moderation = createModeration({ storage, log: (...args) => appLog(...args), config: loadModerationConfig() });
 
 /* =====================
-   Discord Client & Commands
+   Tokens
    ===================== */
-const client = new Client({ intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMembers, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent], partials: [Partials.Channel] });
+const tokenService = createTokenService({
+  storage,
+  log: (...args) => appLog(...args),
+  defaultQuota: TOKEN_DEFAULT_QUOTA,
+  roleQuotas: TOKEN_ROLE_QUOTAS,
+  resetHourUtc: TOKEN_RESET_HOUR_UTC,
+  costBase: AI_TOKEN_COST_BASE,
+  costPerChars: AI_TOKEN_COST_PER_CHARS,
+  costPerImage: AI_TOKEN_COST_PER_IMAGE
+});
 
-const registerCommand = new SlashCommandBuilder().setName('register_show_terms').setDescription('Display Terms & Policies for registration');
-const aiCommand = new SlashCommandBuilder().setName('ai').setDescription('Ask the Assistant privately (uses 1 token)').addStringOption(opt => opt.setName('prompt').setDescription('Your prompt').setRequired(true));
+// Scans a new or edited message and applies the next step of the escalation ladder.
+async function moderateMessage(message, { edited = false } = {}) {
+  const match = moderation.scan(message.content, message.channelId);
+  if (!match) return false;
+  const { flags, step } = await moderation.flag({ discordId: message.author.id, guildId: message.guildId, channelId: message.channelId, messageId: message.id, match, content: message.content });
+  // The flagged text stays in meta (admins only); log lines are shown to viewers.
+  await logEvent('WARN', 'moderation.flag', { discordId: message.author.id, meta: { ruleId: match.ruleId, flags, action: step.action, channelId: message.channelId, edited, content: message.content } }, `User ${message.author.tag} flagged (${flags}) for banned word usage${edited ? ' in an edited message' : ''} [${match.ruleId}]`);
+  if (MODERATION_DELETE_MESSAGES) await message.delete().catch(e => appLog('WARN', 'Failed to delete flagged message', e.message));
 
+  const notice = step.action === 'warn'
+    ? `You used a banned word. Warning ${flags}/${moderation.ladder.length}.`
+    : step.action === 'timeout'
+      ? `You used a banned word. Flag ${flags}: ${formatDuration(step.durationMs)} timeout.`
+      : `You used a banned word. Flag ${flags}: you are being removed from the server.`;
+  if (MODERATION_DELETE_MESSAGES) await message.channel.send({ content: `${message.author} ${notice}`, allowedMentions: { users: [message.author.id] } }).catch(() => {});
+  else await message.reply({ content: notice, allowedMentions: { repliedUser: false } }).catch(() => {});
+
+  if (step.action === 'timeout') {
+    const until = new Date(Date.now() + step.durationMs);
+    await storage.members.setBannedUntil(message.guildId, message.author.id, until).catch(e => appLog('ERROR', 'DB update banned_until failed', e.message));
+    try {
+      await message.member.timeout(step.durationMs, `${flags} flags: banned word limit reached`);
+      await logEvent('INFO', 'moderation.timeout', { discordId: message.author.id, meta: { until: until.toISOString(), flags } }, `User ${message.author.tag} temp-banned until ${until.toISOString()}`);
+    } catch (e) {
+      await appLog('ERROR', `Failed to timeout user ${message.author.tag}`, e.message);
+    }
+  } else if (step.action === 'kick') {
+    try {
+      await message.member.kick(`${flags} flags: banned word limit reached`);
+      await logEvent('INFO', 'moderation.kick', { discordId: message.author.id, meta: { flags } }, `User ${message.author.tag} kicked after ${flags} flags`);
+    } catch (e) {
+      await appLog('ERROR', `Failed to kick user ${message.author.tag}`, e.message);
+    }
+  }
+  return true;
+}
+
+/* =====================
+   Helpers & Utils
+   ===================== */
+// Returns the seconds left on the cooldown, or 0 (and records the press) when the action may proceed.
+function takeCooldown(map, key, seconds) {
+  const last = map.get(key) || 0;
+  const remaining = Math.ceil((last + seconds * 1000 - Date.now()) / 1000);
+  if (remaining > 0) return remaining;
+  map.set(key, Date.now());
+  return 0;
+}
+
+// The GUILD_ID server: dashboard roles are read from it and admin API calls default to it.
+function homeGuild() {
+  return client.guilds.cache.get(GUILD_ID) || null;
+}
+
+/* =====================
+   Discord Client
+   ===================== */
+const client = new Client({ intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMembers, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent], partials: [Partials.Channel, Partials.Message] });
+
+/* =====================
+   Metrics & Runtime State
+   ===================== */
+const metrics = createMetrics({
+  getGatewayPing: () => client.ws.ping,
+  getGuildMembers: () => client.isReady() ? client.guilds.cache.reduce((n, guild) => n + guild.memberCount, 0) : null,
+  lagSpikeMs: METRICS_LAG_SPIKE_MS
+});
+
+// The command list comes from the registry (commands/slash). Returns true once Discord accepted it.
 async function deploySlashCommands() {
   try {
     const rest = new REST({ version: '10' }).setToken(DISCORD_TOKEN);
-    await rest.put(Routes.applicationGuildCommands(CLIENT_ID, GUILD_ID), { body: [registerCommand.toJSON(), aiCommand.toJSON()] });
+    await rest.put(Routes.applicationCommands(CLIENT_ID), { body: commands.slashCommandData() });
+    // Earlier versions registered guild commands for GUILD_ID; remove them so the server does not list every command twice.
+    if (GUILD_ID) await rest.put(Routes.applicationGuildCommands(CLIENT_ID, GUILD_ID), { body: [] });
     await appLog('INFO', 'Slash commands deployed.');
+    return true;
   } catch (e) {
     await appLog('ERROR', 'deploySlashCommands failed', e && e.message || e);
+    return false;
   }
 }
 
+/* =====================
+   Verification
+   ===================== */
+const verification = createVerification({
+  storage,
+  guildConfig,
+  groupBindings,
+  providers: verificationProviders,
+  metrics,
+  apiKey: ROBLOX_API_KEY,
+  reissueCooldownSeconds: VERIFICATION_REISSUE_COOLDOWN_SECONDS,
+  doneCooldownSeconds: VERIFICATION_DONE_COOLDOWN_SECONDS,
+  rememberName: (name) => redactor.remember(name),
+  log: (...args) => appLog(...args),
+  logEvent: (...args) => logEvent(...args)
+});
+
+/* =====================
+   Registration Terms
+   ===================== */
+const DEFAULT_TERMS_TITLE = 'LineDevs Terms of Service & Registration Policy';
+
+// Shown as version 0 until a server publishes its own terms with /setup terms.
+function defaultTermsText() {
+  return [
+    'Welcome to LineDevs. Before registering, please read the following terms carefully. By clicking "Agree & Register" you confirm that you have read, understood, and accept these terms.',
+    '',
+    '**1 — Data & Privacy**',
+    '- We store your Discord ID, Roblox ID and username, token usage, and moderation flags for the purpose of verification and moderation.',
+    '- We do not collect or store your Roblox password. Verification uses a linked-account registry, Roblox login, the verification game, or the profile About section.',
+    '- Use /mydata export to receive a copy of everything stored about you, and /mydata delete to have it removed.',
+    '',
+    '**2 — Acceptable Use**',
+    '- No automated abuse, spamming, cheating, or malicious use of services connected to this server.',
+    '- Sharing API keys, tokens, or credentials publicly is prohibited.',
+    '',
+    '**3 — Moderation & Enforcement**',
+    '- Infractions may lead to warnings, temporary suspensions, or permanent removal.',
+    `- Repeated usage of aggressive profanities triggers an automated flagging workflow: ${moderation.describeLadder()}. Flags expire over time.`,
+    '',
+    '**4 — Account Linking & Single-Account Policy**',
+    '- Each Roblox account may be linked to only one Discord account within this system. Use !logout to unlink if needed.',
+    '',
+    '**5 — Support & Contact**',
+    '- For issues or appeals, contact the moderation team or open a ticket in the support channel.',
+    '',
+    'By clicking "Agree & Register", you accept these terms and consent to the described processing of account data.'
+  ].join('\n');
+}
+
+// Returns { version, title, body, createdAt } for the guild's newest terms.
+async function currentTerms(guildId) {
+  const row = await storage.terms.current(guildId);
+  if (!row) return { version: 0, title: DEFAULT_TERMS_TITLE, body: defaultTermsText(), createdAt: null };
+  return { version: row.version, title: row.title || DEFAULT_TERMS_TITLE, body: row.body, createdAt: row.created_at };
+}
+
+function buildTermsEmbed(terms) {
+  const embed = new EmbedBuilder().setTitle(terms.title).setDescription(terms.body).setColor(0x5865F2).setFooter({ text: terms.version ? `Version ${terms.version}` : 'Default terms' });
+  if (terms.createdAt) embed.setTimestamp(new Date(terms.createdAt));
+  return embed;
+}
+
+// The registration terms message with its Agree & Register button, posted by /register_show_terms or the dashboard.
+async function buildTermsPanel(guildId) {
+  const agreeBtn = new ButtonBuilder().setCustomId('agree_register').setLabel('Agree & Register').setStyle(ButtonStyle.Primary);
+  return { embeds: [buildTermsEmbed(await currentTerms(guildId))], components: [ new ActionRowBuilder().addComponents(agreeBtn) ] };
+}
+
+// Linked members must have accepted the newest version that was published with re-consent.
+// Returns the terms they have to accept, or null. Members who never registered consent on Agree & Register instead.
+async function termsNeedingReconsent(guildId, discordId) {
+  const required = await storage.terms.requiredVersion(guildId);
+  if (!required) return null;
+  const consent = await storage.terms.latestConsent(guildId, discordId);
+  if (consent && consent.version >= required) return null;
+  const user = await storage.users.get(discordId);
+  if (!user || !user.roblox_id) return null;
+  return currentTerms(guildId);
+}
+
+async function recordTermsConsent(interaction, version, source) {
+  await storage.terms.recordConsent({ guildId: interaction.guildId, discordId: interaction.user.id, version, source });
+  await logEvent('INFO', 'terms.accepted', { discordId: interaction.user.id, meta: { guildId: interaction.guildId, version, source } }, `User ${interaction.user.tag} accepted terms version ${version} (${source})`);
+}
+
+/* =====================
+   Admin Actions
+   ===================== */
+
+const adminActions = createAdminActions({
+  storage,
+  moderation,
+  tokenService,
+  guildConfig,
+  groupBindings,
+  audit: auditLog,
+  log: (...args) => appLog(...args),
+  getGuild: (guildId) => client.guilds.cache.get(guildId) || null,
+  buildTermsPanel,
+  deployCommands: deploySlashCommands
+});
+
 /* =====================
    Discord Event Handlers
    ===================== */
 client.on('ready', async () => {
   await appLog('INFO', `Discord clientReady ${client.user.tag}. Bot Version: ${VERSION}`);
-  metrics.status = 'online';
+  metrics.setStatus('online');
   await deploySlashCommands();
 });
 
+client.on('shardReconnecting', () => { metrics.gatewayReconnecting(); metrics.setStatus('reconnecting'); });
+client.on('shardDisconnect', () => { metrics.gatewayDisconnected(); metrics.setStatus('disconnected'); });
+client.on('shardResume', () => metrics.setStatus('online'));
+client.on('shardReady', () => metrics.setStatus('online'));
+
+client.on('guildCreate', async (guild) => {
+  const settings = await guildConfig.get(guild.id).catch(() => null);
+  await appLog('INFO', `Joined guild ${guild.name} (${guild.id})${settings && settings.configured ? '' : ' - not configured yet, an administrator can run /setup'}.`);
+});
+
 client.on('guildMemberAdd', async (member) => {
+  rememberPersonalNames(member);
   try {
-    if (UNVERIFIED_ROLE_ID) {
-      await member.roles.add(UNVERIFIED_ROLE_ID).catch(e => appLog('WARN', `Failed to assign Unverified role to ${member.user.tag}`, e.message));
+    const settings = await guildConfig.get(member.guild.id);
+    if (settings.unverifiedRoleId) {
+      await member.roles.add(settings.unverifiedRoleId).catch(e => appLog('WARN', `Failed to assign Unverified role to ${member.user.tag}`, e.message));
       await appLog('INFO', `Assigned Unverified to ${member.user.tag}`);
     } else {
-      await appLog('WARN', 'UNVERIFIED_ROLE_ID not set, skipping role assignment on join.');
+      await appLog('WARN', `No unverified role configured for ${member.guild.name}, skipping role assignment on join.`);
     }
   } catch (e) {
     await appLog('WARN', 'guildMemberAdd error', e && e.message || e);
@@ -213,271 +521,241 @@ client.on('guildMemberAdd', async (member) => {
    ===================== */
 client.on('messageCreate', async (message) => {
   try {
-    if (message.author?.bot) return;
-
-    if (containsBannedWord(message.content)) {
-      let u = null;
-      if (pool) { const r = await pool.query('SELECT * FROM users WHERE discord_id=$1',[message.author.id]); u = r.rows[0]; }
-      if(!u) u = { discord_id: message.author.id, tokens:15, flags:0 };
-      u.flags = (u.flags || 0) + 1;
-      if(pool) await pool.query('INSERT INTO users(discord_id,tokens,flags) VALUES($1,$2,$3) ON CONFLICT (discord_id) DO UPDATE SET flags=EXCLUDED.flags',[u.discord_id,u.tokens,u.flags]).catch(e => appLog('ERROR', 'DB insert/update flags failed', e.message));
-      await appLog('WARN', `User ${message.author.tag} flagged (${u.flags}) for banned word usage: "${message.content}"`);
-      await message.reply({ content: `You used a banned word. Warning ${u.flags}/5.`, allowedMentions: { repliedUser: false } });
-      if((u.flags||0) >= 5) {
-        const until = new Date(Date.now() + 2*24*60*60*1000);
-        if(pool) await pool.query('UPDATE users SET banned_until=$1 WHERE discord_id=$2',[until,u.discord_id]).catch(e => appLog('ERROR', 'DB update banned_until failed', e.message));
-        try {
-          await message.member.timeout(2*24*60*60*1000,'5 flags: banned word limit reached');
-          await appLog('INFO',`User ${message.author.tag} temp-banned until ${until.toISOString()}`);
-        } catch (e) {
-          await appLog('ERROR', `Failed to timeout user ${message.author.tag}`, e.message);
-        }
-      }
-    }
+    if (message.author?.bot || !message.guildId) return;
+    rememberPersonalNames(message.author, message.member, ...message.mentions.users.values());
+    metrics.touchUser(message.author.id);
 
-    if (message.channelId === REGISTRATION_CHANNEL_ID && !message.author.bot) {
+    await moderateMessage(message).catch(e => appLog('ERROR', 'Moderation failed', e && e.message || e));
+
+    const settings = await guildConfig.get(message.guildId);
+    if (message.channelId === settings.registrationChannelId && !message.author.bot) {
       try { await message.delete().catch(() => {}); } catch (e) {}
       return;
     }
 
-    if (message.channelId === AI_CHANNEL_ID) {
-      const t = (message.content || '').trim();
-      if (t.toLowerCase() === '!tokens') {
-        let u = null;
-        if (pool) { const r = await pool.query('SELECT * FROM users WHERE discord_id=$1',[message.author.id]); u = r.rows[0]; }
-        if (!u) {
-          u = { discord_id: message.author.id, tokens:15, last_token_reset:new Date() };
-          if (pool) await pool.query('INSERT INTO users(discord_id,tokens,last_token_reset) VALUES($1,$2,$3) ON CONFLICT (discord_id) DO NOTHING',[u.discord_id,u.tokens,u.last_token_reset]).catch(e => appLog('ERROR', 'DB insert new user tokens failed', e.message));
-        }
-        const last = new Date(u.last_token_reset || 0);
-        if ((Date.now() - last.getTime()) > (24*60*60*1000)) {
-          u.tokens = 15;
-          u.last_token_reset = new Date();
-          if (pool) await pool.query('UPDATE users SET tokens=$1,last_token_reset=$2 WHERE discord_id=$3',[u.tokens,u.last_token_reset,u.discord_id]).catch(e => appLog('ERROR', 'DB reset tokens failed', e.message));
-          await appLog('INFO', `Tokens reset for ${message.author.tag}`);
-        }
-        await message.reply({ content: `You have ${u.tokens} tokens remaining today. Use /ai <prompt> to spend tokens.`, allowedMentions:{ repliedUser:false } });
-        await message.delete().catch(()=>{});
-        return;
-      }
+    if (message.channelId === settings.aiChannelId) {
       await message.delete().catch(()=>{});
-      await message.channel.send({ content: `${message.author}, please use the /ai command to chat with the Assistant.`, allowedMentions:{ users:[message.author.id] } });
-      return;
-    }
-
-    if (message.content && message.content.trim().startsWith('!logout')) {
-      const mentioned = message.mentions.users.first();
-      if (mentioned) {
-        if (!message.member.permissions.has(PermissionsBitField.Flags.Administrator)) { await message.reply('Only administrators may logout other users.'); return; }
-        if (pool) await pool.query('DELETE FROM users WHERE discord_id=$1',[String(mentioned.id)]).catch(e => appLog('ERROR', 'DB delete user failed (admin logout)', e.message));
-        try {
-          const m = await message.guild.members.fetch(mentioned.id);
-          if (VERIFIED_ROLE_ID) await m.roles.remove(VERIFIED_ROLE_ID).catch(e => appLog('WARN', 'Failed to remove VERIFIED_ROLE_ID (admin logout)', e.message));
-          if (UNVERIFIED_ROLE_ID) await m.roles.add(UNVERIFIED_ROLE_ID).catch(e => appLog('WARN', 'Failed to add UNVERIFIED_ROLE_ID (admin logout)', e.message));
-        } catch (e) { await appLog('WARN', `Admin logout fetch/role error for ${mentioned.tag}`, e.message); }
-        await message.channel.send(`${mentioned} has been logged out and unlinked from Roblox.`);
-        await appLog('INFO', `Admin logged out user ${mentioned.tag}`);
-      } else {
-        if (pool) await pool.query('DELETE FROM users WHERE discord_id=$1',[String(message.author.id)]).catch(e => appLog('ERROR', 'DB delete user failed (self logout)', e.message));
-        try {
-          const m = await message.guild.members.fetch(message.author.id);
-          if (VERIFIED_ROLE_ID) await m.roles.remove(VERIFIED_ROLE_ID).catch(e => appLog('WARN', 'Failed to remove VERIFIED_ROLE_ID (self logout)', e.message));
-          if (UNVERIFIED_ROLE_ID) await m.roles.add(UNVERIFIED_ROLE_ID).catch(e => appLog('WARN', 'Failed to add UNVERIFIED_ROLE_ID (self logout)', e.message));
-          await appLog('INFO', `User ${message.author.tag} logged themselves out.`);
-        } catch (e) { await appLog('WARN', `Self logout fetch/role error for ${message.author.tag}`, e.message); }
-        await message.reply('You have been logged out and unlinked from Roblox.');
-      }
+      await message.channel.send({ content: `${message.author}, please use the /ai command to chat with the Assistant and /tokens to check your balance.`, allowedMentions:{ users:[message.author.id] } });
       return;
     }
 
+    await commands.dispatchMessage(message);
   } catch (e) {
     await appLog('ERROR','messageCreate handler failure', e && e.message || e);
   }
 });
 
 /* =====================
-   Interaction Handler
+   Message Update Handler
    ===================== */
-client.on('interactionCreate', async (interaction) => {
+client.on('messageUpdate', async (oldMessage, newMessage) => {
   try {
-    if (interaction.isChatInputCommand()) {
-      if (interaction.commandName === 'register_show_terms') {
-        if (!interaction.memberPermissions?.has(PermissionsBitField.Flags.Administrator))
-          return interaction.reply({ content: 'Only administrators may deploy the registration terms.', flags: MessageFlags.Ephemeral });
-
-        const termsText = [
-          '**LineDevs Terms of Service & Registration Policy**',
-          '',
-          'Welcome to LineDevs. Before registering, please read the following terms carefully. By clicking "Agree & Register" you confirm that you have read, understood, and accept these terms.',
-          '',
-          '**1 — Data & Privacy**',
-          '- We store your Discord ID, Roblox ID and username, token usage, and moderation flags for the purpose of verification and moderation.',
-          '- We do not collect or store your Roblox password. Verification uses the profile About section or Discord\'s linked account feature.',
-          '',
-          '**2 — Acceptable Use**',
-          '- No automated abuse, spamming, cheating, or malicious use of services connected to this server.',
-          '- Sharing API keys, tokens, or credentials publicly is prohibited.',
-          '',
-          '**3 — Moderation & Enforcement**',
-          '- Infractions may lead to warnings, temporary suspensions, or permanent removal.',
-          '- Repeated usage of aggressive profanities triggers an automated flagging workflow; 5 flags result in a 48-hour timeout.',
-          '',
-          '**4 — Account Linking & Single-Account Policy**',
-          '- Each Roblox account may be linked to only one Discord account within this system. Use !logout to unlink if needed.',
-          '',
-          '**5 — Support & Contact**',
-          '- For issues or appeals, contact the moderation team or open a ticket in the support channel.',
-          '',
-          'By clicking "Agree & Register", you accept these terms and consent to the described processing of account data.'
-        ].join('\n');
-
-        const agreeBtn = new ButtonBuilder().setCustomId('agree_register').setLabel('Agree & Register').setStyle(ButtonStyle.Primary);
-        await interaction.reply({ content: termsText, components: [ new ActionRowBuilder().addComponents(agreeBtn) ] });
-        await appLog('INFO', `Admin ${interaction.user.tag} deployed registration terms.`);
-        return;
-      }
+    if (newMessage.partial) newMessage = await newMessage.fetch();
+    if (newMessage.author?.bot || !newMessage.guildId) return;
+    rememberPersonalNames(newMessage.author, newMessage.member);
+    if (!oldMessage.partial && oldMessage.content === newMessage.content) return;
+    await moderateMessage(newMessage, { edited: true });
+  } catch (e) {
+    await appLog('ERROR','messageUpdate handler failure', e && e.message || e);
+  }
+});
 
-      if (interaction.commandName === 'ai') {
-        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
-        const prompt = interaction.options.getString('prompt').trim();
-        let u = null;
-
-        if (pool) { const r = await pool.query('SELECT * FROM users WHERE discord_id=$1',[interaction.user.id]); u = r.rows[0]; }
-        if (!u) { u = { discord_id: interaction.user.id, tokens: 15, last_token_reset: new Date() }; if (pool) await pool.query('INSERT INTO users(discord_id,tokens,last_token_reset) VALUES($1,$2,$3) ON CONFLICT (discord_id) DO NOTHING',[u.discord_id,u.tokens,u.last_token_reset]).catch(e => appLog('ERROR', 'DB insert new user tokens failed (AI)', e.message)); }
-        const last = new Date(u.last_token_reset || 0);
-        if ((Date.now() - last.getTime()) > (24*60*60*1000)) {
-          u.tokens = 15;
-          u.last_token_reset = new Date();
-          if (pool) await pool.query('UPDATE users SET tokens=$1,last_token_reset=$2 WHERE discord_id=$3',[u.tokens,u.last_token_reset,u.discord_id]).catch(e => appLog('ERROR', 'DB reset tokens failed (AI)', e.message));
-        }
-        if (u.banned_until && new Date(u.banned_until) > new Date()) return interaction.editReply({ content: `You are banned until ${new Date(u.banned_until).toUTCString()}.` });
-        if ((u.tokens||0) <= 0) return interaction.editReply({ content: 'You have no tokens left today. Use !tokens to check balance.' });
-        u.tokens = (u.tokens||0) - 1;
-        if (pool) await pool.query('UPDATE users SET tokens=$1 WHERE discord_id=$2',[u.tokens,u.discord_id]).catch(e => appLog('ERROR', 'DB decrement tokens failed (AI)', e.message));
-
-        let assistantText = 'Assistant not configured. Please set GEMINI_API.';
-        if (GEMINI_API) {
-          try {
-            const payload = { contents: [{ parts: [{ text: prompt }] }] }; // CORRECT PAYLOAD STRUCTURE
-            await appLog('DEBUG', `Sending AI prompt for ${interaction.user.tag}. Tokens remaining: ${u.tokens}`);
-
-            const gRes = await fetch('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=' + GEMINI_API, {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify(payload)
-            });
-
-            if (!gRes.ok) {
-              const errorBody = await gRes.text();
-              await appLog('ERROR', `AI API HTTP Error ${gRes.status} for ${interaction.user.tag}:`, errorBody.substring(0, 500) + '...');
-              assistantText = `AI API failed (HTTP ${gRes.status}). Error logged.`;
-            } else {
-              const gJson = await gRes.json();
-              assistantText = gJson?.candidates?.[0]?.content?.parts?.[0]?.text;
-              if (!assistantText) {
-                await appLog('ERROR', `AI didn't Reply (Missing Text) for ${interaction.user.tag}. JSON:`, JSON.stringify(gJson).substring(0, 500) + '...');
-                assistantText = 'AI failed to reply. The response was empty. (Error logged)';
-              } else {
-                await appLog('INFO', `AI replied to ${interaction.user.tag} (Length: ${assistantText.length})`);
-              }
-            }
-
-          } catch (e) {
-            await appLog('ERROR', 'AI Fetch/JSON Parsing Error', e && e.message || e);
-            assistantText = 'AI request failed due to internal error. (Error logged)';
-          }
-        } else {
-          await appLog('WARN', 'AI request blocked: GEMINI_API not set.');
-        }
-
-        const finalResponse = assistantText || 'No reply from Assistant.';
-        return interaction.editReply({ content: `Assistant:\n${finalResponse}` });
-      }
-    } // end ChatInputCommand
-
-    if (interaction.isButton()) {
-      if (interaction.customId === 'agree_register') {
-        const linked = await checkDiscordRobloxLinked(interaction.user.id);
-        if (linked) {
-          await interaction.deferReply({ flags: MessageFlags.Ephemeral });
-          const existing = pool ? (await pool.query('SELECT * FROM users WHERE roblox_id=$1',[linked.robloxId])).rows[0] : null;
-          if (existing && existing.discord_id !== interaction.user.id) return interaction.editReply({ content: `This Roblox account is already linked to <@${existing.discord_id}>. That user must logout first.` });
-          if (pool) await pool.query('INSERT INTO users(discord_id,roblox_id,roblox_username,tokens,last_token_reset,flags,linked_at) VALUES($1,$2,$3,$4,$5,$6,$7) ON CONFLICT (discord_id) DO UPDATE SET roblox_id=EXCLUDED.roblox_id, roblox_username=EXCLUDED.roblox_username, linked_at=EXCLUDED.linked_at',[interaction.user.id,linked.robloxId,linked.robloxUsername,15,new Date(),0,new Date()]).catch(e => appLog('ERROR', 'DB insert/update failed (linked verification)', e.message));
-          try {
-            const guild = interaction.guild;
-            const member = await guild.members.fetch(interaction.user.id);
-            if (UNVERIFIED_ROLE_ID) await member.roles.remove(UNVERIFIED_ROLE_ID).catch(e => appLog('WARN', 'Failed to remove UNVERIFIED_ROLE_ID (linked)', e.message));
-            if (VERIFIED_ROLE_ID) await member.roles.add(VERIFIED_ROLE_ID).catch(e => appLog('WARN', 'Failed to add VERIFIED_ROLE_ID (linked)', e.message));
-            await member.setNickname(linked.robloxUsername).catch(e => appLog('WARN', 'Failed to set nickname (linked)', e.message));
-            await appLog('INFO', `User ${interaction.user.tag} auto-verified via linked account as ${linked.robloxUsername}`);
-          } catch (e) { await appLog('ERROR', 'Role/Nickname update failed (linked verification)', e.message); }
-          return interaction.editReply({ content: `Verified via linked Roblox account: **${linked.robloxUsername}**` });
-        }
-
-        const modal = new ModalBuilder().setCustomId('modal_register_roblox').setTitle('Register — Roblox Username');
-        const usernameInput = new TextInputBuilder().setCustomId('roblox_username').setLabel('Roblox username (only username)').setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(32);
-        modal.addComponents(new ActionRowBuilder().addComponents(usernameInput));
-        return interaction.showModal(modal);
-      }
+/* =====================
+   Personal Data
+   ===================== */
+// Carries out a deletion request: stored rows, in-memory log lines and the roles the link gave.
+async function eraseUserData(request) {
+  const discordId = request.discord_id;
+  const user = await storage.users.get(discordId);
+  const scrub = [...(request.identifiers || []), user && user.roblox_username].filter(Boolean);
+  const counts = await storage.privacy.erase(discordId, { scrub });
 
-      if (interaction.customId === 'done_verification') {
-        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
-        const pend = pendingVerifications.get(interaction.user.id);
-        if (!pend) return interaction.editReply({ content: 'No pending verification found.' });
-
-        let desc = '';
-        try {
-          const res = await fetch(`https://users.roblox.com/v1/users/${pend.robloxId}`);
-          if (res.ok) {
-            const js = await res.json();
-            desc = js.description || '';
-            await appLog('DEBUG', `Fetched Roblox description for ${pend.robloxName}. Success: ${desc.includes(pend.verificationKey)}`);
-          } else {
-            await appLog('ERROR', `Roblox profile fetch failed for ${pend.robloxName}. HTTP Status: ${res.status}`);
-          }
-        } catch (e) {
-          await appLog('WARN', 'Verification profile fetch error', e && e.message || e);
-        }
-
-        if (desc && desc.includes(pend.verificationKey)) {
-          const existing = pool ? (await pool.query('SELECT * FROM users WHERE roblox_id=$1',[pend.robloxId])).rows[0] : null;
-          if (existing && existing.discord_id !== interaction.user.id) return interaction.editReply({ content: `This Roblox account is already linked to <@${existing.discord_id}>. You must use a different account.` });
-          if (pool) await pool.query('INSERT INTO users(discord_id,roblox_id,roblox_username,tokens,last_token_reset,flags,linked_at) VALUES($1,$2,$3,$4,$5,$6,$7) ON CONFLICT (discord_id) DO UPDATE SET roblox_id=EXCLUDED.roblox_id, roblox_username=EXCLUDED.roblox_username, linked_at=EXCLUDED.linked_at',[interaction.user.id,pend.robloxId,pend.robloxName,15,new Date(),0,new Date()]).catch(e => appLog('ERROR', 'DB insert/update failed (manual verification)', e.message));
-          try {
-            const guild = interaction.guild;
-            const member = await guild.members.fetch(interaction.user.id);
-            if (UNVERIFIED_ROLE_ID) await member.roles.remove(UNVERIFIED_ROLE_ID).catch(e => appLog('WARN', 'Failed to remove UNVERIFIED_ROLE_ID (manual)', e.message));
-            if (VERIFIED_ROLE_ID) await member.roles.add(VERIFIED_ROLE_ID).catch(e => appLog('WARN', 'Failed to add VERIFIED_ROLE_ID (manual)', e.message));
-            await member.setNickname(pend.robloxName).catch(e => appLog('WARN', 'Failed to set nickname (manual)', e.message));
-            await appLog('INFO', `User ${interaction.user.tag} manually verified as ${pend.robloxName}`);
-          } catch (e) { await appLog('ERROR', 'Role/Nickname update failed (manual verification)', e.message); }
-          pendingVerifications.delete(interaction.user.id);
-          return interaction.editReply({ content: `Verification successful — Verified as **${pend.robloxName}**` });
-        } else {
-          return interaction.editReply({ content: `Key not found on profile. Make sure you pasted exactly:\n\`\`\`${pend.verificationKey}\`\`\`\n\nIt can take a few minutes for Roblox to update the description.` });
-        }
-      }
-    } // end button handler
-
-    if (interaction.isModalSubmit()) {
-      if (interaction.customId === 'modal_register_roblox') {
-        const username = interaction.fields.getTextInputValue('roblox_username').trim();
-        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
-        const lookup = await resolveRobloxUsername(username);
-        if (!lookup) return interaction.editReply({ content: `Roblox username **${username}** not found.` });
-        const key = generateVerificationKey();
-        pendingVerifications.set(interaction.user.id, { robloxId: lookup.id, robloxName: lookup.username || username, verificationKey: key, timestamp: Date.now() });
-        if (pool) await pool.query('INSERT INTO verifications(discord_id,roblox_id,roblox_username,verification_key) VALUES($1,$2,$3,$4) ON CONFLICT (discord_id) DO UPDATE SET roblox_id=EXCLUDED.roblox_id, verification_key=EXCLUDED.verification_key, roblox_username=EXCLUDED.roblox_username',[interaction.user.id,lookup.id,lookup.username||username,key]).catch(e => appLog('ERROR', 'DB insert verification key failed', e.message));
-
-        const instructions = `**Account Verification**\n\n1) Copy the key below (easy tap-to-copy block):\n\`\`\`${key}\`\`\`\n2) Go to your Roblox profile: https://www.roblox.com/users/${lookup.id}/profile\n3) Paste the key **exactly** into your profile's About section.\n4) Return here and press **Done**.\n\n*Key expires in 30 minutes.*`;
-
-        const doneButton = new ButtonBuilder().setCustomId('done_verification').setLabel('Done').setStyle(ButtonStyle.Success);
-        await appLog('INFO', `Started verification for ${interaction.user.tag} as ${lookup.username || username}`);
-        return interaction.editReply({ content: instructions, components: [ new ActionRowBuilder().addComponents(doneButton) ] });
-      }
+  const patterns = scrubTerms([discordId, user && user.roblox_id, ...scrub]).map(term => new RegExp(wholeWordPattern(term), 'g'));
+  let bufferLines = 0;
+  for (const entry of logBuffer) {
+    const msg = patterns.reduce((text, re) => text.replace(re, '[deleted user]'), entry.msg);
+    if (msg !== entry.msg) { entry.msg = msg; bufferLines++; }
+  }
+  if (client.isReady()) await adminActions.releaseAccount(discordId, [...client.guilds.cache.keys()]).catch(e => appLog('WARN', 'Role cleanup after data deletion failed', e.message));
+  const summary = Object.entries({ ...counts, logBuffer: bufferLines }).filter(([, n]) => n).map(([table, n]) => `${table}: ${n}`).join(', ');
+  // Deliberately without the user's ID: the point of the request is that nothing identifies them afterwards.
+  await appLog('INFO', `Erased the stored data of a user on request (${summary || 'nothing stored'}).`);
+  return counts;
+}
+
+async function processDueDeletions() {
+  for (const request of await storage.privacy.dueDeletions()) {
+    await eraseUserData(request).catch(e => appLog('ERROR', 'Scheduled data deletion failed', e && e.message || e));
+  }
+}
+
+/* =====================
+   Donations
+   ===================== */
+// Donations are global; every server picks its own perks with /setup donations (Donor role, bonus tokens, thank-you post).
+const donations = createDonations({
+  storage,
+  providers: createDonationProviders(DONATION_PROVIDERS, {
+    kofiVerificationToken: KOFI_VERIFICATION_TOKEN,
+    kofiPageUrl: KOFI_PAGE_URL,
+    stripeWebhookSecret: STRIPE_WEBHOOK_SECRET,
+    stripePaymentLink: STRIPE_PAYMENT_LINK
+  }),
+  log: (...args) => appLog(...args),
+  onDonation: grantDonorPerks
+});
+
+function donationThanks(donation) {
+  const lines = [`💖 Thank you <@${donation.discord_id}> for supporting LineDevs!`];
+  if (donation.message) lines.push(`> ${donation.message.replace(/\n/g, '\n> ')}`);
+  return lines.join('\n');
+}
+
+// Applies the perks in every server the donor is in. Private donations get the perks without the public thank-you.
+// Throws while Discord is unreachable so the donation is retried by retryPendingPerks.
+async function grantDonorPerks(donation) {
+  if (!client.isReady()) throw new Error('Discord is not connected');
+  const discordId = donation.discord_id;
+  const servers = [];
+  for (const guild of client.guilds.cache.values()) {
+    const settings = await guildConfig.get(guild.id);
+    if (!settings.donorRoleId && !settings.donationBonusTokens && !settings.donationChannelId) continue;
+    const member = await guild.members.fetch(discordId).catch(() => null);
+    if (!member) continue;
+    if (settings.donorRoleId && !member.roles.cache.has(settings.donorRoleId)) {
+      await member.roles.add(settings.donorRoleId, `Donation #${donation.id}`).catch(e => appLog('WARN', `Failed to add donor role in ${guild.name}`, e.message));
+    }
+    if (settings.donationBonusTokens) {
+      await tokenService.credit(discordId, settings.donationBonusTokens, { kind: 'grant', reason: `donation #${donation.id}`, guildId: guild.id, quota: tokenService.quotaForMember(member, settings) });
     }
+    const channel = settings.donationChannelId && donation.is_public ? guild.channels.cache.get(settings.donationChannelId) : null;
+    if (channel) await channel.send({ content: donationThanks(donation), allowedMentions: { users: [discordId] } }).catch(e => appLog('WARN', `Failed to post donation thanks in ${guild.name}`, e.message));
+    servers.push(guild.id);
+  }
+  await logEvent('INFO', 'donation.perks', { discordId, meta: { donationId: donation.id, provider: donation.provider, amount: formatAmount(donation.amount_minor, donation.currency), guilds: servers } }, `Donor perks for donation #${donation.id} applied in ${servers.length} server(s)`);
+}
+
+/* =====================
+   AI Client & Sessions
+   ===================== */
+const aiClient = createAiClient({ backend: AI_BACKEND, model: AI_MODEL, apiKey: AI_API_KEY, baseUrl: AI_BASE_URL, timeoutMs: AI_TIMEOUT_MS, maxRetries: AI_MAX_RETRIES, log: (...args) => appLog(...args) });
+const aiSessions = storage.aiSessions;
+
+/* =====================
+   Registration Onboarding
+   ===================== */
+// Agree & Register -> configured steps (age check, rules quiz) -> Roblox verification, with consent recorded once it
+// has answered the interaction.
+const onboarding = createOnboardingTracker();
+
+function buildReconsentPrompt(terms) {
+  const acceptBtn = new ButtonBuilder().setCustomId(`terms_accept_${terms.version}`).setLabel('Accept').setStyle(ButtonStyle.Success);
+  return { content: 'The server terms have changed. Please read and accept them to keep using the bot.', embeds: [buildTermsEmbed(terms)], components: [ new ActionRowBuilder().addComponents(acceptBtn) ], flags: MessageFlags.Ephemeral };
+}
+
+function promptOnboardingStep(interaction, step, settings) {
+  if (step === 'age') {
+    const yes = new ButtonBuilder().setCustomId('onboard_age_yes').setLabel(`I am ${settings.onboarding.minimumAge} or older`).setStyle(ButtonStyle.Success);
+    const no = new ButtonBuilder().setCustomId('onboard_age_no').setLabel(`I am under ${settings.onboarding.minimumAge}`).setStyle(ButtonStyle.Secondary);
+    return interaction.reply({ content: `You must be at least **${settings.onboarding.minimumAge}** to register on this server.`, components: [ new ActionRowBuilder().addComponents(yes, no) ], flags: MessageFlags.Ephemeral });
+  }
+  // Modals can only open in response to a button, so the quiz always follows a click.
+  const modal = new ModalBuilder().setCustomId('onboard_quiz').setTitle('Rules quiz');
+  settings.onboarding.quiz.forEach((q, i) => {
+    modal.addComponents(new ActionRowBuilder().addComponents(new TextInputBuilder().setCustomId(`quiz_${i}`).setLabel(q.question).setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(200)));
+  });
+  return interaction.showModal(modal);
+}
+
+// Verification answers the interaction before the consent and log writes, which would otherwise eat into Discord's
+// 3s window.
+async function finishOnboarding(interaction, progress) {
+  onboarding.finish(interaction.guildId, interaction.user.id);
+  const response = await verification.startVerification(interaction);
+  await logEvent('INFO', 'onboarding.completed', { discordId: interaction.user.id, meta: { guildId: interaction.guildId, steps: progress.steps } }, `${interaction.user.tag} completed onboarding (${progress.steps.join(', ')})`);
+  await recordTermsConsent(interaction, progress.termsVersion, 'register');
+  return response;
+}
+
+/* =====================
+   Command Registry
+   ===================== */
+// Handlers live in commands/ (one module per slash command, button, modal and prefix command) and get this context
+// instead of reaching into index.cjs, so they can also be run against stand-ins (test/support/fakeDiscord.cjs).
+const commandContext = {
+  client,
+  config: {
+    verificationTtlMinutes: VERIFICATION_TTL_MINUTES,
+    verificationDoneCooldownSeconds: VERIFICATION_DONE_COOLDOWN_SECONDS,
+    robloxUpdateCooldownSeconds: ROBLOX_UPDATE_COOLDOWN_SECONDS,
+    dataDeletionGraceHours: DATA_DELETION_GRACE_HOURS,
+    dataExportCooldownSeconds: DATA_EXPORT_COOLDOWN_SECONDS,
+    aiMemoryDefault: AI_MEMORY_DEFAULT,
+    aiSystemPrompt: AI_SYSTEM_PROMPT,
+    aiContextTokenBudget: AI_CONTEXT_TOKEN_BUDGET,
+    aiStreamEditIntervalMs: AI_STREAM_EDIT_INTERVAL_MS,
+    aiMaxReplyMessages: AI_MAX_REPLY_MESSAGES,
+    aiAttachmentMaxBytes: AI_ATTACHMENT_MAX_BYTES,
+    aiTextAttachmentMaxChars: AI_TEXT_ATTACHMENT_MAX_CHARS
+  },
+  storage,
+  guildConfig,
+  tokenService,
+  moderation,
+  adminActions,
+  aiClient,
+  aiSessions,
+  groupBindings,
+  robloxSync,
+  metrics,
+  onboarding,
+  appLog,
+  logEvent,
+  auditLog,
+  takeCooldown,
+  currentTerms,
+  defaultTerms: () => ({ title: DEFAULT_TERMS_TITLE, body: defaultTermsText() }),
+  recordTermsConsent,
+  promptOnboardingStep,
+  finishOnboarding,
+  startVerification: verification.startVerification,
+  buildRobloxUsernameModal: verification.buildRobloxUsernameModal,
+  resolveRobloxUsername: verification.resolveRobloxUsername,
+  getVerificationProvider: verification.getProvider,
+  issueVerificationKey: verification.issueVerificationKey,
+  loadPendingVerification: verification.loadPendingVerification,
+  deletePendingVerification: verification.deletePendingVerification,
+  completeVerification: verification.completeVerification,
+  doneVerificationPresses: verification.donePresses,
+  ROBLOX_INACTIVE_STATUSES,
+  logRobloxCheck,
+  applyRobloxCheckToMember: memberSync.applyToMember,
+  groupRanksLoader,
+  eraseUserData
+};
 
+// Gated commands (consentGated) wait for linked members to accept terms published with re-consent.
+async function reconsentGuard(interaction, handler) {
+  if (!handler.consentGated) return null;
+  const terms = await termsNeedingReconsent(interaction.guildId, interaction.user.id);
+  return terms ? buildReconsentPrompt(terms) : null;
+}
+
+const commands = createCommandRegistry({ context: commandContext, guards: [reconsentGuard] });
+
+/* =====================
+   Interaction Handler
+   ===================== */
+async function handleInteraction(interaction) {
+  rememberPersonalNames(interaction.user, interaction.member, ...(interaction.isChatInputCommand() ? interaction.options.resolved?.users?.values() || [] : []));
+  metrics.touchUser(interaction.user.id);
+  const startedAt = Date.now();
+  let failed = false;
+  try {
+    const handler = await commands.dispatch(interaction);
+    if (!handler && interaction.isRepliable()) await appLog('WARN', `No handler for interaction ${interaction.isChatInputCommand() ? `/${interaction.commandName}` : interaction.customId}`);
   } catch (e) {
+    failed = true;
     await appLog('ERROR','interactionCreate failure', e && e.message || e);
     try {
       if (!interaction.replied && !interaction.deferred) await interaction.reply({ content: 'An error occurred while processing your request.', flags: MessageFlags.Ephemeral });
@@ -485,45 +763,501 @@ client.on('interactionCreate', async (interaction) => {
     } catch (err) {
       await appLog('WARN','failed to send error reply', err && err.message || err);
     }
+  } finally {
+    if (interaction.isChatInputCommand()) metrics.observeCommand(interaction.commandName, Date.now() - startedAt, !failed);
+  }
+} // end handleInteraction
+
+// In-flight interactions are tracked so that shutdown can let them finish.
+const inFlightInteractions = new Set();
+
+client.on('interactionCreate', (interaction) => {
+  if (shuttingDown) {
+    if (interaction.isRepliable()) interaction.reply({ content: 'LineDevs is restarting. Please try again in a minute.', flags: MessageFlags.Ephemeral }).catch(() => {});
+    return;
   }
-}); // end interactionCreate
+  const running = handleInteraction(interaction).finally(() => inFlightInteractions.delete(running));
+  inFlightInteractions.add(running);
+});
 
 /* =====================
    Express / Dashboard
    ===================== */
 const app = express();
 const server = http.createServer(app);
-const io = new IOServer(server, { cors: { origin: '*' } });
+// Same-origin only: the dashboard is served by this app and the socket handshake needs its session cookie.
+const io = new IOServer(server);
+
+const dashboardAuth = createDashboardAuth({
+  clientId: DASHBOARD_OAUTH_CLIENT_ID,
+  clientSecret: DASHBOARD_OAUTH_CLIENT_SECRET,
+  redirectUri: DASHBOARD_OAUTH_REDIRECT_URI,
+  sessionSecret: DASHBOARD_SESSION_SECRET,
+  sessionHours: DASHBOARD_SESSION_HOURS,
+  adminRoleIds: DASHBOARD_ADMIN_ROLE_IDS,
+  viewerRoleIds: DASHBOARD_VIEWER_ROLE_IDS
+});
+if (!dashboardAuth.isConfigured()) appLog('WARN', 'Dashboard login not configured (DASHBOARD_OAUTH_CLIENT_SECRET / DASHBOARD_OAUTH_REDIRECT_URI) - the dashboard is unavailable.');
+else if (dashboardAuth.usesGeneratedSecret) appLog('WARN', 'DASHBOARD_SESSION_SECRET not set - dashboard sessions will not survive a restart.');
+const secureCookies = DASHBOARD_OAUTH_REDIRECT_URI.startsWith('https://');
+
+// Pages redirect to the Discord login; API routes answer 401.
+function requireDashboard({ api = false } = {}) {
+  return (req, res, next) => {
+    const session = dashboardAuth.sessionFromCookieHeader(req.headers.cookie);
+    if (!session) return api ? res.status(401).json({ ok: false, error: 'unauthorized' }) : res.redirect('/auth/discord/login');
+    req.dashboardSession = session;
+    next();
+  };
+}
+
+// Viewers get log lines with Discord IDs, quoted message text and user names removed.
+function logEntryFor(session, entry) {
+  return session.role === 'admin' ? entry : { ...entry, msg: redactor.redact(entry.msg) };
+}
 
-app.use(express.static(path.join(__dirname)));
+app.use('/assets', express.static(path.join(__dirname, 'assets')));
+app.get(['/server_icon.png', '/favicon.ico'], (req, res) => res.sendFile(path.join(__dirname, 'server_icon.png')));
 
 app.get('/', (req, res) => res.redirect('/dashboard'));
-app.get('/dashboard', (req, res) => res.sendFile(path.join(__dirname, 'dashboard.html')));
+app.get('/dashboard', requireDashboard(), (req, res) => res.sendFile(path.join(__dirname, 'dashboard.html')));
 app.get('/donation', (req, res) => res.sendFile(path.join(__dirname, 'donation.html')));
-app.get('/favicon.ico', (req, res) => res.sendFile(path.join(__dirname, 'server_icon.png')));
+// What the donation page offers. discordId fills the provider links that can carry it to the webhook.
+app.get('/api/donations/methods', (req, res) => {
+  const methods = donations.donateLinks(String(req.query.discordId || ''));
+  res.json({ ok: true, methods, gcash: DONATION_GCASH_NUMBER || null });
+});
+
+app.get('/auth/discord/login', (req, res) => {
+  if (!dashboardAuth.isConfigured()) return res.status(503).type('text/plain').send('Dashboard login is not configured.');
+  const { url, state } = dashboardAuth.beginLogin();
+  res.setHeader('Set-Cookie', serializeCookie(STATE_COOKIE, state, { maxAgeSeconds: STATE_TTL_SECONDS, secure: secureCookies }));
+  return res.redirect(url);
+});
+
+app.get('/auth/discord/callback', async (req, res) => {
+  res.type('text/plain');
+  const cookieState = parseCookies(req.headers.cookie)[STATE_COOKIE];
+  if (!dashboardAuth.isConfigured()) return res.status(503).send('Dashboard login is not configured.');
+  if (!req.query.code || !dashboardAuth.checkState(String(req.query.state || ''), cookieState)) return res.status(400).send('This login link is invalid or has expired. Please try again.');
+  const guild = homeGuild();
+  if (!guild) return res.status(503).send('The bot is not connected to Discord right now. Please try again later.');
+  try {
+    const user = await dashboardAuth.exchangeCode(String(req.query.code));
+    const member = await guild.members.fetch(user.id).catch(() => null);
+    const role = dashboardAuth.roleForMember(member);
+    if (!role) {
+      await logEvent('WARN', 'dashboard.denied', { discordId: user.id }, `Dashboard login denied for ${user.id} (no dashboard role)`);
+      return res.status(403).send('Your Discord account does not have access to this dashboard.');
+    }
+    const name = user.global_name || user.username;
+    res.setHeader('Set-Cookie', [
+      serializeCookie(SESSION_COOKIE, dashboardAuth.createSession({ userId: user.id, name, role }), { maxAgeSeconds: dashboardAuth.sessionMaxAgeSeconds, secure: secureCookies }),
+      serializeCookie(STATE_COOKIE, '', { maxAgeSeconds: 0, secure: secureCookies })
+    ]);
+    await auditLog(user.id, 'dashboard_login', user.id, { role });
+    return res.redirect('/dashboard');
+  } catch (e) {
+    await appLog('ERROR', 'Dashboard login failed', e && e.message || e);
+    return res.status(502).send('Discord login failed. Please try again.');
+  }
+});
+
+app.post('/auth/logout', (req, res) => {
+  res.setHeader('Set-Cookie', serializeCookie(SESSION_COOKIE, '', { maxAgeSeconds: 0, secure: secureCookies }));
+  res.type('text/plain').send('You have been logged out of the dashboard.');
+});
+
+app.get('/api/me', requireDashboard({ api: true }), (req, res) => res.json(req.dashboardSession));
+
+/* =====================
+   Log Explorer API
+   ===================== */
+const LOG_LEVELS = ['DEBUG', 'INFO', 'WARN', 'ERROR', 'AUDIT', 'SYSTEM'];
+
+function parseDateParam(value) {
+  if (!value) return null;
+  const d = new Date(String(value));
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// Text and user filters are admin-only: on redacted results they would still reveal who a line is about.
+function parseLogFilters(query, session) {
+  const filters = {
+    levels: String(query.level || '').split(',').map(l => l.trim().toUpperCase()).filter(l => LOG_LEVELS.includes(l)),
+    from: parseDateParam(query.from),
+    to: parseDateParam(query.to),
+    text: String(query.q || '').trim().substring(0, 200),
+    discordId: String(query.discordId || '').trim(),
+    robloxId: String(query.robloxId || '').trim(),
+    event: String(query.event || '').trim(),
+    before: parseInt(query.before, 10) || null,
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 100, 1), 500)
+  };
+  if (session.role !== 'admin' && (filters.text || filters.discordId || filters.robloxId)) return { error: 'Text and user filters require the admin role.' };
+  return { filters };
+}
+
+function logRowFor(session, row) {
+  const out = { id: row.id, ts: new Date(row.ts).toISOString(), level: row.level, event: row.event || null, discordId: row.discord_id || null, robloxId: row.roblox_id || null, message: row.message, meta: row.meta || null };
+  return session.role === 'admin' ? out : { ...out, discordId: null, robloxId: null, message: redactor.redact(out.message), meta: null };
+}
+
+// Quotes every field and defuses spreadsheet formulas (=, +, -, @).
+function csvField(value) {
+  const text = value == null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `"${(/^[=+\-@]/.test(text) ? `'${text}` : text).replace(/"/g, '""')}"`;
+}
+
+const LOG_CSV_COLUMNS = ['id', 'ts', 'level', 'event', 'discordId', 'robloxId', 'message', 'meta'];
+
+app.get('/api/logs', requireDashboard({ api: true }), async (req, res) => {
+  const { filters, error } = parseLogFilters(req.query, req.dashboardSession);
+  if (error) return res.status(403).json({ ok: false, error });
+  try {
+    const page = await storage.logs.query(filters);
+    return res.json({ ok: true, logs: page.rows.map(row => logRowFor(req.dashboardSession, row)), nextBefore: page.nextBefore });
+  } catch (e) {
+    await appLog('ERROR', 'Log query failed', e && e.message || e);
+    return res.status(500).json({ ok: false, error: 'internal' });
+  }
+});
+
+app.get('/api/logs/export', requireDashboard({ api: true }), async (req, res) => {
+  const { filters, error } = parseLogFilters(req.query, req.dashboardSession);
+  if (error) return res.status(403).json({ ok: false, error });
+  const format = req.query.format === 'ndjson' ? 'ndjson' : 'csv';
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="linedevs-logs-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}"`);
+  if (format === 'csv') res.write(LOG_CSV_COLUMNS.join(',') + '\n');
+  let before = filters.before;
+  let written = 0;
+  try {
+    while (written < LOG_EXPORT_MAX_ROWS) {
+      const page = await storage.logs.query({ ...filters, before, limit: Math.min(500, LOG_EXPORT_MAX_ROWS - written) });
+      for (const row of page.rows.map(r => logRowFor(req.dashboardSession, r))) {
+        res.write(format === 'csv' ? LOG_CSV_COLUMNS.map(c => csvField(row[c])).join(',') + '\n' : JSON.stringify(row) + '\n');
+      }
+      written += page.rows.length;
+      if (!page.nextBefore) break;
+      before = page.nextBefore;
+    }
+  } catch (e) {
+    await appLog('ERROR', 'Log export failed', e && e.message || e);
+  }
+  res.end();
+  await auditLog(req.dashboardSession.userId, 'logs_export', null, { format, rows: written });
+});
+
+/* =====================
+   Admin API
+   ===================== */
+// Mutations must be sent as application/json, which a cross-site form post cannot do.
+function requireAdmin(req, res, next) {
+  if (req.dashboardSession.role !== 'admin') return res.status(403).json({ ok: false, error: 'This action requires the admin role.' });
+  if (req.method !== 'GET' && !req.is('application/json')) return res.status(415).json({ ok: false, error: 'Expected an application/json body.' });
+  next();
+}
+const adminApi = [requireDashboard({ api: true }), requireAdmin, express.json({ limit: '16kb' })];
+
+// Errors raised with a status (adminError) are shown to the caller; anything else is logged and answered with a 500.
+const adminHandler = (label, fn) => async (req, res) => {
+  try {
+    return res.json({ ok: true, ...(await fn(req, req.dashboardSession.userId)) });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+    await appLog('ERROR', `Admin API ${label} failed`, e && e.message || e);
+    return res.status(500).json({ ok: false, error: 'internal' });
+  }
+};
+
+function targetUserId(req) {
+  if (!/^\d{17,20}$/.test(req.params.discordId)) throw adminError('Invalid Discord ID', 400);
+  return req.params.discordId;
+}
+const reasonFrom = (body, fallback) => String(body.reason || '').trim().substring(0, 200) || fallback;
+
+// Per-guild actions take `guildId` from the query string or JSON body and default to the home guild.
+function targetGuildId(req) {
+  const guildId = String(req.query.guildId || (req.body && req.body.guildId) || GUILD_ID);
+  if (!guildId) throw adminError('guildId is required', 400);
+  if (guildId !== GUILD_ID && !client.guilds.cache.has(guildId)) throw adminError('The bot is not in that server', 404);
+  return guildId;
+}
+
+app.get('/api/admin/guilds', ...adminApi, adminHandler('guild list', async () => {
+  const configured = new Set((await storage.guilds.list()).map(g => g.guild_id));
+  const guilds = [...client.guilds.cache.values()].map(g => ({ id: g.id, name: g.name, memberCount: g.memberCount, configured: configured.has(g.id), home: g.id === GUILD_ID }));
+  return { homeGuildId: GUILD_ID || null, guilds: guilds.sort((a, b) => Number(b.home) - Number(a.home) || a.name.localeCompare(b.name)) };
+}));
+
+app.get('/api/admin/users', ...adminApi, adminHandler('user search', async (req) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  return { users: await adminActions.searchUsers({ query: String(req.query.q || '').substring(0, 100), limit, offset }) };
+}));
+
+app.get('/api/admin/users/:discordId', ...adminApi, adminHandler('user lookup', async (req, actorId) => {
+  const discordId = targetUserId(req);
+  const guildId = targetGuildId(req);
+  const user = await adminActions.describeUser(guildId, discordId);
+  await auditLog(actorId, 'lookup', discordId, { guildId, via: 'dashboard' });
+  return { user };
+}));
+
+app.post('/api/admin/users/:discordId/unlink', ...adminApi, adminHandler('unlink', (req, actorId) =>
+  adminActions.forceUnlink({ actorId, guildIds: [...client.guilds.cache.keys()], discordId: targetUserId(req), reason: reasonFrom(req.body, 'dashboard unlink'), via: 'dashboard' })));
+
+app.post('/api/admin/users/:discordId/tokens', ...adminApi, adminHandler('token adjustment', (req, actorId) =>
+  adminActions.adjustTokens({ actorId, guildId: targetGuildId(req), discordId: targetUserId(req), amount: Number(req.body.amount), reason: reasonFrom(req.body, 'admin grant'), via: 'dashboard' })));
+
+app.post('/api/admin/users/:discordId/pardon', ...adminApi, adminHandler('pardon', (req, actorId) => {
+  const infractionId = req.body.infractionId == null || req.body.infractionId === '' ? null : parseInt(req.body.infractionId, 10);
+  if (Number.isNaN(infractionId)) throw adminError('infractionId must be a number', 400);
+  return adminActions.clearFlags({ actorId, guildId: targetGuildId(req), discordId: targetUserId(req), infractionId, via: 'dashboard' });
+}));
+
+app.post('/api/admin/users/:discordId/unban', ...adminApi, adminHandler('unban', (req, actorId) =>
+  adminActions.clearBan({ actorId, guildId: targetGuildId(req), discordId: targetUserId(req), reason: reasonFrom(req.body, 'Lifted from the dashboard'), via: 'dashboard' })));
+
+app.get('/api/admin/channels', ...adminApi, adminHandler('channel list', async (req) => ({ channels: await adminActions.textChannels(targetGuildId(req)) })));
+
+app.post('/api/admin/terms', ...adminApi, adminHandler('terms post', (req, actorId) =>
+  adminActions.postTermsPanel({ actorId, guildId: targetGuildId(req), channelId: String(req.body.channelId || ''), via: 'dashboard' })));
+
+app.post('/api/admin/commands/deploy', ...adminApi, adminHandler('command deploy', (req, actorId) =>
+  adminActions.redeployCommands({ actorId, via: 'dashboard' })));
+
+app.get('/api/admin/donations', ...adminApi, adminHandler('donation list', async (req) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const discordId = String(req.query.discordId || '').trim() || null;
+  return { donations: (await donations.list({ discordId, limit, offset })).map(describeDonation) };
+}));
+
+// Payments received outside the webhooks; `amount` is in major units ("5.00").
+app.post('/api/admin/donations', ...adminApi, adminHandler('donation entry', async (req, actorId) => {
+  const b = req.body;
+  const row = await donations.recordManual({ actorId, discordId: String(b.discordId || '').trim() || null, donorName: b.donorName, amount: b.amount, currency: b.currency, message: b.message, isPublic: b.isPublic !== false });
+  await auditLog(actorId, 'donation_add', row.discord_id || 'unlinked', { donationId: row.id, amount: formatAmount(row.amount_minor, row.currency), via: 'dashboard' });
+  return { donation: describeDonation(row) };
+}));
+
+app.post('/api/admin/donations/:id/link', ...adminApi, adminHandler('donation link', async (req, actorId) => {
+  const id = parseInt(req.params.id, 10);
+  if (!id) throw adminError('Invalid donation ID', 400);
+  const row = await donations.link(id, String(req.body.discordId || '').trim());
+  await auditLog(actorId, 'donation_link', row.discord_id, { donationId: row.id, via: 'dashboard' });
+  return { donation: describeDonation(row) };
+}));
+
+app.get('/auth/roblox/callback', async (req, res) => {
+  res.type('text/plain');
+  const oauth = verification.getProvider('oauth');
+  if (!oauth) return res.status(404).send('Roblox login verification is not enabled.');
+  const state = oauth.verifyState(req.query.state);
+  if (!state || !req.query.code) return res.status(400).send('This verification link is invalid or has expired. Press "Agree & Register" in Discord again.');
+  const { discordId } = state;
+  const guild = client.guilds.cache.get(state.guildId);
+  if (!guild) return res.status(503).send('The bot is not connected to Discord right now. Please try again later.');
+  try {
+    const account = await oauth.exchangeCode(String(req.query.code));
+    const result = await verification.completeVerification({ discordId, guild, robloxId: account.robloxId, robloxUsername: account.robloxUsername, method: 'oauth' });
+    if (!result.ok) return res.status(409).send('This Roblox account is already linked to another Discord user. That user must logout first.');
+    client.users.send(discordId, `Verification successful — Verified as **${account.robloxUsername}**`).catch(() => {});
+    return res.send(`Verified as ${account.robloxUsername}. You can close this tab and return to Discord.`);
+  } catch (e) {
+    metrics.recordVerification('failed', 'oauth');
+    await appLog('ERROR', 'Roblox OAuth callback failed', e && e.message || e);
+    return res.status(502).send('Roblox login failed. Please try again.');
+  }
+});
+
+app.post('/api/verify/game', express.raw({ type: '*/*', limit: '16kb' }), async (req, res) => {
+  const game = verification.getProvider('game');
+  if (!game) return res.status(404).json({ ok: false, error: 'disabled' });
+  const raw = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+  if (!game.verifySignature(raw, req.get('x-linedevs-timestamp'), req.get('x-linedevs-signature'))) {
+    await appLog('WARN', 'Rejected game verification request with a bad signature from', req.ip);
+    return res.status(401).json({ ok: false, error: 'bad_signature' });
+  }
+  let body;
+  try { body = JSON.parse(raw); } catch (e) { return res.status(400).json({ ok: false, error: 'bad_json' }); }
+  if (!body.key || !body.robloxId || !body.robloxUsername) return res.status(400).json({ ok: false, error: 'missing_fields' });
+  try {
+    const pend = await verification.findPendingVerificationByKey(String(body.key));
+    if (!pend || pend.method !== 'game') return res.status(404).json({ ok: false, error: 'unknown_key' });
+    // Keys issued before multi-guild support carry no guild and belong to the home server.
+    const guild = client.guilds.cache.get(pend.guildId || GUILD_ID);
+    if (!guild) return res.status(503).json({ ok: false, error: 'discord_unavailable' });
+    if (pend.expired) {
+      await verification.deletePendingVerification(pend.discordId);
+      metrics.recordVerification('expired', 'game');
+      return res.status(410).json({ ok: false, error: 'expired' });
+    }
+    const result = await verification.completeVerification({ discordId: pend.discordId, guild, robloxId: String(body.robloxId), robloxUsername: String(body.robloxUsername), method: 'game' });
+    if (!result.ok) return res.status(409).json({ ok: false, error: 'already_linked' });
+    client.users.send(pend.discordId, `Verification successful — Verified as **${body.robloxUsername}**`).catch(() => {});
+    return res.json({ ok: true, discordId: pend.discordId });
+  } catch (e) {
+    await appLog('ERROR', 'Game verification failed', e && e.message || e);
+    return res.status(500).json({ ok: false, error: 'internal' });
+  }
+});
+
+// Payment provider webhooks (see lib/donations.cjs). Anything verified is acknowledged with 200 so the provider does
+// not retry events that are not donations or were already recorded.
+app.post('/api/donations/:provider/webhook', express.raw({ type: '*/*', limit: '64kb' }), async (req, res) => {
+  const raw = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+  try {
+    const { result, donation } = await donations.handleWebhook(req.params.provider, raw, req.headers);
+    if (result === 'unknown_provider') return res.status(404).json({ ok: false, error: 'disabled' });
+    if (result === 'bad_signature') {
+      await appLog('WARN', `Rejected ${req.params.provider} donation webhook with a bad signature from`, req.ip);
+      return res.status(401).json({ ok: false, error: 'bad_signature' });
+    }
+    return res.json({ ok: true, result, id: donation ? donation.id : null });
+  } catch (e) {
+    await appLog('ERROR', 'Donation webhook failed', e && e.message || e);
+    return res.status(500).json({ ok: false, error: 'internal' });
+  }
+});
 
 let lastDashboardConnectLogAt = 0;
 const DASHBOARD_CONNECT_DEDUPE_MS = 10000;
 
-app.get('/api/metrics', (req, res) => {
-  const m = { uptime: Math.round((Date.now() - metrics.uptimeStart) / 1000), memoryUsageMB: Math.round(process.memoryUsage().rss / 1024 / 1024), lagSpikes: metrics.lagSpikes, codeUpdates: metrics.codeUpdates, activeUsers: metrics.activeUsers, status: metrics.status };
-  res.json(m);
+/* =====================
+   Health Checks
+   ===================== */
+// /healthz answers as long as the process serves HTTP; /readyz is 503 until Discord and the database are reachable
+// (and again while shutting down), so hosts can restart or drain the instance. The AI backend is reported, not required.
+const health = createHealth({
+  timeoutMs: HEALTH_CHECK_TIMEOUT_MS,
+  checks: {
+    discord: { run: async () => ({ ok: client.isReady(), pingMs: client.isReady() ? client.ws.ping : null, guilds: client.guilds.cache.size }) },
+    database: { run: async () => ({ ...await storage.ping(), kind: storage.kind }) },
+    ai: { optional: true, run: async () => ({ ok: aiClient.isConfigured(), backend: aiClient.backend, model: aiClient.model, failures: metrics.snapshot().ai.failure }) }
+  }
+});
+
+app.get('/healthz', async (req, res) => {
+  res.json({ status: shuttingDown ? 'shutting_down' : 'ok', uptimeSeconds: Math.round(process.uptime()), ...await health.report() });
+});
+
+app.get('/readyz', async (req, res) => {
+  const report = await health.report();
+  const ready = report.ready && !shuttingDown;
+  res.status(ready ? 200 : 503).json({ ...report, ready, shuttingDown });
+});
+
+app.get('/api/metrics', requireDashboard({ api: true }), (req, res) => {
+  res.json({ ...metrics.snapshot(), history: metrics.history() });
+});
+
+// Prometheus scrape endpoint: a dashboard session or `Authorization: Bearer <METRICS_TOKEN>`.
+app.get('/metrics', (req, res) => {
+  const bearer = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const digest = (v) => crypto.createHash('sha256').update(v).digest();
+  const tokenOk = Boolean(METRICS_TOKEN) && crypto.timingSafeEqual(digest(bearer), digest(METRICS_TOKEN));
+  if (!tokenOk && !dashboardAuth.sessionFromCookieHeader(req.headers.cookie)) return res.status(401).type('text/plain').send('Unauthorized');
+  res.type('text/plain; version=0.0.4').send(metrics.prometheus());
+});
+
+io.use((socket, next) => {
+  const session = dashboardAuth.sessionFromCookieHeader(socket.request.headers.cookie);
+  if (!session) return next(new Error('unauthorized'));
+  socket.data.session = session;
+  next();
 });
 
 io.on('connection', (socket) => {
   const now = Date.now();
   if (now - lastDashboardConnectLogAt > DASHBOARD_CONNECT_DEDUPE_MS) { lastDashboardConnectLogAt = now; appLog('SYSTEM','Dashboard connected via socket'); }
-  socket.emit('metrics', { uptime: Math.round((Date.now() - metrics.uptimeStart) / 1000), memoryUsageMB: Math.round(process.memoryUsage().rss / 1024 / 1024), lagSpikes: metrics.lagSpikes, codeUpdates: metrics.codeUpdates, activeUsers: metrics.activeUsers, status: metrics.status });
-  socket.emit('logs', logBuffer.slice(-200));
+  socket.emit('metrics', metrics.snapshot());
+  socket.emit('metricsHistory', metrics.history());
+  socket.emit('logs', logBuffer.slice(-200).map(entry => logEntryFor(socket.data.session, entry)));
 });
 
-setInterval(() => {
-  metrics.memoryUsageMB = Math.round(process.memoryUsage().rss / 1024 / 1024);
-  metrics.uptime = Math.round((Date.now() - metrics.uptimeStart) / 1000);
-  metrics.codeUpdates = Math.floor(Math.random() * 5);
-  metrics.activeUsers = Math.floor(Math.random() * 200);
-  if (io) io.emit('metrics', metrics);
-}, 3000);
+// Deletes persisted log rows older than LOG_RETENTION_DAYS (0 keeps everything).
+async function purgeOldLogs() {
+  if (!LOG_RETENTION_DAYS) return;
+  const removed = await storage.logs.purgeOlderThan(LOG_RETENTION_DAYS);
+  if (removed) await appLog('INFO', `Log retention removed ${removed} row(s) older than ${LOG_RETENTION_DAYS} day(s).`);
+}
+
+// Cleared on shutdown.
+const backgroundTimers = [
+  setInterval(() => {
+    purgeOldLogs().catch(e => appLog('ERROR', 'Log retention failed', e && e.message || e));
+  }, 60 * 60 * 1000),
+  setInterval(() => {
+    verification.sweepExpiredVerifications().catch(e => appLog('ERROR', 'Verification sweeper failed', e && e.message || e));
+  }, VERIFICATION_SWEEP_INTERVAL_MINUTES * 60 * 1000),
+  setInterval(() => {
+    processDueDeletions().catch(e => appLog('ERROR', 'Data deletion job failed', e && e.message || e));
+  }, 10 * 60 * 1000),
+  setInterval(() => {
+    if (client.isReady()) donations.retryPendingPerks().catch(e => appLog('ERROR', 'Donor perk retry failed', e && e.message || e));
+  }, 10 * 60 * 1000),
+  setInterval(() => {
+    if (io) io.emit('metrics', metrics.snapshot());
+  }, 3000)
+];
+
+if (ROBLOX_SYNC_INTERVAL_MINUTES > 0) {
+  backgroundTimers.push(setInterval(() => {
+    resyncRobloxAccounts().catch(e => appLog('ERROR', 'Roblox re-sync failed', e && e.message || e));
+  }, ROBLOX_SYNC_INTERVAL_MINUTES * 60 * 1000));
+}
+
+// Optional self-ping (point KEEP_ALIVE_URL at /healthz). Failures are logged once until a request succeeds again.
+let keepAliveFailing = false;
+async function pingKeepAlive() {
+  try {
+    const res = await fetch(KEEP_ALIVE_URL, { timeout: 10000 });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    if (keepAliveFailing) await appLog('INFO', 'Keep-alive ping succeeded again.');
+    keepAliveFailing = false;
+  } catch (e) {
+    if (!keepAliveFailing) await appLog('WARN', `Keep-alive ping to ${KEEP_ALIVE_URL} failed`, e && e.message || e);
+    keepAliveFailing = true;
+  }
+}
+
+if (KEEP_ALIVE_URL && KEEP_ALIVE_INTERVAL_MINUTES > 0) {
+  backgroundTimers.push(setInterval(() => { pingKeepAlive(); }, KEEP_ALIVE_INTERVAL_MINUTES * 60 * 1000));
+}
+
+/* =====================
+   Graceful Shutdown
+   ===================== */
+// Stops taking interactions, lets running ones finish (up to SHUTDOWN_TIMEOUT_MS), then disconnects from Discord,
+// waits for queued log inserts and closes the database.
+let shuttingDown = false;
+
+const waitFor = (promises, ms) => Promise.race([Promise.allSettled(promises), new Promise(resolve => setTimeout(resolve, Math.max(0, ms)))]);
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+  await appLog('SYSTEM', `${signal} received - shutting down (${inFlightInteractions.size} interaction(s) in flight).`);
+  backgroundTimers.forEach(clearInterval);
+  metrics.stop();
+  io.close();
+
+  await waitFor([...inFlightInteractions], deadline - Date.now());
+  if (inFlightInteractions.size) await appLog('WARN', `${inFlightInteractions.size} interaction(s) did not finish before the shutdown timeout.`);
+  await client.destroy();
+  await appLog('SYSTEM', 'Discord client destroyed; closing storage.');
+  await waitFor([...pendingLogWrites], deadline - Date.now());
+  await storage.close().catch(e => console.error('Storage close failed:', e.message));
+  server.closeAllConnections();
+  process.exit(0);
+}
+
+process.once('SIGTERM', () => { shutdown('SIGTERM'); });
+process.once('SIGINT', () => { shutdown('SIGINT'); });
 
 /* =====================
    Global Error Handlers
@@ -543,4 +1277,4 @@ else { appLog('WARN','DISCORD_TOKEN not set - Discord features disabled until pr
 // Initialize DB if needed
 initDatabase().catch(e => console.error('DB init failed', e));
 
-module.exports = { app, server, io, pool };
+module.exports = { app, server, io, storage, commands, commandContext };
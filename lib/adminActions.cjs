@@ -0,0 +1,140 @@
+/*
+LineDevs - lib/adminActions.cjs
+Staff actions shared by the Discord commands and the dashboard admin API. Every mutating action is written to
+the audit log with the acting user's ID and where it was triggered from (`via`: 'discord' or 'dashboard').
+*/
+
+// Largest single token grant or removal, shared with the /tokens grant option limits.
+const MAX_TOKEN_ADJUSTMENT = 1000;
+
+function adminError(message, status) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+/* =====================
+   Admin Actions
+   ===================== */
+// Every action is scoped to one guild. getGuild(guildId) returns the cached guild (or null while Discord is down),
+// guildConfig is lib/guildConfig.cjs, groupBindings is lib/groupBindings.cjs and buildTermsPanel(guildId) resolves
+// to a message payload.
+function createAdminActions({ storage, moderation, tokenService, guildConfig, groupBindings, audit, log = async () => {}, getGuild, buildTermsPanel, deployCommands }) {
+  async function fetchMember(guildId, discordId) {
+    const guild = getGuild(guildId);
+    return guild ? guild.members.fetch(discordId).catch(() => null) : null;
+  }
+
+  // Roblox link, balance and moderation state of one user in a guild. Works for users who have left the server.
+  async function describeUser(guildId, discordId) {
+    const [user, state, member, settings, infractions, flags] = await Promise.all([
+      storage.users.get(discordId),
+      storage.members.get(guildId, discordId),
+      fetchMember(guildId, discordId),
+      guildConfig.get(guildId),
+      moderation.listInfractions(discordId, guildId, 1000),
+      moderation.activeFlagCount(discordId, guildId)
+    ]);
+    const balance = await tokenService.getBalance(discordId, { quota: tokenService.quotaForMember(member, settings), guildId });
+    const bannedUntil = state && state.banned_until && new Date(state.banned_until) > new Date() ? new Date(state.banned_until) : null;
+    return {
+      discordId,
+      guildId,
+      tag: member ? member.user.tag : null,
+      inGuild: Boolean(member),
+      roblox: user && user.roblox_id ? { id: user.roblox_id, username: user.roblox_username, linkedAt: user.linked_at } : null,
+      tokens: balance.tokens,
+      quota: balance.quota,
+      flags,
+      infractions: infractions.length,
+      bannedUntil,
+      timedOutUntil: member && member.isCommunicationDisabled() ? member.communicationDisabledUntil : null
+    };
+  }
+
+  async function searchUsers({ query = '', limit = 50, offset = 0 } = {}) {
+    const rows = await storage.users.search({ query, limit, offset });
+    return rows.map(u => ({ discordId: u.discord_id, robloxId: u.roblox_id, robloxUsername: u.roblox_username, linkedAt: u.linked_at }));
+  }
+
+  // Deletes the Roblox link (and any pending verification) and puts the member back to Unverified in every guild
+  // the bot shares with them.
+  // Returns false when nothing was linked.
+  async function releaseAccount(discordId, guildIds = []) {
+    const removed = await storage.users.remove(String(discordId));
+    await storage.verifications.remove(String(discordId));
+    for (const guildId of guildIds) {
+      const [member, settings] = await Promise.all([fetchMember(guildId, discordId), guildConfig.get(guildId)]);
+      if (!member) continue;
+      if (settings.verifiedRoleId) await member.roles.remove(settings.verifiedRoleId).catch(e => log('WARN', 'Failed to remove verified role (unlink)', e.message));
+      if (settings.unverifiedRoleId) await member.roles.add(settings.unverifiedRoleId).catch(e => log('WARN', 'Failed to add unverified role (unlink)', e.message));
+      await groupBindings.syncMember(member, null).catch(e => log('WARN', 'Failed to remove group-bound roles (unlink)', e.message));
+    }
+    return removed;
+  }
+
+  async function forceUnlink({ actorId, guildIds, discordId, reason = '', via }) {
+    const removed = await releaseAccount(discordId, guildIds);
+    await audit(actorId, 'force_unlink', discordId, { reason, removed, via });
+    return { removed };
+  }
+
+  async function adjustTokens({ actorId, guildId, discordId, amount, reason = 'admin grant', via }) {
+    if (!Number.isInteger(amount) || amount === 0 || Math.abs(amount) > MAX_TOKEN_ADJUSTMENT) throw adminError(`amount must be a non-zero integer between -${MAX_TOKEN_ADJUSTMENT} and ${MAX_TOKEN_ADJUSTMENT}`, 400);
+    const [member, settings] = await Promise.all([fetchMember(guildId, discordId), guildConfig.get(guildId)]);
+    const balance = await tokenService.credit(discordId, amount, { kind: amount >= 0 ? 'grant' : 'revoke', reason, actorId, guildId, quota: tokenService.quotaForMember(member, settings) });
+    await audit(actorId, 'tokens_grant', discordId, { guildId, amount, reason, balance, via });
+    return { balance };
+  }
+
+  // Pardons one infraction, or every active one in the guild when infractionId is null.
+  async function clearFlags({ actorId, guildId, discordId, infractionId = null, via }) {
+    const count = await moderation.pardon({ discordId, guildId, infractionId, moderatorId: actorId });
+    const flags = await moderation.activeFlagCount(discordId, guildId);
+    await audit(actorId, 'pardon', discordId, { guildId, infractionId, count, via });
+    return { count, flags };
+  }
+
+  // Clears the AI ban and lifts a Discord timeout if the member has one.
+  async function clearBan({ actorId, guildId, discordId, reason = 'Lifted by moderator', via }) {
+    await storage.members.setBannedUntil(guildId, discordId, null);
+    let timeoutLifted = false;
+    const member = await fetchMember(guildId, discordId);
+    if (member && member.isCommunicationDisabled()) {
+      timeoutLifted = await member.timeout(null, reason).then(() => true).catch(e => { log('WARN', `Failed to lift timeout for ${discordId}`, e.message); return false; });
+    }
+    await audit(actorId, 'unban', discordId, { guildId, reason, timeoutLifted, via });
+    return { timeoutLifted };
+  }
+
+  function connectedGuild(guildId) {
+    const guild = getGuild(guildId);
+    if (!guild) throw adminError('Discord is not connected or the bot is not in that server', 503);
+    return guild;
+  }
+
+  async function textChannels(guildId) {
+    const guild = connectedGuild(guildId);
+    return [...guild.channels.cache.values()].filter(c => c.isTextBased() && !c.isThread() && !c.isVoiceBased()).sort((a, b) => a.rawPosition - b.rawPosition).map(c => ({ id: c.id, name: c.name }));
+  }
+
+  async function postTermsPanel({ actorId, guildId, channelId, via }) {
+    const guild = connectedGuild(guildId);
+    const channel = guild.channels.cache.get(channelId);
+    if (!channel || !channel.isTextBased()) throw adminError('Unknown text channel', 404);
+    const message = await channel.send(await buildTermsPanel(guildId));
+    await audit(actorId, 'terms_posted', null, { guildId, channelId, messageId: message.id, via });
+    return { channelId, messageId: message.id };
+  }
+
+  async function redeployCommands({ actorId, via }) {
+    const ok = await deployCommands();
+    await audit(actorId, 'deploy_commands', null, { ok, via });
+    if (!ok) throw adminError('Slash command deployment failed, see the logs', 502);
+    return { ok };
+  }
+
+  return { describeUser, searchUsers, releaseAccount, forceUnlink, adjustTokens, clearFlags, clearBan, textChannels, postTermsPanel, redeployCommands };
+}
+
+module.exports = { createAdminActions, adminError, MAX_TOKEN_ADJUSTMENT };
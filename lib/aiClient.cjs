@@ -0,0 +1,215 @@
+/*
+LineDevs - lib/aiClient.cjs
+Provider-agnostic AI client: Gemini, OpenAI-compatible, Ollama-style local servers and a deterministic mock.
+All backends stream; generate() retries transient failures with exponential backoff and a per-attempt timeout.
+*/
+
+const fetch = require('node-fetch');
+
+const DEFAULT_MODELS = { gemini: 'gemini-2.5-flash', openai: 'gpt-4o-mini', ollama: 'llama3.1', mock: 'mock' };
+const DEFAULT_BASE_URLS = { gemini: 'https://generativelanguage.googleapis.com', openai: 'https://api.openai.com', ollama: 'http://localhost:11434', mock: '' };
+
+/* =====================
+   Errors & Streaming Helpers
+   ===================== */
+function aiError(message, { status = 0, retryable = false, retryAfterMs = 0, body = '' } = {}) {
+  const e = new Error(message);
+  e.status = status;
+  e.retryable = retryable;
+  e.retryAfterMs = retryAfterMs;
+  e.body = body;
+  return e;
+}
+
+async function httpError(res, backend) {
+  const body = await res.text().catch(() => '');
+  const retryAfter = parseInt(res.headers.get('retry-after') || '0', 10);
+  return aiError(`${backend} HTTP ${res.status}`, { status: res.status, retryable: res.status === 429 || res.status >= 500, retryAfterMs: retryAfter * 1000, body: body.substring(0, 500) });
+}
+
+// Yields complete lines from a node-fetch body stream.
+async function* readLines(body) {
+  let buf = '';
+  for await (const chunk of body) {
+    buf += chunk.toString('utf8');
+    let idx;
+    while ((idx = buf.indexOf('\n')) >= 0) {
+      yield buf.slice(0, idx).replace(/\r$/, '');
+      buf = buf.slice(idx + 1);
+    }
+  }
+  if (buf.trim()) yield buf;
+}
+
+// Yields parsed JSON payloads from a server-sent events stream, stopping at "[DONE]".
+async function* readSse(body) {
+  for await (const line of readLines(body)) {
+    if (!line.startsWith('data:')) continue;
+    const data = line.slice(5).trim();
+    if (!data) continue;
+    if (data === '[DONE]') return;
+    yield JSON.parse(data);
+  }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/* =====================
+   Backends
+   ===================== */
+// Each backend streams: stream({ messages, systemPrompt, signal }) yields text deltas.
+// messages are { role: 'user' | 'model', content, images?: [{ mimeType, data (base64) }] }.
+function geminiBackend({ apiKey, model, baseUrl, fetchImpl }) {
+  return {
+    isConfigured: () => Boolean(apiKey),
+    async *stream({ messages, systemPrompt, signal }) {
+      const payload = { contents: messages.map(m => ({ role: m.role, parts: [{ text: m.content }, ...(m.images || []).map(img => ({ inlineData: { mimeType: img.mimeType, data: img.data } }))] })) };
+      if (systemPrompt) payload.systemInstruction = { parts: [{ text: systemPrompt }] };
+      const res = await fetchImpl(`${baseUrl}/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${encodeURIComponent(apiKey)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal
+      });
+      if (!res.ok) throw await httpError(res, 'gemini');
+      for await (const js of readSse(res.body)) {
+        const text = (js?.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join('');
+        if (text) yield text;
+      }
+    }
+  };
+}
+
+function toChatMessages(messages, systemPrompt) {
+  const out = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+  return out.concat(messages.map(m => {
+    const role = m.role === 'model' ? 'assistant' : 'user';
+    if (!m.images || !m.images.length) return { role, content: m.content };
+    return { role, content: [{ type: 'text', text: m.content }, ...m.images.map(img => ({ type: 'image_url', image_url: { url: `data:${img.mimeType};base64,${img.data}` } }))] };
+  }));
+}
+
+function openAiBackend({ apiKey, model, baseUrl, fetchImpl }) {
+  return {
+    isConfigured: () => Boolean(apiKey),
+    async *stream({ messages, systemPrompt, signal }) {
+      const res = await fetchImpl(`${baseUrl}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` },
+        body: JSON.stringify({ model, messages: toChatMessages(messages, systemPrompt), stream: true }),
+        signal
+      });
+      if (!res.ok) throw await httpError(res, 'openai');
+      for await (const js of readSse(res.body)) {
+        const text = js?.choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    }
+  };
+}
+
+function toOllamaMessages(messages, systemPrompt) {
+  const out = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+  return out.concat(messages.map(m => ({ role: m.role === 'model' ? 'assistant' : 'user', content: m.content, ...(m.images && m.images.length ? { images: m.images.map(img => img.data) } : {}) })));
+}
+
+function ollamaBackend({ model, baseUrl, fetchImpl }) {
+  return {
+    isConfigured: () => Boolean(baseUrl),
+    async *stream({ messages, systemPrompt, signal }) {
+      const res = await fetchImpl(`${baseUrl}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, messages: toOllamaMessages(messages, systemPrompt), stream: true }),
+        signal
+      });
+      if (!res.ok) throw await httpError(res, 'ollama');
+      for await (const line of readLines(res.body)) {
+        if (!line.trim()) continue;
+        const js = JSON.parse(line);
+        if (js.error) throw aiError(`ollama error: ${js.error}`);
+        if (js.message?.content) yield js.message.content;
+        if (js.done) return;
+      }
+    }
+  };
+}
+
+// Deterministic offline backend. Prompts containing "[mock-fail]" fail permanently and
+// "[mock-flaky]" fails once per prompt before succeeding, to exercise refunds and retries.
+function mockBackend() {
+  const flakySeen = new Set();
+  return {
+    isConfigured: () => true,
+    async *stream({ messages, systemPrompt }) {
+      const last = messages[messages.length - 1]?.content || '';
+      if (last.includes('[mock-fail]')) throw aiError('mock failure', { status: 500 });
+      if (last.includes('[mock-flaky]') && !flakySeen.has(last)) {
+        flakySeen.add(last);
+        throw aiError('mock transient failure', { status: 503, retryable: true });
+      }
+      const images = messages[messages.length - 1]?.images?.length || 0;
+      const reply = `Mock reply to: "${last}" (${messages.length} message(s) in context${images ? `, ${images} image(s)` : ''}${systemPrompt ? ', system prompt set' : ''})`;
+      for (const word of reply.split(/(?<= )/)) yield word;
+    }
+  };
+}
+
+const BACKENDS = { gemini: geminiBackend, openai: openAiBackend, ollama: ollamaBackend, mock: mockBackend };
+
+/* =====================
+   Client
+   ===================== */
+function createAiClient({
+  backend = 'gemini',
+  model,
+  apiKey = '',
+  baseUrl,
+  timeoutMs = 60000,
+  maxRetries = 2,
+  backoffMs = 500,
+  fetchImpl = fetch,
+  log = async () => {}
+} = {}) {
+  const factory = BACKENDS[backend];
+  if (!factory) throw new Error(`Unknown AI backend: ${backend}`);
+  const resolvedModel = model || DEFAULT_MODELS[backend];
+  const impl = factory({ apiKey, model: resolvedModel, baseUrl: (baseUrl || DEFAULT_BASE_URLS[backend]).replace(/\/+$/, ''), fetchImpl });
+
+  // Streams one completion. onDelta receives the full text so far; a retry restarts it from scratch.
+  // Resolves to { text, attempts } or rejects with the last error (carrying .attempts) once retries are exhausted.
+  async function generate({ messages, systemPrompt = '', onDelta = () => {} }) {
+    let lastError = null;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (attempt > 0) {
+        const delay = Math.max(lastError.retryAfterMs || 0, backoffMs * 2 ** (attempt - 1) + Math.floor(Math.random() * backoffMs));
+        await log('WARN', `AI ${backend} attempt ${attempt} failed (${lastError.message}); retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      let text = '';
+      try {
+        for await (const delta of impl.stream({ messages, systemPrompt, signal: controller.signal })) {
+          text += delta;
+          onDelta(text);
+        }
+        if (!text) throw aiError(`${backend} returned an empty response`, { retryable: true });
+        return { text, attempts: attempt + 1 };
+      } catch (e) {
+        lastError = controller.signal.aborted
+          ? aiError(`${backend} timed out after ${timeoutMs}ms`, { retryable: true })
+          : (e.retryable !== undefined ? e : aiError(e.message || String(e), { retryable: true }));
+        lastError.attempts = attempt + 1;
+        if (!lastError.retryable) break;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+    throw lastError;
+  }
+
+  return { backend, model: resolvedModel, isConfigured: impl.isConfigured, generate };
+}
+
+module.exports = { createAiClient, readSse, readLines, DEFAULT_MODELS };
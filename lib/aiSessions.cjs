@@ -0,0 +1,37 @@
+/*
+LineDevs - lib/aiSessions.cjs
+Helpers for /ai conversation sessions: context-window trimming and Markdown export. Sessions are stored via storage.aiSessions.
+*/
+
+/* =====================
+   Context Window
+   ===================== */
+// Rough token estimate (~4 characters per token) used for budgeting only.
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+// Keeps the newest messages that fit in the token budget (system prompt included) and makes sure
+// the window starts with a user turn. The last message is always kept, even when it alone exceeds the budget.
+function trimToBudget(messages, { budget, systemPrompt = '' }) {
+  let remaining = budget - estimateTokens(systemPrompt);
+  const kept = [];
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(messages[i].content);
+    if (kept.length && cost > remaining) break;
+    kept.unshift(messages[i]);
+    remaining -= cost;
+  }
+  while (kept.length > 1 && kept[0].role !== 'user') kept.shift();
+  return kept;
+}
+
+function sessionToMarkdown(session, messages) {
+  const lines = [`# ${session.title || 'AI session'} (#${session.id})`, '', `Started: ${new Date(session.created_at).toISOString()}`, ''];
+  for (const m of messages) {
+    lines.push(`## ${m.role === 'user' ? 'You' : 'Assistant'} — ${new Date(m.created_at).toISOString()}`, '', m.content, '');
+  }
+  return lines.join('\n');
+}
+
+module.exports = { trimToBudget, estimateTokens, sessionToMarkdown };
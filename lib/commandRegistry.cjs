@@ -0,0 +1,137 @@
+/*
+LineDevs - lib/commandRegistry.cjs
+Slash commands, buttons, modals and prefix commands live in commands/ as one module each. A module declares what it
+answers to and who may use it; the registry routes interactions and messages to it, enforces the permission and builds
+the command list deploySlashCommands sends to Discord. Handlers receive the shared context (storage, services,
+helpers) as their last argument, so they can be driven with stand-ins (see test/support/fakeDiscord.cjs).
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { MessageFlags, InteractionContextType } = require('discord.js');
+
+const COMMANDS_DIR = path.join(__dirname, '..', 'commands');
+const PREFIX = '!';
+const DEFAULT_DENIED_MESSAGE = 'You do not have permission to use this.';
+
+// Module shapes, by directory:
+//   slash/    { data: SlashCommandBuilder, permission?, deniedMessage?, subcommandPermissions?: { [sub]: { permission, deniedMessage } },
+//               consentGated?, execute(interaction, ctx) }
+//   buttons/  { customId: string | string[] or prefix: string, permission?, deniedMessage?, execute(interaction, ctx) }
+//   modals/   same as buttons/
+//   prefix/   { name, permission?, deniedMessage?, execute(message, args, ctx) }
+// `permission` is a PermissionsBitField flag; for slash commands it also becomes the default member permission.
+const KINDS = ['slash', 'buttons', 'modals', 'prefix'];
+
+// Returns { slash: [...], buttons: [...], modals: [...], prefix: [...] }, each module tagged with its file.
+function loadCommandModules(dir = COMMANDS_DIR) {
+  const modules = {};
+  for (const kind of KINDS) {
+    const kindDir = path.join(dir, kind);
+    const files = fs.existsSync(kindDir) ? fs.readdirSync(kindDir).filter(f => f.endsWith('.cjs')).sort() : [];
+    modules[kind] = files.map(file => ({ ...require(path.join(kindDir, file)), file: `${kind}/${file}` }));
+  }
+  return modules;
+}
+
+const componentIds = (m) => [].concat(m.customId || []);
+
+function createCommandRegistry({ modules = loadCommandModules(), context = {}, guards = [] } = {}) {
+  const slash = new Map();
+  const prefixCommands = new Map();
+  const components = { buttons: { exact: new Map(), prefixed: [] }, modals: { exact: new Map(), prefixed: [] } };
+
+  for (const m of modules.slash || []) {
+    if (!m.data || typeof m.execute !== 'function') throw new Error(`${m.file}: slash commands need data and execute`);
+    if (slash.has(m.data.name)) throw new Error(`Duplicate slash command /${m.data.name}: ${slash.get(m.data.name).file} and ${m.file}`);
+    slash.set(m.data.name, m);
+  }
+  for (const kind of ['buttons', 'modals']) {
+    for (const m of modules[kind] || []) {
+      if (typeof m.execute !== 'function' || (!componentIds(m).length && !m.prefix)) throw new Error(`${m.file}: components need customId or prefix, and execute`);
+      for (const id of componentIds(m)) {
+        if (components[kind].exact.has(id)) throw new Error(`Duplicate customId ${id}: ${components[kind].exact.get(id).file} and ${m.file}`);
+        components[kind].exact.set(id, m);
+      }
+      if (m.prefix) components[kind].prefixed.push(m);
+    }
+  }
+  for (const m of modules.prefix || []) {
+    if (!m.name || typeof m.execute !== 'function') throw new Error(`${m.file}: prefix commands need name and execute`);
+    if (prefixCommands.has(m.name)) throw new Error(`Duplicate prefix command ${PREFIX}${m.name}: ${prefixCommands.get(m.name).file} and ${m.file}`);
+    prefixCommands.set(m.name, m);
+  }
+
+  // Exact customIds win over prefixes.
+  function findComponent(kind, customId) {
+    const { exact, prefixed } = components[kind];
+    return exact.get(customId) || prefixed.find(m => customId.startsWith(m.prefix)) || null;
+  }
+
+  function resolve(interaction) {
+    if (interaction.isChatInputCommand()) return slash.get(interaction.commandName) || null;
+    if (interaction.isButton()) return findComponent('buttons', interaction.customId);
+    if (interaction.isModalSubmit()) return findComponent('modals', interaction.customId);
+    return null;
+  }
+
+  // The rule that applies to this interaction: a subcommand's own rule, else the module's.
+  function permissionRule(handler, interaction) {
+    if (handler.subcommandPermissions && interaction.isChatInputCommand()) {
+      const sub = interaction.options.getSubcommand(false);
+      if (sub && handler.subcommandPermissions[sub]) return handler.subcommandPermissions[sub];
+    }
+    return handler;
+  }
+
+  const allowed = (memberPermissions, rule) => !rule.permission || Boolean(memberPermissions && memberPermissions.has(rule.permission));
+
+  // Runs the module registered for an interaction. Guards run after the permission check and may answer instead of
+  // the handler by returning a reply payload. Returns the module, or null when nothing is registered for it.
+  async function dispatch(interaction) {
+    const handler = resolve(interaction);
+    if (!handler) return null;
+    const rule = permissionRule(handler, interaction);
+    if (!allowed(interaction.memberPermissions, rule)) {
+      await interaction.reply({ content: rule.deniedMessage || DEFAULT_DENIED_MESSAGE, flags: MessageFlags.Ephemeral });
+      return handler;
+    }
+    for (const guard of guards) {
+      const payload = await guard(interaction, handler);
+      if (payload) {
+        await interaction.reply(payload);
+        return handler;
+      }
+    }
+    await handler.execute(interaction, context);
+    return handler;
+  }
+
+  // Runs a `!name args` prefix command. Returns the module, or null when the message is not a known command.
+  async function dispatchMessage(message) {
+    const content = String(message.content || '').trim();
+    if (!content.startsWith(PREFIX)) return null;
+    const [name, ...args] = content.slice(PREFIX.length).split(/\s+/);
+    const handler = prefixCommands.get(name.toLowerCase());
+    if (!handler) return null;
+    if (!allowed(message.member && message.member.permissions, handler)) {
+      await message.reply(handler.deniedMessage || DEFAULT_DENIED_MESSAGE);
+      return handler;
+    }
+    await handler.execute(message, args, context);
+    return handler;
+  }
+
+  // Command JSON for Routes.applicationCommands. Commands are guild-only; every server reads its own settings.
+  function slashCommandData() {
+    return [...slash.values()].map(m => {
+      m.data.setContexts(InteractionContextType.Guild);
+      if (m.permission) m.data.setDefaultMemberPermissions(m.permission);
+      return m.data.toJSON();
+    });
+  }
+
+  return { dispatch, dispatchMessage, slashCommandData, commandNames: () => [...slash.keys()] };
+}
+
+module.exports = { createCommandRegistry, loadCommandModules, COMMANDS_DIR, PREFIX };
@@ -0,0 +1,132 @@
+/*
+LineDevs - lib/dashboardAuth.cjs
+Discord OAuth2 login for the web dashboard. Sessions are stateless HMAC-signed cookies carrying the user's
+dashboard role ('admin' or 'viewer'), which is decided from their roles in the verification guild at login.
+*/
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const SESSION_COOKIE = 'ld_session';
+const STATE_COOKIE = 'ld_oauth_state';
+const STATE_TTL_SECONDS = 10 * 60;
+const DISCORD_API = 'https://discord.com/api/v10';
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx < 0) continue;
+    const name = part.slice(0, idx).trim();
+    if (!name) continue;
+    try { cookies[name] = decodeURIComponent(part.slice(idx + 1).trim()); } catch (e) { cookies[name] = part.slice(idx + 1).trim(); }
+  }
+  return cookies;
+}
+
+function serializeCookie(name, value, { maxAgeSeconds, secure = false } = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, 'Path=/', 'HttpOnly', 'SameSite=Lax'];
+  if (maxAgeSeconds !== undefined) parts.push(`Max-Age=${maxAgeSeconds}`);
+  if (secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+const splitIds = (spec) => String(spec || '').split(',').map(s => s.trim()).filter(Boolean);
+
+function createDashboardAuth({
+  clientId,
+  clientSecret,
+  redirectUri,
+  sessionSecret,
+  sessionHours = 12,
+  adminRoleIds = '',
+  viewerRoleIds = '',
+  fetchImpl = fetch
+}) {
+  const admins = new Set(splitIds(adminRoleIds));
+  const viewers = new Set(splitIds(viewerRoleIds));
+  const secret = sessionSecret || crypto.randomBytes(32).toString('hex');
+
+  const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+  function isConfigured() {
+    return Boolean(clientId && clientSecret && redirectUri);
+  }
+
+  // Administrators and DASHBOARD_ADMIN_ROLE_IDS get 'admin', DASHBOARD_VIEWER_ROLE_IDS get 'viewer', anyone else null.
+  function roleForMember(member) {
+    if (!member) return null;
+    const roleIds = member.roles && member.roles.cache ? [...member.roles.cache.keys()] : [];
+    if ((member.permissions && member.permissions.has && member.permissions.has('Administrator')) || roleIds.some(id => admins.has(id))) return 'admin';
+    if (roleIds.some(id => viewers.has(id))) return 'viewer';
+    return null;
+  }
+
+  // Returns { url, state }; the state must also be stored in the STATE_COOKIE so the callback can compare them.
+  function beginLogin() {
+    const state = crypto.randomBytes(16).toString('hex');
+    const params = new URLSearchParams({ client_id: clientId, redirect_uri: redirectUri, response_type: 'code', scope: 'identify', state });
+    return { url: `https://discord.com/oauth2/authorize?${params}`, state };
+  }
+
+  function checkState(returned, cookieState) {
+    return Boolean(returned && cookieState) && safeEqual(returned, cookieState);
+  }
+
+  // Exchanges the authorization code and returns the Discord user ({ id, username, global_name, ... }).
+  async function exchangeCode(code) {
+    const tokenRes = await fetchImpl(`${DISCORD_API}/oauth2/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ client_id: clientId, client_secret: clientSecret, grant_type: 'authorization_code', code, redirect_uri: redirectUri }).toString(),
+      timeout: 10000
+    });
+    if (!tokenRes.ok) throw new Error(`Discord token exchange failed: HTTP ${tokenRes.status}`);
+    const { access_token: accessToken } = await tokenRes.json();
+    const userRes = await fetchImpl(`${DISCORD_API}/users/@me`, { headers: { Authorization: `Bearer ${accessToken}` }, timeout: 10000 });
+    if (!userRes.ok) throw new Error(`Discord user lookup failed: HTTP ${userRes.status}`);
+    return userRes.json();
+  }
+
+  function createSession({ userId, name, role }) {
+    const payload = Buffer.from(JSON.stringify({ sub: userId, name, role, exp: Math.floor(Date.now() / 1000) + sessionHours * 3600 })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+  }
+
+  // Returns { userId, name, role } for a valid, unexpired session cookie value, otherwise null.
+  function readSession(value) {
+    if (!value || typeof value !== 'string') return null;
+    const [payload, sig] = value.split('.');
+    if (!payload || !sig || !safeEqual(sig, sign(payload))) return null;
+    try {
+      const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!data.exp || data.exp < Date.now() / 1000 || !['admin', 'viewer'].includes(data.role)) return null;
+      return { userId: data.sub, name: data.name, role: data.role };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const sessionFromCookieHeader = (header) => readSession(parseCookies(header)[SESSION_COOKIE]);
+
+  return {
+    isConfigured,
+    usesGeneratedSecret: !sessionSecret,
+    sessionMaxAgeSeconds: sessionHours * 3600,
+    roleForMember,
+    beginLogin,
+    checkState,
+    exchangeCode,
+    createSession,
+    readSession,
+    sessionFromCookieHeader
+  };
+}
+
+module.exports = { createDashboardAuth, parseCookies, serializeCookie, SESSION_COOKIE, STATE_COOKIE, STATE_TTL_SECONDS };
@@ -0,0 +1,65 @@
+/*
+LineDevs - lib/discordText.cjs
+Splits long Markdown into Discord-sized messages without breaking code fences.
+*/
+
+const DISCORD_MESSAGE_LIMIT = 2000;
+const FENCE_RE = /^\s*(```|~~~)(.*)$/;
+
+// Hard-wraps one line that is longer than the limit, preferring whitespace breaks.
+function wrapLongLine(line, limit) {
+  const pieces = [];
+  let rest = line;
+  while (rest.length > limit) {
+    let cut = rest.lastIndexOf(' ', limit);
+    if (cut < limit / 2) cut = limit;
+    pieces.push(rest.slice(0, cut));
+    rest = rest.slice(cut).replace(/^ /, '');
+  }
+  pieces.push(rest);
+  return pieces;
+}
+
+// Returns the fence still open after `line`, given the fence open before it.
+function fenceAfterLine(fence, line) {
+  const m = FENCE_RE.exec(line);
+  if (!m) return fence;
+  if (!fence) return { marker: m[1], lang: m[2].trim() };
+  return m[1] === fence.marker && !m[2].trim() ? null : fence;
+}
+
+const joinedLength = (lines) => lines.reduce((n, l) => n + l.length + 1, 0) - 1;
+
+// Splits text into chunks of at most `limit` characters. Breaks prefer blank lines, then line ends;
+// a code block cut in two is closed at the end of one chunk and reopened (same language) in the next.
+function splitMessage(text, limit = DISCORD_MESSAGE_LIMIT) {
+  const chunks = [];
+  let lines = [];
+  let fence = null;
+  let breakAt = -1;
+  const emit = (part, openFence) => chunks.push(part.join('\n') + (openFence ? `\n${openFence.marker}` : ''));
+
+  for (const raw of String(text || '').split('\n')) {
+    for (const line of wrapLongLine(raw, limit - 40)) {
+      const next = fenceAfterLine(fence, line);
+      const projected = () => joinedLength([...lines, line]) + (next ? next.marker.length + 1 : 0);
+      if (lines.length && projected() > limit && breakAt > 0 && joinedLength(lines.slice(0, breakAt)) > limit / 2) {
+        emit(lines.slice(0, breakAt), null);
+        lines = lines.slice(breakAt);
+        breakAt = -1;
+      }
+      if (lines.length && projected() > limit) {
+        emit(lines, fence);
+        lines = fence ? [fence.marker + fence.lang] : [];
+        breakAt = -1;
+      }
+      lines.push(line);
+      fence = next;
+      if (!fence && !line.trim()) breakAt = lines.length;
+    }
+  }
+  if (lines.join('\n').trim()) emit(lines, fence);
+  return chunks.filter(c => c.trim());
+}
+
+module.exports = { splitMessage, DISCORD_MESSAGE_LIMIT };
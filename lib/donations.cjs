@@ -0,0 +1,246 @@
+/*
+LineDevs - lib/donations.cjs
+Donations received through payment provider webhooks (Ko-fi, Stripe) or entered by staff. A webhook provider verifies
+its request and turns it into a donation; the same payment delivered twice is stored once. Donor perks (role, bonus
+tokens, thank-you post) are left to the onDonation hook, which runs once a donation is linked to a Discord user.
+*/
+
+const crypto = require('crypto');
+const { adminError } = require('./adminActions.cjs');
+const { hmacHex, safeEqualHex } = require('./verificationProviders.cjs');
+
+const DISCORD_ID_RE = /^\d{17,20}$/;
+const CURRENCY_RE = /^[A-Z]{3}$/;
+const MAX_MESSAGE_LENGTH = 500;
+
+/* =====================
+   Shared Helpers
+   ===================== */
+// Constant-time comparison of shared secrets of any format.
+function safeEqualText(a, b) {
+  const digest = (v) => crypto.createHash('sha256').update(String(v || '')).digest();
+  return Boolean(a) && Boolean(b) && crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+// Digits after the decimal point (2 for USD, 0 for JPY), or null for an unknown currency code.
+function currencyDigits(currency) {
+  if (!CURRENCY_RE.test(String(currency || ''))) return null;
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch (e) {
+    return null;
+  }
+}
+
+// "4.99" USD -> 499. Returns null for amounts that are not positive numbers.
+function toMinorUnits(amount, currency) {
+  const value = Number(amount);
+  const digits = currencyDigits(currency);
+  if (!Number.isFinite(value) || value <= 0 || digits == null) return null;
+  return Math.round(value * 10 ** digits);
+}
+
+function formatAmount(amountMinor, currency) {
+  const digits = currencyDigits(currency);
+  if (digits == null) return `${amountMinor} ${currency}`;
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amountMinor / 10 ** digits);
+}
+
+const discordIdOrNull = (value) => (DISCORD_ID_RE.test(String(value || '').trim()) ? String(value).trim() : null);
+const trimText = (value, max) => (value == null ? null : String(value).trim().substring(0, max) || null);
+
+/* =====================
+   Webhook Providers
+   ===================== */
+// Every provider: { id, label, isConfigured(), verify(rawBody, headers), parse(rawBody), donateUrl(discordId) }.
+// parse returns a donation ({ externalId, discordId, donorName, amountMinor, currency, message, isPublic }) or null
+// for events that are not donations. headers are lower-cased, as on an Express request.
+
+// Ko-fi posts a form with one `data` field holding JSON, authenticated by the account's verification token.
+// Supporters who connected Discord on Ko-fi arrive with discord_userid; others can put their Discord ID in the message.
+function createKofiProvider({ verificationToken = '', pageUrl = '' }) {
+  const payload = (rawBody) => {
+    try {
+      return JSON.parse(new URLSearchParams(rawBody).get('data') || 'null');
+    } catch (e) {
+      return null;
+    }
+  };
+  return {
+    id: 'kofi',
+    label: 'Ko-fi',
+    isConfigured: () => Boolean(verificationToken),
+    verify(rawBody) {
+      const data = payload(rawBody);
+      return Boolean(data) && safeEqualText(data.verification_token, verificationToken);
+    },
+    parse(rawBody) {
+      const data = payload(rawBody);
+      const externalId = data && (data.kofi_transaction_id || data.message_id);
+      if (!externalId || !['Donation', 'Subscription'].includes(data.type)) return null;
+      const currency = String(data.currency || '').toUpperCase();
+      const amountMinor = toMinorUnits(data.amount, currency);
+      if (amountMinor == null) return null;
+      const message = trimText(data.message, MAX_MESSAGE_LENGTH);
+      const mentioned = message && message.match(/\b\d{17,20}\b/);
+      return {
+        externalId: String(externalId),
+        discordId: discordIdOrNull(data.discord_userid) || (mentioned ? mentioned[0] : null),
+        donorName: trimText(data.from_name, 100),
+        amountMinor,
+        currency,
+        message,
+        isPublic: data.is_public !== false
+      };
+    },
+    donateUrl: () => pageUrl || null
+  };
+}
+
+// Stripe signs `${t}.${rawBody}` with the endpoint secret: Stripe-Signature: t=<unix seconds>,v1=<hex>[,v1=...].
+// Paid Checkout sessions count as donations; Payment Links pass the Discord ID through client_reference_id.
+function createStripeProvider({ webhookSecret = '', paymentLink = '', toleranceMs = 5 * 60 * 1000 }) {
+  return {
+    id: 'stripe',
+    label: 'Stripe',
+    isConfigured: () => Boolean(webhookSecret),
+    verify(rawBody, headers = {}) {
+      const parts = String(headers['stripe-signature'] || '').split(',').map(p => p.trim().split('='));
+      const timestamp = Number((parts.find(([k]) => k === 't') || [])[1]);
+      if (!timestamp || Math.abs(Date.now() - timestamp * 1000) > toleranceMs) return false;
+      const expected = hmacHex(webhookSecret, `${timestamp}.${rawBody}`);
+      return parts.some(([k, v]) => k === 'v1' && safeEqualHex(v, expected));
+    },
+    parse(rawBody) {
+      let event;
+      try { event = JSON.parse(rawBody); } catch (e) { return null; }
+      const session = event && event.data && event.data.object;
+      if (!session || event.type !== 'checkout.session.completed' || session.payment_status !== 'paid' || !(session.amount_total > 0)) return null;
+      const metadata = session.metadata || {};
+      return {
+        externalId: String(session.id),
+        discordId: discordIdOrNull(session.client_reference_id) || discordIdOrNull(metadata.discord_id),
+        donorName: trimText(session.customer_details && session.customer_details.name, 100),
+        amountMinor: session.amount_total,
+        currency: String(session.currency || '').toUpperCase(),
+        message: trimText(metadata.message, MAX_MESSAGE_LENGTH),
+        isPublic: metadata.public !== 'false'
+      };
+    },
+    donateUrl: (discordId) => {
+      if (!paymentLink) return null;
+      const url = new URL(paymentLink);
+      if (discordIdOrNull(discordId)) url.searchParams.set('client_reference_id', discordId);
+      return url.toString();
+    }
+  };
+}
+
+// Builds every known provider and returns the configured ones in the requested order.
+function createDonationProviders(order, options = {}) {
+  const all = {
+    kofi: createKofiProvider({ verificationToken: options.kofiVerificationToken, pageUrl: options.kofiPageUrl }),
+    stripe: createStripeProvider({ webhookSecret: options.stripeWebhookSecret, paymentLink: options.stripePaymentLink })
+  };
+  return order
+    .map(id => all[id])
+    .filter(p => p && p.isConfigured());
+}
+
+/* =====================
+   Donations
+   ===================== */
+// onDonation(row) grants the perks; it runs once per donation, when it is recorded with a Discord user or linked later.
+function createDonations({ storage, providers = [], log = async () => {}, onDonation = async () => {} }) {
+  const getProvider = (id) => providers.find(p => p.id === id) || null;
+
+  async function applyPerks(row) {
+    try {
+      await onDonation(row);
+      await storage.donations.markPerksApplied(row.id);
+    } catch (e) {
+      await log('WARN', `Donor perks for donation #${row.id} not applied yet (retried later)`, e && e.message || e);
+    }
+  }
+
+  async function record(donation) {
+    const row = await storage.donations.record(donation);
+    if (!row) return null;
+    await log('INFO', `Donation #${row.id} of ${formatAmount(row.amount_minor, row.currency)} via ${row.provider}${row.discord_id ? ` from ${row.discord_id}` : ' (no Discord user)'}`);
+    if (!row.discord_id) return row;
+    await applyPerks(row);
+    return storage.donations.get(row.id);
+  }
+
+  // Returns { result: 'unknown_provider' | 'bad_signature' | 'ignored' | 'duplicate' | 'recorded', donation }.
+  async function handleWebhook(providerId, rawBody, headers) {
+    const provider = getProvider(providerId);
+    if (!provider) return { result: 'unknown_provider' };
+    if (!provider.verify(rawBody, headers)) return { result: 'bad_signature' };
+    const donation = provider.parse(rawBody);
+    if (!donation) return { result: 'ignored' };
+    const row = await record({ ...donation, provider: provider.id });
+    return row ? { result: 'recorded', donation: row } : { result: 'duplicate' };
+  }
+
+  // Staff entry for payments that arrive outside the webhooks (bank transfer, GCash, ...). amount is in major units.
+  async function recordManual({ actorId, discordId = null, donorName = null, amount, currency, message = null, isPublic = true }) {
+    const code = String(currency || '').trim().toUpperCase();
+    if (currencyDigits(code) == null) throw adminError('currency must be a three-letter currency code such as USD', 400);
+    const amountMinor = toMinorUnits(amount, code);
+    if (amountMinor == null) throw adminError('amount must be a positive number', 400);
+    if (discordId && !discordIdOrNull(discordId)) throw adminError('Invalid Discord ID', 400);
+    return record({ provider: 'manual', recordedBy: actorId, discordId: discordIdOrNull(discordId), donorName: trimText(donorName, 100), amountMinor, currency: code, message: trimText(message, MAX_MESSAGE_LENGTH), isPublic: Boolean(isPublic) });
+  }
+
+  // Attaches a donation that arrived without a Discord user, then grants the perks.
+  async function link(id, discordId) {
+    if (!discordIdOrNull(discordId)) throw adminError('Invalid Discord ID', 400);
+    const existing = await storage.donations.get(id);
+    if (!existing) throw adminError('Donation not found', 404);
+    const row = await storage.donations.link(id, discordId);
+    if (!row) throw adminError('This donation is already linked to a Discord user', 409);
+    await applyPerks(row);
+    return storage.donations.get(row.id);
+  }
+
+  // Retries perks that failed (e.g. while Discord was unreachable). Returns the number of donations retried.
+  async function retryPendingPerks() {
+    const pending = await storage.donations.list({ perksPending: true, limit: 100 });
+    for (const row of pending.reverse()) await applyPerks(row);
+    return pending.length;
+  }
+
+  // Provider links for the public donation page, with the Discord ID filled in where the provider supports it.
+  const donateLinks = (discordId) => providers.map(p => ({ id: p.id, label: p.label, url: p.donateUrl(discordId) })).filter(l => l.url);
+
+  return { providers, getProvider, handleWebhook, recordManual, link, retryPendingPerks, donateLinks, list: (opts) => storage.donations.list(opts) };
+}
+
+// Row -> dashboard JSON.
+function describeDonation(row) {
+  return {
+    id: row.id,
+    provider: row.provider,
+    discordId: row.discord_id || null,
+    donorName: row.donor_name || null,
+    amount: formatAmount(row.amount_minor, row.currency),
+    amountMinor: row.amount_minor,
+    currency: row.currency,
+    message: row.message || null,
+    isPublic: row.is_public,
+    recordedBy: row.recorded_by || null,
+    createdAt: row.created_at,
+    perksAppliedAt: row.perks_applied_at || null
+  };
+}
+
+module.exports = {
+  createDonations,
+  createDonationProviders,
+  createKofiProvider,
+  createStripeProvider,
+  describeDonation,
+  formatAmount,
+  toMinorUnits
+};
@@ -0,0 +1,81 @@
+/*
+LineDevs - lib/groupBindings.cjs
+Roblox group rank -> Discord role bindings. A binding gives its role to linked members whose rank in the group is at
+least min_rank; roles that are bound but no longer earned are removed. Bindings are per guild (storage.bindings) and
+applied at verification, by the Roblox re-sync job and by /update.
+*/
+
+const fetch = require('node-fetch');
+
+// Roblox group ranks run from 0 (guest) to 255 (owner).
+const MAX_GROUP_RANK = 255;
+const BINDING_CACHE_MS = 5 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Returns { grant, revoke } role ID sets for the given bindings and Map groupId -> rank.
+function resolveBoundRoles(bindings, ranks) {
+  const grant = new Set();
+  for (const b of bindings) {
+    const rank = ranks.get(String(b.group_id));
+    if (rank != null && rank >= b.min_rank) grant.add(b.role_id);
+  }
+  const revoke = new Set(bindings.map(b => b.role_id).filter(roleId => !grant.has(roleId)));
+  return { grant, revoke };
+}
+
+function createGroupBindings({ storage, groupsBaseUrl = 'https://groups.roblox.com', fetchImpl = fetch, timeout = 5000, requestIntervalMs = 500, log = async () => {} }) {
+  const cache = new Map();
+  let lastRequestAt = 0;
+
+  async function list(guildId) {
+    const cached = cache.get(guildId);
+    if (cached && Date.now() - cached.at < BINDING_CACHE_MS) return cached.rows;
+    const rows = await storage.bindings.list(guildId);
+    cache.set(guildId, { rows, at: Date.now() });
+    return rows;
+  }
+
+  // Returns the stored binding, or null when the same binding already exists.
+  async function add(binding) {
+    const row = await storage.bindings.add(binding);
+    cache.delete(binding.guildId);
+    return row;
+  }
+
+  async function remove(guildId, id) {
+    const removed = await storage.bindings.remove(guildId, id);
+    cache.delete(guildId);
+    return removed;
+  }
+
+  // Map groupId -> rank for every group the Roblox user is in. Throws when Roblox cannot be reached, so callers never
+  // mistake an outage for "left every group".
+  async function fetchGroupRanks(robloxId) {
+    const wait = lastRequestAt + requestIntervalMs - Date.now();
+    if (wait > 0) await sleep(wait);
+    lastRequestAt = Date.now();
+    const res = await fetchImpl(`${groupsBaseUrl}/v2/users/${encodeURIComponent(robloxId)}/groups/roles`, { timeout });
+    if (!res.ok) throw Object.assign(new Error(`Roblox groups API returned HTTP ${res.status}`), { status: res.status });
+    const js = await res.json();
+    return new Map((js.data || []).map(entry => [String(entry.group.id), Number(entry.role.rank)]));
+  }
+
+  // Applies the guild's bindings to a fetched GuildMember. robloxId null (unlinked or inactive account) revokes every
+  // bound role. `ranks` can be passed in to share one lookup across guilds. Returns { added, removed } role IDs, or
+  // null when the guild has no bindings.
+  async function syncMember(member, robloxId, ranks = null) {
+    const bindings = await list(member.guild.id);
+    if (!bindings.length) return null;
+    const { grant, revoke } = resolveBoundRoles(bindings, robloxId ? ranks || await fetchGroupRanks(robloxId) : new Map());
+    const added = [...grant].filter(roleId => !member.roles.cache.has(roleId));
+    const removed = [...revoke].filter(roleId => member.roles.cache.has(roleId));
+    for (const roleId of added) await member.roles.add(roleId, 'Roblox group binding').catch(e => log('WARN', `Failed to add bound role ${roleId} in ${member.guild.name}`, e.message));
+    for (const roleId of removed) await member.roles.remove(roleId, 'Roblox group binding').catch(e => log('WARN', `Failed to remove bound role ${roleId} in ${member.guild.name}`, e.message));
+    return { added, removed };
+  }
+
+  return { list, add, remove, fetchGroupRanks, syncMember };
+}
+
+module.exports = { createGroupBindings, resolveBoundRoles, MAX_GROUP_RANK };
@@ -0,0 +1,90 @@
+/*
+LineDevs - lib/guildConfig.cjs
+Per-guild configuration (channels, roles, onboarding steps, token quotas, donor perks), stored in guild_settings and edited with /setup.
+The registration terms are versioned separately (storage.terms).
+Settings are cached per guild; writes go through update(), which refreshes the cache.
+*/
+
+const { parseRoleQuotas } = require('./tokens.cjs');
+const { parseOnboarding } = require('./onboarding.cjs');
+
+// Setting name -> guild_settings column.
+const SETTING_COLUMNS = {
+  registrationChannelId: 'registration_channel_id',
+  aiChannelId: 'ai_channel_id',
+  verifiedRoleId: 'verified_role_id',
+  unverifiedRoleId: 'unverified_role_id',
+  onboarding: 'onboarding',
+  defaultQuota: 'default_quota',
+  roleQuotas: 'role_quotas',
+  donorRoleId: 'donor_role_id',
+  donationChannelId: 'donation_channel_id',
+  donationBonusTokens: 'donation_bonus_tokens'
+};
+
+const serializeRoleQuotas = (map) => [...map].map(([roleId, amount]) => `${roleId}:${amount}`).join(',');
+
+// Unset values are null; defaultQuota/roleQuotas fall back to the env defaults in the token service.
+function settingsFromRow(guildId, row) {
+  const r = row || {};
+  return {
+    guildId,
+    configured: Boolean(row),
+    registrationChannelId: r.registration_channel_id || null,
+    aiChannelId: r.ai_channel_id || null,
+    verifiedRoleId: r.verified_role_id || null,
+    unverifiedRoleId: r.unverified_role_id || null,
+    onboarding: parseOnboarding(r.onboarding),
+    defaultQuota: r.default_quota == null ? null : Number(r.default_quota),
+    roleQuotas: parseRoleQuotas(r.role_quotas || ''),
+    donorRoleId: r.donor_role_id || null,
+    donationChannelId: r.donation_channel_id || null,
+    donationBonusTokens: r.donation_bonus_tokens == null ? null : Number(r.donation_bonus_tokens),
+    updatedBy: r.updated_by || null,
+    updatedAt: r.updated_at || null
+  };
+}
+
+function toColumns(settings) {
+  const values = {};
+  for (const [key, column] of Object.entries(SETTING_COLUMNS)) {
+    if (!(key in settings)) continue;
+    const value = settings[key];
+    if (key === 'roleQuotas' && value instanceof Map) values[column] = serializeRoleQuotas(value);
+    else if (key === 'onboarding' && value) values[column] = JSON.stringify(value);
+    else values[column] = value;
+  }
+  return values;
+}
+
+function createGuildConfig({ storage }) {
+  const cache = new Map();
+
+  async function get(guildId) {
+    if (!guildId) return settingsFromRow(null, null);
+    if (!cache.has(guildId)) cache.set(guildId, settingsFromRow(guildId, await storage.guilds.get(guildId)));
+    return cache.get(guildId);
+  }
+
+  // patch uses setting names; null clears a setting. Returns the updated settings.
+  async function update(guildId, patch, actorId) {
+    const unknown = Object.keys(patch).filter(k => !SETTING_COLUMNS[k]);
+    if (unknown.length) throw new Error(`Unknown guild setting(s): ${unknown.join(', ')}`);
+    const current = await storage.guilds.get(guildId) || {};
+    const row = await storage.guilds.save(guildId, { ...current, ...toColumns(patch) }, actorId);
+    const settings = settingsFromRow(guildId, row);
+    cache.set(guildId, settings);
+    return settings;
+  }
+
+  // First-run defaults for a guild (the env-configured GUILD_ID). Does nothing once the guild has settings.
+  async function seed(guildId, settings) {
+    const created = await storage.guilds.seed(guildId, toColumns(settings));
+    cache.delete(guildId);
+    return created;
+  }
+
+  return { get, update, seed };
+}
+
+module.exports = { createGuildConfig, SETTING_COLUMNS };
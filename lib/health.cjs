@@ -0,0 +1,30 @@
+/*
+LineDevs - lib/health.cjs
+Dependency checks behind /healthz and /readyz. A check is an async function returning { ok, ...details }; checks that
+throw or run past the timeout count as failed. Optional checks are reported but never make the service unready.
+*/
+
+// Each check: { run: async () => ({ ok, ...details }), optional: boolean }.
+function createHealth({ checks, timeoutMs = 2000 }) {
+  async function runCheck(check) {
+    const startedAt = Date.now();
+    let timer;
+    const timeout = new Promise((resolve) => { timer = setTimeout(() => resolve({ ok: false, error: 'timeout' }), timeoutMs); });
+    // Error text can name hosts or credentials, and the endpoints are public.
+    const result = await Promise.race([Promise.resolve().then(check.run).catch(() => ({ ok: false, error: 'failed' })), timeout]);
+    clearTimeout(timer);
+    return { ...result, optional: Boolean(check.optional), latencyMs: Date.now() - startedAt };
+  }
+
+  // Returns { ready, checks: { name: { ok, optional, latencyMs, ... } } }.
+  async function report() {
+    const names = Object.keys(checks);
+    const results = await Promise.all(names.map(name => runCheck(checks[name])));
+    const byName = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+    return { ready: results.every(r => r.ok || r.optional), checks: byName };
+  }
+
+  return { report };
+}
+
+module.exports = { createHealth };
@@ -0,0 +1,212 @@
+/*
+LineDevs - lib/metrics.cjs
+In-process instrumentation: event-loop lag, gateway health, per-command counts and latency, AI usage,
+the verification funnel and member activity. snapshot() feeds /api/metrics and the dashboard,
+prometheus() renders the same numbers in the Prometheus text exposition format.
+*/
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+// Upper bounds (seconds) of the command latency histogram buckets.
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const VERIFICATION_STAGES = ['started', 'completed', 'expired', 'failed', 'conflict'];
+const ACTIVE_WINDOWS = { '15m': 15 * 60 * 1000, '24h': 24 * 60 * 60 * 1000 };
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const labels = (obj) => {
+  const parts = Object.entries(obj).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+};
+const round = (n, digits = 1) => Math.round(n * 10 ** digits) / 10 ** digits;
+const LOOP_RESOLUTION_MS = 10;
+
+// getGatewayPing / getGuildMembers are read at snapshot time (the Discord client owns those values).
+function createMetrics({ getGatewayPing = () => -1, getGuildMembers = () => null, lagSpikeMs = 100, sampleIntervalMs = 15000, historySize = 240 } = {}) {
+  const startedAt = Date.now();
+  const loopDelay = monitorEventLoopDelay({ resolution: LOOP_RESOLUTION_MS });
+  loopDelay.enable();
+
+  const state = {
+    status: 'starting',
+    lagSpikes: 0,
+    gatewayReconnects: 0,
+    gatewayDisconnects: 0,
+    commands: new Map(),
+    ai: { success: 0, failure: 0, attempts: 0, tokensSpent: 0, tokensRefunded: 0 },
+    verifications: new Map(),
+    lastSeen: new Map()
+  };
+  const history = [];
+  let lastCommandTotal = 0;
+  let lastAiTotal = 0;
+
+  // Lag spikes: a 500ms timer that fires more than lagSpikeMs late means the loop was blocked.
+  let expected = Date.now() + 500;
+  const lagTimer = setInterval(() => {
+    const drift = Date.now() - expected;
+    if (drift > lagSpikeMs) state.lagSpikes++;
+    expected = Date.now() + 500;
+  }, 500);
+  lagTimer.unref();
+
+  function setStatus(status) {
+    state.status = status;
+  }
+
+  function gatewayReconnecting() {
+    state.gatewayReconnects++;
+  }
+
+  function gatewayDisconnected() {
+    state.gatewayDisconnects++;
+  }
+
+  function observeCommand(name, durationMs, ok) {
+    let c = state.commands.get(name);
+    if (!c) {
+      c = { ok: 0, error: 0, sumSeconds: 0, maxMs: 0, buckets: LATENCY_BUCKETS.map(() => 0) };
+      state.commands.set(name, c);
+    }
+    if (ok) c.ok++; else c.error++;
+    c.sumSeconds += durationMs / 1000;
+    c.maxMs = Math.max(c.maxMs, durationMs);
+    LATENCY_BUCKETS.forEach((le, i) => { if (durationMs / 1000 <= le) c.buckets[i]++; });
+  }
+
+  function recordAi({ ok, attempts = 1, tokensSpent = 0 }) {
+    if (ok) state.ai.success++; else state.ai.failure++;
+    state.ai.attempts += attempts;
+    state.ai.tokensSpent += tokensSpent;
+  }
+
+  function recordAiRefund(tokens) {
+    state.ai.tokensRefunded += tokens;
+  }
+
+  // stage is one of VERIFICATION_STAGES; method is the provider id (profile, game, oauth, eryn, ...).
+  function recordVerification(stage, method = 'unknown') {
+    const key = `${stage}|${method}`;
+    state.verifications.set(key, (state.verifications.get(key) || 0) + 1);
+  }
+
+  function touchUser(discordId) {
+    if (discordId) state.lastSeen.set(discordId, Date.now());
+  }
+
+  function activeUsers(windowMs) {
+    const since = Date.now() - windowMs;
+    let n = 0;
+    for (const [id, ts] of state.lastSeen) {
+      if (ts >= since) n++;
+      else if (ts < Date.now() - ACTIVE_WINDOWS['24h']) state.lastSeen.delete(id);
+    }
+    return n;
+  }
+
+  function funnel() {
+    const totals = Object.fromEntries(VERIFICATION_STAGES.map(s => [s, 0]));
+    const byMethod = {};
+    for (const [key, n] of state.verifications) {
+      const [stage, method] = key.split('|');
+      totals[stage] += n;
+      byMethod[method] = byMethod[method] || Object.fromEntries(VERIFICATION_STAGES.map(s => [s, 0]));
+      byMethod[method][stage] += n;
+    }
+    return { ...totals, byMethod };
+  }
+
+  function snapshot() {
+    const ping = getGatewayPing();
+    const commands = {};
+    for (const [name, c] of state.commands) {
+      const count = c.ok + c.error;
+      commands[name] = { count, errors: c.error, avgMs: count ? round(c.sumSeconds * 1000 / count) : 0, maxMs: c.maxMs };
+    }
+    const aiTotal = state.ai.success + state.ai.failure;
+    // The histogram records whole timer periods, so the sampling resolution is subtracted to leave the delay.
+    const lagMs = (ns) => round(Math.max(0, ns / 1e6 - LOOP_RESOLUTION_MS));
+    return {
+      status: state.status,
+      uptime: Math.round((Date.now() - startedAt) / 1000),
+      memoryUsageMB: Math.round(process.memoryUsage().rss / 1024 / 1024),
+      eventLoop: { p50Ms: lagMs(loopDelay.percentile(50)), p99Ms: lagMs(loopDelay.percentile(99)), maxMs: lagMs(loopDelay.max) },
+      lagSpikes: state.lagSpikes,
+      gateway: { pingMs: Number.isFinite(ping) && ping >= 0 ? ping : null, reconnects: state.gatewayReconnects, disconnects: state.gatewayDisconnects },
+      commands,
+      ai: { requests: aiTotal, ...state.ai, successRate: aiTotal ? round(state.ai.success / aiTotal, 3) : null },
+      verifications: funnel(),
+      guildMembers: getGuildMembers(),
+      activeUsers: activeUsers(ACTIVE_WINDOWS['15m']),
+      activeUsers24h: activeUsers(ACTIVE_WINDOWS['24h'])
+    };
+  }
+
+  // One history point per sampleIntervalMs; command and AI counts are per interval, not cumulative.
+  function sample() {
+    const s = snapshot();
+    const commandTotal = Object.values(s.commands).reduce((n, c) => n + c.count, 0);
+    history.push({ ts: Date.now(), memoryMB: s.memoryUsageMB, lagP99Ms: s.eventLoop.p99Ms, pingMs: s.gateway.pingMs, activeUsers: s.activeUsers, commands: commandTotal - lastCommandTotal, aiRequests: s.ai.requests - lastAiTotal });
+    lastCommandTotal = commandTotal;
+    lastAiTotal = s.ai.requests;
+    if (history.length > historySize) history.shift();
+    loopDelay.reset();
+  }
+  const sampleTimer = setInterval(sample, sampleIntervalMs);
+  sampleTimer.unref();
+
+  function prometheus() {
+    const s = snapshot();
+    const out = [];
+    const metric = (name, type, help, series) => {
+      out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const [lbl, value] of series) out.push(`${name}${labels(lbl)} ${value}`);
+    };
+    metric('linedevs_up', 'gauge', 'Whether the Discord client is online.', [[{}, s.status === 'online' ? 1 : 0]]);
+    metric('linedevs_uptime_seconds', 'gauge', 'Process uptime.', [[{}, s.uptime]]);
+    metric('linedevs_resident_memory_bytes', 'gauge', 'Resident set size.', [[{}, process.memoryUsage().rss]]);
+    metric('linedevs_event_loop_lag_seconds', 'gauge', 'Event loop delay percentiles since the last sample.', [[{ quantile: '0.5' }, s.eventLoop.p50Ms / 1000], [{ quantile: '0.99' }, s.eventLoop.p99Ms / 1000]]);
+    metric('linedevs_event_loop_lag_spikes_total', 'counter', `Timer callbacks delayed by more than ${lagSpikeMs}ms.`, [[{}, s.lagSpikes]]);
+    if (s.gateway.pingMs !== null) metric('linedevs_gateway_ping_seconds', 'gauge', 'Discord gateway heartbeat latency.', [[{}, s.gateway.pingMs / 1000]]);
+    metric('linedevs_gateway_reconnects_total', 'counter', 'Discord gateway reconnect attempts.', [[{}, s.gateway.reconnects]]);
+    metric('linedevs_gateway_disconnects_total', 'counter', 'Discord gateway disconnects.', [[{}, s.gateway.disconnects]]);
+
+    const invocations = [];
+    const buckets = [];
+    const sums = [];
+    const counts = [];
+    for (const [command, c] of state.commands) {
+      invocations.push([{ command, outcome: 'ok' }, c.ok], [{ command, outcome: 'error' }, c.error]);
+      LATENCY_BUCKETS.forEach((le, i) => buckets.push([{ command, le }, c.buckets[i]]));
+      buckets.push([{ command, le: '+Inf' }, c.ok + c.error]);
+      sums.push([{ command }, round(c.sumSeconds, 4)]);
+      counts.push([{ command }, c.ok + c.error]);
+    }
+    metric('linedevs_command_invocations_total', 'counter', 'Slash command invocations by outcome.', invocations);
+    out.push('# HELP linedevs_command_duration_seconds Slash command handling time.', '# TYPE linedevs_command_duration_seconds histogram');
+    for (const [lbl, v] of buckets) out.push(`linedevs_command_duration_seconds_bucket${labels(lbl)} ${v}`);
+    for (const [lbl, v] of sums) out.push(`linedevs_command_duration_seconds_sum${labels(lbl)} ${v}`);
+    for (const [lbl, v] of counts) out.push(`linedevs_command_duration_seconds_count${labels(lbl)} ${v}`);
+
+    metric('linedevs_ai_requests_total', 'counter', 'AI generations by outcome.', [[{ outcome: 'success' }, s.ai.success], [{ outcome: 'failure' }, s.ai.failure]]);
+    metric('linedevs_ai_attempts_total', 'counter', 'AI backend attempts, including retries.', [[{}, s.ai.attempts]]);
+    metric('linedevs_ai_tokens_spent_total', 'counter', 'Tokens debited for AI requests.', [[{}, s.ai.tokensSpent]]);
+    metric('linedevs_ai_tokens_refunded_total', 'counter', 'Tokens refunded after failed AI requests.', [[{}, s.ai.tokensRefunded]]);
+    metric('linedevs_verifications_total', 'counter', 'Verification funnel events by stage and method.', [...state.verifications].map(([key, n]) => {
+      const [stage, method] = key.split('|');
+      return [{ stage, method }, n];
+    }));
+    if (s.guildMembers != null) metric('linedevs_guild_members', 'gauge', 'Members across every server the bot is in.', [[{}, s.guildMembers]]);
+    metric('linedevs_active_users', 'gauge', 'Distinct users who sent a message or used an interaction.', [[{ window: '15m' }, s.activeUsers], [{ window: '24h' }, s.activeUsers24h]]);
+    return out.join('\n') + '\n';
+  }
+
+  function stop() {
+    clearInterval(lagTimer);
+    clearInterval(sampleTimer);
+    loopDelay.disable();
+  }
+
+  return { setStatus, gatewayReconnecting, gatewayDisconnected, observeCommand, recordAi, recordAiRefund, recordVerification, touchUser, snapshot, history: () => history.slice(), sample, prometheus, stop };
+}
+
+module.exports = { createMetrics, LATENCY_BUCKETS };
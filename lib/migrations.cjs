@@ -0,0 +1,90 @@
+/*
+LineDevs - lib/migrations.cjs
+Versioned schema migrations. Files in migrations/ are named NNN_description.cjs and export { up } where up is
+SQL text or async (client) => {}. Each pending migration runs in its own transaction and is recorded in
+schema_migrations; an advisory lock keeps two instances starting together from applying the same one twice.
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+// Arbitrary constant shared by every instance of the bot ("LDMG").
+const MIGRATION_LOCK_KEY = 0x4c444d47;
+const FILE_RE = /^(\d+)_([\w-]+)\.cjs$/;
+
+const SCHEMA_MIGRATIONS_SQL = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMP DEFAULT now()
+  );
+`;
+
+// Returns [{ version, name, file, up }] sorted by version. Duplicate versions are a packaging error.
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const seen = new Map();
+  const list = [];
+  for (const file of fs.readdirSync(dir)) {
+    const m = FILE_RE.exec(file);
+    if (!m) continue;
+    const version = parseInt(m[1], 10);
+    if (seen.has(version)) throw new Error(`Duplicate migration version ${version}: ${seen.get(version)} and ${file}`);
+    seen.set(version, file);
+    const mod = require(path.join(dir, file));
+    if (typeof mod.up !== 'string' && typeof mod.up !== 'function') throw new Error(`Migration ${file} has no up step`);
+    list.push({ version, name: m[2], file, up: mod.up });
+  }
+  return list.sort((a, b) => a.version - b.version);
+}
+
+async function appliedVersions(db) {
+  const r = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(r.rows.map(row => [row.version, row]));
+}
+
+// Read-only: returns { applied: [...], pending: [...] } without taking the lock.
+async function migrationStatus(pool, { dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+  const exists = (await pool.query("SELECT to_regclass('schema_migrations') AS t")).rows[0].t;
+  const applied = exists ? await appliedVersions(pool) : new Map();
+  return {
+    applied: migrations.filter(m => applied.has(m.version)).map(m => ({ ...m, appliedAt: applied.get(m.version).applied_at })),
+    pending: migrations.filter(m => !applied.has(m.version))
+  };
+}
+
+// Applies pending migrations in order and returns the ones applied (or, with dryRun, the ones that would be).
+// Stops at the first failure; that migration is rolled back and the error rethrown.
+async function runMigrations(pool, { dir = MIGRATIONS_DIR, dryRun = false, log = async () => {} } = {}) {
+  const migrations = loadMigrations(dir);
+  const db = await pool.connect();
+  try {
+    await db.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await db.query(SCHEMA_MIGRATIONS_SQL);
+    const applied = await appliedVersions(db);
+    const pending = migrations.filter(m => !applied.has(m.version));
+    if (dryRun) return pending;
+
+    for (const m of pending) {
+      try {
+        await db.query('BEGIN');
+        if (typeof m.up === 'function') await m.up(db);
+        else await db.query(m.up);
+        await db.query('INSERT INTO schema_migrations(version, name) VALUES($1, $2)', [m.version, m.name]);
+        await db.query('COMMIT');
+      } catch (e) {
+        await db.query('ROLLBACK').catch(() => {});
+        e.message = `Migration ${m.file} failed: ${e.message}`;
+        throw e;
+      }
+      await log('INFO', `Applied migration ${m.file}`);
+    }
+    return pending;
+  } finally {
+    await db.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    db.release();
+  }
+}
+
+module.exports = { loadMigrations, migrationStatus, runMigrations, MIGRATIONS_DIR };
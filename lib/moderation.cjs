@@ -0,0 +1,226 @@
+/*
+LineDevs - lib/moderation.cjs
+Rule engine, escalation ladder and infraction storage for automated message moderation.
+*/
+
+const fs = require('fs');
+
+/* =====================
+   Defaults
+   ===================== */
+// Stems match inside any word ("motherfucking", "fuckin"); the whole words only match alone or with a suffix,
+// because they also occur inside harmless words ("Scunthorpe", "snigger").
+const DEFAULT_STEMS = ['fuck','bitch','dickhead','asshole'];
+const DEFAULT_WORDS = ['cunt','nigger','nigga'];
+const DEFAULT_LADDER = 'warn,warn,warn,warn,timeout:48h';
+const DEFAULT_DECAY_HOURS = 168;
+
+const LEET_MAP = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g', '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't', '€': 'e' };
+const WORD_SUFFIXES = '(?:s|es|er|ers|ed|ing|in|y)?';
+
+/* =====================
+   Text Normalization
+   ===================== */
+// Lowercases, strips diacritics and zero-width characters, and maps common leetspeak substitutions.
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f\u200b-\u200d\u2060\ufeff]/g, '')
+    .toLowerCase()
+    .replace(/[0-9@$!|+€]/g, ch => LEET_MAP[ch] || ch);
+}
+
+// Splits normalized text into words, undoing "f u c k", "f.u.c.k" and "fuuuuck" style evasion.
+function normalizedTokens(text) {
+  const raw = normalizeText(text).split(/\s+/).filter(Boolean);
+  const tokens = [];
+  let run = '';
+  for (const word of raw) {
+    const letters = word.replace(/[^\p{L}\p{N}]/gu, '');
+    if (!letters) continue;
+    if (letters.length === 1) { run += letters; continue; }
+    if (run) { tokens.push(run); run = ''; }
+    tokens.push(letters);
+  }
+  if (run) tokens.push(run);
+  return tokens.flatMap(t => {
+    const squeezed = t.replace(/(.)\1{2,}/g, '$1');
+    return squeezed === t ? [t] : [t, squeezed, t.replace(/(.)\1+/g, '$1')];
+  });
+}
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/* =====================
+   Rules
+   ===================== */
+// Rule shapes:
+//   { id, type: 'word', pattern }        whole-word match on the raw text (no "Scunthorpe" hits)
+//   { id, type: 'normalized', pattern }  whole-token match after normalization (leetspeak, spacing, repeats)
+//   { id, type: 'stem', pattern }        substring of any token after normalization ("motherfucking")
+//   { id, type: 'regex', pattern, flags } arbitrary regular expression on the raw text
+function compileRule(rule) {
+  const id = rule.id || `${rule.type}:${rule.pattern}`;
+  if (rule.type === 'word') {
+    const re = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(rule.pattern)}${WORD_SUFFIXES}(?![\\p{L}\\p{N}])`, 'iu');
+    return { id, type: rule.type, test: (text) => re.test(String(text || '')) };
+  }
+  if (rule.type === 'normalized') {
+    const re = new RegExp(`^${escapeRegex(normalizeText(rule.pattern))}${WORD_SUFFIXES}$`, 'u');
+    return { id, type: rule.type, test: (text, tokens) => tokens.some(t => re.test(t)) };
+  }
+  if (rule.type === 'stem') {
+    const stem = normalizeText(rule.pattern);
+    return { id, type: rule.type, test: (text, tokens) => tokens.some(t => t.includes(stem)) };
+  }
+  if (rule.type === 'regex') {
+    const re = new RegExp(rule.pattern, rule.flags || 'iu');
+    return { id, type: rule.type, test: (text) => re.test(String(text || '')) };
+  }
+  throw new Error(`Unknown moderation rule type: ${rule.type}`);
+}
+
+/* =====================
+   Escalation Ladder
+   ===================== */
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function parseDuration(str) {
+  const m = /^(\d+)\s*([smhd])$/i.exec(String(str).trim());
+  if (!m) throw new Error(`Invalid duration: ${str}`);
+  return parseInt(m[1], 10) * DURATION_UNITS[m[2].toLowerCase()];
+}
+
+function formatDuration(ms) {
+  for (const [unit, label] of [['d', 'day'], ['h', 'hour'], ['m', 'minute'], ['s', 'second']]) {
+    const n = ms / DURATION_UNITS[unit];
+    if (n >= 1 && Number.isInteger(n)) return `${n}-${label}`;
+  }
+  return `${Math.round(ms / 1000)}-second`;
+}
+
+// "warn,warn,timeout:1h,timeout:48h,kick" -> [{ action: 'warn' }, ..., { action: 'timeout', durationMs }, { action: 'kick' }]
+function parseLadder(spec) {
+  const steps = (Array.isArray(spec) ? spec : String(spec).split(','))
+    .map(s => String(s).trim())
+    .filter(Boolean)
+    .map(s => {
+      const [action, arg] = s.split(':');
+      if (action === 'warn' || action === 'kick') return { action };
+      if (action === 'timeout') return { action, durationMs: parseDuration(arg || '1h') };
+      throw new Error(`Unknown ladder step: ${s}`);
+    });
+  if (!steps.length) throw new Error('Moderation ladder is empty');
+  return steps;
+}
+
+// Human-readable summary for the terms text, e.g. "4 warnings, then a 48-hour timeout".
+function describeLadder(ladder) {
+  const parts = [];
+  let warns = 0;
+  for (const step of ladder) {
+    if (step.action === 'warn') { warns++; continue; }
+    if (warns) { parts.push(`${warns} warning${warns === 1 ? '' : 's'}`); warns = 0; }
+    parts.push(step.action === 'kick' ? 'removal from the server' : `a ${formatDuration(step.durationMs)} timeout`);
+  }
+  if (warns) parts.push(`${warns} warning${warns === 1 ? '' : 's'}`);
+  return parts.length > 1 ? `${parts.slice(0, -1).join(', ')}, then ${parts[parts.length - 1]}` : parts[0];
+}
+
+/* =====================
+   Config
+   ===================== */
+// Reads MODERATION_RULES_FILE (JSON: { rules, exemptChannelIds, ladder, decayHours }) with env overrides.
+function loadModerationConfig(env = process.env) {
+  let file = {};
+  if (env.MODERATION_RULES_FILE) file = JSON.parse(fs.readFileSync(env.MODERATION_RULES_FILE, 'utf8'));
+  const rules = file.rules || [
+    ...DEFAULT_STEMS.map(w => ({ id: w, type: 'stem', pattern: w })),
+    ...DEFAULT_WORDS.map(w => ({ id: w, type: 'normalized', pattern: w }))
+  ];
+  const exempt = env.MODERATION_EXEMPT_CHANNEL_IDS ? env.MODERATION_EXEMPT_CHANNEL_IDS.split(',') : (file.exemptChannelIds || []);
+  return {
+    rules,
+    exemptChannelIds: exempt.map(s => String(s).trim()).filter(Boolean),
+    ladder: env.MODERATION_LADDER || file.ladder || DEFAULT_LADDER,
+    decayHours: Number(env.MODERATION_FLAG_DECAY_HOURS || file.decayHours || DEFAULT_DECAY_HOURS)
+  };
+}
+
+/* =====================
+   Moderation Service
+   ===================== */
+// Escalation policy over storage.infractions, per guild; guild_members.flags mirrors the active flag count.
+function createModeration({ storage, log = async () => {}, config }) {
+  const rules = config.rules.map(compileRule);
+  const ladder = parseLadder(config.ladder);
+  const exempt = new Set(config.exemptChannelIds);
+  const decaySeconds = config.decayHours * 60 * 60;
+
+  // Returns the first matching rule as { ruleId, type } or null.
+  function scan(text, channelId) {
+    if (!text || (channelId && exempt.has(String(channelId)))) return null;
+    const tokens = normalizedTokens(text);
+    const hit = rules.find(r => r.test(text, tokens));
+    return hit ? { ruleId: hit.id, type: hit.type } : null;
+  }
+
+  // Ladder step for the Nth active flag; past the end of the ladder the last step repeats.
+  function stepFor(flagCount) {
+    return ladder[Math.min(Math.max(flagCount, 1), ladder.length) - 1];
+  }
+
+  // Flags that count toward escalation: unpardoned infractions younger than the decay window.
+  async function activeFlagCount(discordId, guildId) {
+    return storage.infractions.countActive(discordId, guildId, decaySeconds);
+  }
+
+  async function syncUserFlags(discordId, guildId) {
+    const flags = await activeFlagCount(discordId, guildId);
+    await storage.members.setFlags(guildId, discordId, flags);
+    return flags;
+  }
+
+  // Stores one infraction row and refreshes the member's flag count. Returns the stored record.
+  async function recordInfraction({ discordId, guildId, channelId = null, messageId = null, source = 'automod', action, durationMs = null, ruleId = null, reason = '', content = null, moderatorId = null }) {
+    const record = await storage.infractions.insert({ discordId, guildId, channelId, messageId, source, action, durationMs, ruleId, reason, content, moderatorId });
+    await syncUserFlags(discordId, guildId).catch(e => log('ERROR', 'DB sync user flags failed', e.message));
+    return record;
+  }
+
+  // Records an automated flag and returns { flags, step, infraction } describing what should happen next.
+  async function flag({ discordId, guildId, channelId, messageId, match, content }) {
+    const flags = (await activeFlagCount(discordId, guildId)) + 1;
+    const step = stepFor(flags);
+    const reason = `Matched rule "${match.ruleId}" (flag ${flags})`;
+    const infraction = await recordInfraction({ discordId, guildId, channelId, messageId, action: step.action, durationMs: step.durationMs || null, ruleId: match.ruleId, reason, content });
+    return { flags, step, infraction };
+  }
+
+  async function listInfractions(discordId, guildId, limit = 25) {
+    return storage.infractions.list(discordId, guildId, limit);
+  }
+
+  // Pardons one infraction (by id) or every unpardoned infraction of the user in the guild. Returns the number pardoned.
+  async function pardon({ discordId, guildId, infractionId = null, moderatorId }) {
+    const count = await storage.infractions.pardon({ discordId, guildId, infractionId, moderatorId });
+    await syncUserFlags(discordId, guildId).catch(e => log('ERROR', 'DB sync user flags failed', e.message));
+    return count;
+  }
+
+  return { scan, flag, recordInfraction, activeFlagCount, syncUserFlags, listInfractions, pardon, ladder, describeLadder: () => describeLadder(ladder) };
+}
+
+module.exports = {
+  createModeration,
+  loadModerationConfig,
+  normalizeText,
+  normalizedTokens,
+  compileRule,
+  parseLadder,
+  parseDuration,
+  formatDuration,
+  describeLadder
+};
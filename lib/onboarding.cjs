@@ -0,0 +1,95 @@
+/*
+LineDevs - lib/onboarding.cjs
+Registration steps a guild can require between "Agree & Register" and Roblox verification: an age confirmation
+and a short rules quiz. The configuration lives in guild_settings.onboarding (see lib/guildConfig.cjs); progress
+is kept in memory because every step happens within a few minutes of pressing the button.
+*/
+
+// A quiz is answered in one Discord modal: at most 5 text inputs, each labelled with its question.
+const MAX_QUIZ_QUESTIONS = 5;
+const MAX_QUESTION_LENGTH = 45;
+
+const normalizeAnswer = (s) => String(s || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Parses the /setup quiz text: one `Question = answer` per line, alternative answers separated by `;`.
+// Returns { quiz } or { error } with a message for the administrator.
+function parseQuiz(text) {
+  const lines = String(text || '').split('\n').map(l => l.trim()).filter(Boolean);
+  if (lines.length > MAX_QUIZ_QUESTIONS) return { error: `A quiz can have at most ${MAX_QUIZ_QUESTIONS} questions.` };
+  const quiz = [];
+  for (const line of lines) {
+    const at = line.lastIndexOf('=');
+    const question = at > 0 ? line.slice(0, at).trim() : '';
+    const answers = at > 0 ? line.slice(at + 1).split(';').map(a => a.trim()).filter(Boolean) : [];
+    if (!question || !answers.length) return { error: `"${line}" is not in the form \`Question = answer\`.` };
+    if (question.length > MAX_QUESTION_LENGTH) return { error: `"${question}" is longer than ${MAX_QUESTION_LENGTH} characters (Discord's limit for modal labels).` };
+    quiz.push({ question, answers });
+  }
+  return { quiz };
+}
+
+function formatQuiz(quiz) {
+  return quiz.map(q => `${q.question} = ${q.answers.join('; ')}`).join('\n');
+}
+
+// Returns the number of wrong answers; `answers` is in question order.
+function countWrongAnswers(quiz, answers) {
+  return quiz.filter((q, i) => !q.answers.some(a => normalizeAnswer(a) === normalizeAnswer(answers[i]))).length;
+}
+
+// Normalizes the stored configuration: { minimumAge: number|null, quiz: [{ question, answers }] }.
+function parseOnboarding(value) {
+  let raw = {};
+  try { raw = typeof value === 'string' ? JSON.parse(value) : value || {}; } catch (e) { raw = {}; }
+  const minimumAge = Number.isInteger(raw.minimumAge) && raw.minimumAge > 0 ? raw.minimumAge : null;
+  const quiz = Array.isArray(raw.quiz) ? raw.quiz.filter(q => q && q.question && Array.isArray(q.answers) && q.answers.length).slice(0, MAX_QUIZ_QUESTIONS) : [];
+  return { minimumAge, quiz };
+}
+
+// Steps in the order members go through them.
+function onboardingSteps(config) {
+  return [config.minimumAge ? 'age' : null, config.quiz.length ? 'quiz' : null].filter(Boolean);
+}
+
+/* =====================
+   Progress Tracker
+   ===================== */
+// One entry per guild member between pressing "Agree & Register" and finishing the last step.
+function createOnboardingTracker({ ttlMs = 15 * 60 * 1000 } = {}) {
+  const progress = new Map();
+  const key = (guildId, discordId) => `${guildId}:${discordId}`;
+
+  function sweep() {
+    const now = Date.now();
+    for (const [k, p] of progress) if (now - p.startedAt > ttlMs) progress.delete(k);
+  }
+
+  // Starts (or restarts) onboarding for the given terms version and steps.
+  function start(guildId, discordId, { termsVersion, steps }) {
+    sweep();
+    const entry = { termsVersion, steps, done: [], startedAt: Date.now() };
+    progress.set(key(guildId, discordId), entry);
+    return entry;
+  }
+
+  function get(guildId, discordId) {
+    sweep();
+    return progress.get(key(guildId, discordId)) || null;
+  }
+
+  // Marks a step as passed and returns the next one, or null once every step is done.
+  function complete(guildId, discordId, step) {
+    const entry = get(guildId, discordId);
+    if (!entry) return null;
+    if (!entry.done.includes(step)) entry.done.push(step);
+    return entry.steps.find(s => !entry.done.includes(s)) || null;
+  }
+
+  function finish(guildId, discordId) {
+    progress.delete(key(guildId, discordId));
+  }
+
+  return { start, get, complete, finish };
+}
+
+module.exports = { parseQuiz, formatQuiz, countWrongAnswers, parseOnboarding, onboardingSteps, createOnboardingTracker, MAX_QUIZ_QUESTIONS, MAX_QUESTION_LENGTH };
@@ -0,0 +1,46 @@
+/*
+LineDevs - lib/redaction.cjs
+Redacts personal data from log lines shown to dashboard viewers: Discord IDs and the names (Discord tags, display
+names, Roblox usernames) of users the bot has seen since it started. Message text is never put in a log line; it
+goes in the structured meta, which viewers do not get.
+The whole-word patterns are shared with /mydata delete, which scrubs a user's names from stored log text.
+*/
+
+const SNOWFLAKE_RE = /\b\d{17,20}\b/g;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches `term` as a whole word (a name or an ID, not part of a longer one). Written so that Postgres regular
+// expressions accept the same source.
+const wholeWordPattern = (term) => `(?<![\\w.])${escapeRegExp(String(term))}(?![\\w])`;
+
+// Distinct names and IDs worth scrubbing from stored log text; very short ones would match unrelated words.
+const scrubTerms = (terms) => [...new Set(terms.filter(t => t != null && String(t).trim().length >= 3).map(t => String(t).trim()))];
+
+function createRedactor({ maxNames = 5000, minLength = 3 } = {}) {
+  const names = new Set();
+  let pattern = null;
+
+  // Registers names to hide. Oldest names are forgotten once maxNames is reached.
+  function remember(...values) {
+    for (const value of values) {
+      const name = value == null ? '' : String(value).trim();
+      if (name.length < minLength || names.has(name)) continue;
+      names.add(name);
+      if (names.size > maxNames) names.delete(names.values().next().value);
+      pattern = null;
+    }
+  }
+
+  function redact(text) {
+    const out = String(text).replace(SNOWFLAKE_RE, '[id]');
+    if (!names.size) return out;
+    // Longest first so "bob_smith" is not left half-redacted by "bob".
+    if (!pattern) pattern = new RegExp(`(?<![\\w.])(?:${[...names].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?![\\w])`, 'g');
+    return out.replace(pattern, '[user]');
+  }
+
+  return { remember, redact };
+}
+
+module.exports = { createRedactor, wholeWordPattern, scrubTerms };
@@ -0,0 +1,152 @@
+/*
+LineDevs - lib/robloxSync.cjs
+Background re-sync of linked Roblox accounts. Linked users are re-resolved in batches against the Roblox users API
+(POST /v1/users), least recently checked first; renames update users.roblox_username and accounts Roblox no longer
+returns are flagged as banned or deleted. Discord side effects (nicknames, roles) are left to the onChecked hook,
+which runs for every account checked; createMemberSync applies them to one guild member.
+*/
+
+const fetch = require('node-fetch');
+
+// POST /v1/users accepts at most 100 IDs per request.
+const MAX_BATCH_SIZE = 100;
+// Statuses set by the re-sync job; such links no longer verify anyone until the member verifies a working account.
+const INACTIVE_STATUSES = new Set(['banned', 'deleted']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createRobloxSync({
+  storage,
+  usersBaseUrl = 'https://users.roblox.com',
+  apiKey = '',
+  fetchImpl = fetch,
+  timeout = 10000,
+  batchSize = MAX_BATCH_SIZE,
+  maxUsersPerRun = 1000,
+  recheckAfterMs = 24 * 60 * 60 * 1000,
+  requestIntervalMs = 1000,
+  maxRetries = 3,
+  log = async () => {},
+  onChecked = async () => {}
+}) {
+  const size = Math.min(Math.max(1, batchSize), MAX_BATCH_SIZE);
+  let running = null;
+  let lastRequestAt = 0;
+  let lastSummary = null;
+
+  // Spaces requests by requestIntervalMs and backs off on 429 (Retry-After, else exponential).
+  async function postUsers(userIds, excludeBannedUsers) {
+    for (let attempt = 0; ; attempt++) {
+      const wait = lastRequestAt + requestIntervalMs - Date.now();
+      if (wait > 0) await sleep(wait);
+      lastRequestAt = Date.now();
+      const res = await fetchImpl(`${usersBaseUrl}/v1/users`, {
+        method: 'POST',
+        timeout,
+        headers: { 'Content-Type': 'application/json', ...(apiKey ? { 'x-api-key': apiKey } : {}) },
+        body: JSON.stringify({ userIds, excludeBannedUsers })
+      });
+      if (res.status === 429 && attempt < maxRetries) {
+        const retryAfter = parseInt(res.headers.get('retry-after') || '', 10);
+        const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : requestIntervalMs * 2 ** (attempt + 1);
+        await log('WARN', `Roblox users API rate limited; retrying in ${Math.round(delay / 1000)}s`);
+        await sleep(delay);
+        continue;
+      }
+      if (!res.ok) throw Object.assign(new Error(`Roblox users API returned HTTP ${res.status}`), { status: res.status });
+      const js = await res.json();
+      return new Map((js.data || []).map(u => [String(u.id), u]));
+    }
+  }
+
+  // Returns Map robloxId -> { status: 'active'|'banned'|'deleted', name }. Banned accounts are only returned when
+  // excludeBannedUsers is false, so two lookups tell banned and deleted apart.
+  async function resolveBatch(robloxIds) {
+    const ids = robloxIds.map(Number).filter(Number.isSafeInteger);
+    const all = await postUsers(ids, false);
+    const visible = all.size ? await postUsers(ids, true) : new Map();
+    return new Map(robloxIds.map(id => {
+      const user = all.get(String(id));
+      if (!user) return [String(id), { status: 'deleted', name: null }];
+      return [String(id), { status: visible.has(String(id)) ? 'active' : 'banned', name: user.name }];
+    }));
+  }
+
+  // Checks up to maxUsersPerRun linked users not checked within recheckAfterMs.
+  // Returns { checked, renamed, banned, deleted, restored, failedBatches, durationMs }.
+  async function runOnce() {
+    const startedAt = Date.now();
+    const summary = { checked: 0, renamed: 0, banned: 0, deleted: 0, restored: 0, failedBatches: 0 };
+    const due = await storage.users.listForResync({ checkedBefore: new Date(startedAt - recheckAfterMs), limit: maxUsersPerRun });
+    for (let i = 0; i < due.length; i += size) {
+      const batch = due.slice(i, i + size);
+      let results;
+      try {
+        results = await resolveBatch(batch.map(u => u.roblox_id));
+      } catch (e) {
+        summary.failedBatches++;
+        await log('WARN', `Roblox re-sync batch of ${batch.length} failed`, e && e.message || e);
+        if (e && e.status === 429) break;
+        continue;
+      }
+      for (const user of batch) {
+        const { status, name } = results.get(String(user.roblox_id));
+        const previousStatus = user.roblox_status || 'active';
+        const renamed = Boolean(name) && name !== user.roblox_username;
+        await storage.users.recordRobloxCheck(user.discord_id, { status, robloxUsername: renamed ? name : undefined });
+        summary.checked++;
+        if (renamed) summary.renamed++;
+        if (status !== previousStatus) {
+          if (status === 'banned') summary.banned++;
+          else if (status === 'deleted') summary.deleted++;
+          else summary.restored++;
+        }
+        await onChecked({ discordId: user.discord_id, robloxId: user.roblox_id, previousUsername: user.roblox_username, robloxUsername: name || user.roblox_username, previousStatus, status })
+          .catch(e => log('ERROR', `Roblox re-sync update failed for ${user.discord_id}`, e && e.message || e));
+      }
+    }
+    lastSummary = { ...summary, durationMs: Date.now() - startedAt, finishedAt: new Date() };
+    return lastSummary;
+  }
+
+  // Concurrent callers share the run in progress.
+  function run() {
+    if (!running) running = runOnce().finally(() => { running = null; });
+    return running;
+  }
+
+  return { run, resolveBatch, isRunning: () => Boolean(running), lastSummary: () => lastSummary };
+}
+
+/* =====================
+   Member Sync
+   ===================== */
+// Brings guild members in line with a check (from the re-sync job or /update): nickname after a rename,
+// Verified role and group-bound roles. With removeVerified, members whose account is banned or deleted lose
+// the Verified role and get Unverified back.
+function createMemberSync({ guildConfig, groupBindings, removeVerified = false, log = async () => {} }) {
+  // Returns the group binding changes ({ added, removed }) or null when the guild has none.
+  // loadRanks() resolves the account's group ranks; it is only called when the guild has bindings.
+  async function applyToMember(member, check, loadRanks) {
+    const inactive = INACTIVE_STATUSES.has(check.status);
+    // Only nicknames the bot set at verification follow renames; members who picked their own keep it.
+    if (check.robloxUsername !== check.previousUsername && member.nickname === check.previousUsername) {
+      await member.setNickname(check.robloxUsername, 'Roblox account renamed').catch(e => log('WARN', `Failed to update nickname in ${member.guild.name}`, e.message));
+    }
+    if (inactive && !removeVerified) return null;
+    if (inactive) {
+      const settings = await guildConfig.get(member.guild.id);
+      if (settings.verifiedRoleId && member.roles.cache.has(settings.verifiedRoleId)) {
+        await member.roles.remove(settings.verifiedRoleId, `Roblox account ${check.status}`).catch(e => log('WARN', `Failed to remove verified role in ${member.guild.name}`, e.message));
+        if (settings.unverifiedRoleId) await member.roles.add(settings.unverifiedRoleId).catch(e => log('WARN', `Failed to add unverified role in ${member.guild.name}`, e.message));
+      }
+      return groupBindings.syncMember(member, null);
+    }
+    if (!(await groupBindings.list(member.guild.id)).length) return null;
+    return groupBindings.syncMember(member, check.robloxId, await loadRanks());
+  }
+
+  return { applyToMember };
+}
+
+module.exports = { createRobloxSync, createMemberSync, INACTIVE_STATUSES, MAX_BATCH_SIZE };
@@ -0,0 +1,36 @@
+/*
+LineDevs - lib/storage.cjs
+Picks the storage backend: Postgres when DATABASE_URL is set, otherwise the embedded file store.
+
+Both backends return the same object, and handlers only ever talk to it:
+  kind                'postgres' | 'file'
+  init() / close()    prepare the schema (or data file) / flush and disconnect
+  ping()              cheap round trip for the readiness check (/readyz)
+  users               get, findByRobloxId, link, remove, search, listForResync, recordRobloxCheck
+                      (the Roblox link, shared by every guild)
+  members             get, setFlags, setBannedUntil (per guild: flags and AI ban)
+  guilds              get, list, save, seed (per-guild settings, see lib/guildConfig.cjs)
+  terms               current, list, publish, requiredVersion, recordConsent, latestConsent, countAccepted (per guild)
+  bindings            list, add, remove (per-guild Roblox group rank -> role bindings, see lib/groupBindings.cjs)
+  donations           get, list, record, link, markPerksApplied (see lib/donations.cjs)
+  verifications       save, get, findByKey, remove, sweepExpired
+  logs                append, query, purgeOlderThan, audit
+  tokens              balance, spend, adjust, history (per guild; refills to quota once the last reset is older than `since`)
+  infractions         insert, countActive, list, pardon (scoped to a guild)
+  aiSessions          the session and system prompt store used by /ai
+  privacy             collect, erase, requestDeletion, deletionRequest, cancelDeletion, dueDeletions (/mydata)
+Rows use the Postgres column names (discord_id, created_at as a Date, ...) in both backends.
+*/
+
+const path = require('path');
+const { createPostgresStorage } = require('./storagePostgres.cjs');
+const { createFileStorage } = require('./storageFile.cjs');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'data', 'linedevs.json');
+
+function createStorage({ databaseUrl, ssl = true, dataFile = DEFAULT_DATA_FILE, verificationTtlMinutes, log }) {
+  if (databaseUrl) return createPostgresStorage({ connectionString: databaseUrl, ssl, verificationTtlMinutes, log });
+  return createFileStorage({ file: dataFile, verificationTtlMinutes });
+}
+
+module.exports = { createStorage, DEFAULT_DATA_FILE };
@@ -0,0 +1,583 @@
+/*
+LineDevs - lib/storageFile.cjs
+Embedded storage backend for running without Postgres: all tables live in memory and are saved to one JSON file
+(written atomically, shortly after each change). Implements the same contract as lib/storagePostgres.cjs.
+Single-process only; every operation mutates state synchronously, so debits and refills cannot interleave.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { wholeWordPattern, scrubTerms } = require('./redaction.cjs');
+
+const DATE_KEY_RE = /(_at|_until|_reset|_for|^ts)$/;
+const WRITE_DELAY_MS = 250;
+
+function emptyData() {
+  return {
+    version: 1,
+    seq: {},
+    users: {},
+    guildSettings: {},
+    guildMembers: {},
+    termsVersions: [],
+    termsConsents: [],
+    roleBindings: [],
+    donations: [],
+    deletionRequests: {},
+    verifications: {},
+    logs: [],
+    auditLog: [],
+    tokenLedger: [],
+    infractions: [],
+    aiSessions: [],
+    aiMessages: [],
+    aiGuildSettings: {}
+  };
+}
+
+function loadData(file) {
+  if (!fs.existsSync(file)) return emptyData();
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'), (key, value) => (typeof value === 'string' && DATE_KEY_RE.test(key) ? new Date(value) : value));
+  return { ...emptyData(), ...parsed };
+}
+
+const copy = (row) => (row ? { ...row } : null);
+
+function createFileStorage({ file, verificationTtlMinutes = 30, maxLogs = 5000 }) {
+  // Loaded eagerly so that log lines written before init() are not lost.
+  let data = loadData(file);
+  let timer = null;
+  let writing = null;
+
+  const nextId = (table) => (data.seq[table] = (data.seq[table] || 0) + 1);
+
+  // Writes are chained so that two flushes never write the temp file at the same time; each one snapshots the
+  // data when its turn comes. A failed write is reported to its own caller and does not stop the next one.
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const tmp = `${file}.tmp`;
+    const write = () => fs.promises.writeFile(tmp, JSON.stringify(data)).then(() => fs.promises.rename(tmp, file));
+    const current = (writing || Promise.resolve()).catch(() => {}).then(write);
+    writing = current;
+    current.finally(() => { if (writing === current) writing = null; }).catch(() => {});
+    return current;
+  }
+
+  function persist() {
+    if (!timer) timer = setTimeout(() => flush().catch(e => console.error('Storage write failed:', e.message)), WRITE_DELAY_MS);
+  }
+
+  /* ---------- Users ---------- */
+  function ensureUser(discordId, defaults = {}) {
+    if (!data.users[discordId]) {
+      data.users[discordId] = { discord_id: discordId, roblox_id: null, roblox_username: null, tokens: 15, last_token_reset: new Date(), flags: 0, banned_until: null, linked_at: null, ...defaults };
+    }
+    return data.users[discordId];
+  }
+
+  const users = {
+    async get(discordId) {
+      return copy(data.users[discordId]);
+    },
+    async findByRobloxId(robloxId) {
+      return copy(Object.values(data.users).find(u => u.roblox_id === String(robloxId)));
+    },
+    async link({ discordId, robloxId, robloxUsername }) {
+      const u = ensureUser(discordId);
+      Object.assign(u, { roblox_id: String(robloxId), roblox_username: robloxUsername, linked_at: new Date(), roblox_status: 'active', roblox_checked_at: new Date() });
+      persist();
+    },
+    async listForResync({ checkedBefore, limit = 1000 }) {
+      const checked = (u) => (u.roblox_checked_at ? u.roblox_checked_at.getTime() : -Infinity);
+      return Object.values(data.users)
+        .filter(u => u.roblox_id && checked(u) < checkedBefore.getTime())
+        .sort((a, b) => checked(a) - checked(b) || a.discord_id.localeCompare(b.discord_id))
+        .slice(0, limit)
+        .map(copy);
+    },
+    async recordRobloxCheck(discordId, { status, robloxUsername }) {
+      const u = data.users[discordId];
+      if (!u) return;
+      Object.assign(u, { roblox_status: status, roblox_checked_at: new Date() }, robloxUsername ? { roblox_username: robloxUsername } : {});
+      persist();
+    },
+    async remove(discordId) {
+      const existed = Boolean(data.users[discordId]);
+      delete data.users[discordId];
+      persist();
+      return existed;
+    },
+    async search({ query = '', limit = 50, offset = 0 } = {}) {
+      const q = String(query).trim();
+      const needle = q.toLowerCase();
+      return Object.values(data.users)
+        .filter(u => u.roblox_id)
+        .filter(u => !q || u.discord_id === q || u.roblox_id === q || (u.roblox_username || '').toLowerCase().includes(needle))
+        .sort((a, b) => (b.linked_at ? b.linked_at.getTime() : -Infinity) - (a.linked_at ? a.linked_at.getTime() : -Infinity) || a.discord_id.localeCompare(b.discord_id))
+        .slice(offset, offset + limit)
+        .map(copy);
+    }
+  };
+
+  /* ---------- Guild Members ---------- */
+  const memberKey = (guildId, discordId) => `${guildId}:${discordId}`;
+
+  function ensureMember(guildId, discordId) {
+    const key = memberKey(guildId, discordId);
+    if (!data.guildMembers[key]) data.guildMembers[key] = { guild_id: guildId, discord_id: discordId, tokens: null, last_token_reset: null, flags: 0, banned_until: null };
+    return data.guildMembers[key];
+  }
+
+  const members = {
+    async get(guildId, discordId) {
+      return copy(data.guildMembers[memberKey(guildId, discordId)]);
+    },
+    async setFlags(guildId, discordId, flags) {
+      ensureMember(guildId, discordId).flags = flags;
+      persist();
+    },
+    async setBannedUntil(guildId, discordId, until) {
+      ensureMember(guildId, discordId).banned_until = until;
+      persist();
+    }
+  };
+
+  /* ---------- Guild Settings ---------- */
+  const SETTING_COLUMNS = ['registration_channel_id', 'ai_channel_id', 'verified_role_id', 'unverified_role_id', 'onboarding', 'default_quota', 'role_quotas', 'donor_role_id', 'donation_channel_id', 'donation_bonus_tokens'];
+  const settingsRow = (guildId, values, updatedBy) => ({
+    guild_id: guildId,
+    ...Object.fromEntries(SETTING_COLUMNS.map(c => [c, values[c] == null || values[c] === '' ? null : values[c]])),
+    updated_by: updatedBy || null,
+    updated_at: new Date()
+  });
+
+  const guilds = {
+    async get(guildId) {
+      return copy(data.guildSettings[guildId]);
+    },
+    async list() {
+      return Object.values(data.guildSettings).sort((a, b) => a.guild_id.localeCompare(b.guild_id)).map(copy);
+    },
+    async save(guildId, values, updatedBy) {
+      data.guildSettings[guildId] = settingsRow(guildId, values, updatedBy);
+      persist();
+      return copy(data.guildSettings[guildId]);
+    },
+    async seed(guildId, values) {
+      if (data.guildSettings[guildId]) return false;
+      data.guildSettings[guildId] = settingsRow(guildId, values, null);
+      for (const u of Object.values(data.users)) {
+        const key = memberKey(guildId, u.discord_id);
+        if (!data.guildMembers[key]) data.guildMembers[key] = { guild_id: guildId, discord_id: u.discord_id, tokens: u.tokens, last_token_reset: u.last_token_reset, flags: u.flags || 0, banned_until: u.banned_until };
+      }
+      persist();
+      return true;
+    }
+  };
+
+  /* ---------- Terms & Consents ---------- */
+  const guildTerms = (guildId) => data.termsVersions.filter(t => t.guild_id === guildId).sort((a, b) => b.version - a.version);
+
+  const terms = {
+    async current(guildId) {
+      return copy(guildTerms(guildId)[0]);
+    },
+    async list(guildId, limit = 10) {
+      return guildTerms(guildId).slice(0, limit).map(copy);
+    },
+    async publish({ guildId, title = null, body, requiresReconsent = false, createdBy = null }) {
+      const latest = guildTerms(guildId)[0];
+      const row = { id: nextId('termsVersions'), guild_id: guildId, version: latest ? latest.version + 1 : 1, title, body, requires_reconsent: Boolean(requiresReconsent), created_by: createdBy, created_at: new Date() };
+      data.termsVersions.push(row);
+      persist();
+      return copy(row);
+    },
+    async requiredVersion(guildId) {
+      const required = guildTerms(guildId).find(t => t.requires_reconsent);
+      return required ? required.version : 0;
+    },
+    async recordConsent({ guildId, discordId, version, source = 'register' }) {
+      const row = { id: nextId('termsConsents'), guild_id: guildId, discord_id: discordId, version, source, accepted_at: new Date() };
+      data.termsConsents.push(row);
+      persist();
+      return copy(row);
+    },
+    async latestConsent(guildId, discordId) {
+      return copy(data.termsConsents.filter(c => c.guild_id === guildId && c.discord_id === discordId).pop());
+    },
+    async countAccepted(guildId, version) {
+      return new Set(data.termsConsents.filter(c => c.guild_id === guildId && c.version >= version).map(c => c.discord_id)).size;
+    }
+  };
+
+  /* ---------- Role Bindings ---------- */
+  const bindings = {
+    async list(guildId) {
+      return data.roleBindings
+        .filter(b => b.guild_id === guildId)
+        .sort((a, b) => a.group_id.localeCompare(b.group_id) || a.min_rank - b.min_rank || a.id - b.id)
+        .map(copy);
+    },
+    async add({ guildId, groupId, minRank, roleId, createdBy = null }) {
+      if (data.roleBindings.some(b => b.guild_id === guildId && b.group_id === String(groupId) && b.min_rank === minRank && b.role_id === roleId)) return null;
+      const row = { id: nextId('roleBindings'), guild_id: guildId, group_id: String(groupId), min_rank: minRank, role_id: roleId, created_by: createdBy, created_at: new Date() };
+      data.roleBindings.push(row);
+      persist();
+      return copy(row);
+    },
+    async remove(guildId, id) {
+      const before = data.roleBindings.length;
+      data.roleBindings = data.roleBindings.filter(b => !(b.guild_id === guildId && b.id === id));
+      persist();
+      return data.roleBindings.length < before;
+    }
+  };
+
+  /* ---------- Donations ---------- */
+  const donations = {
+    async get(id) {
+      return copy(data.donations.find(d => d.id === id));
+    },
+    async list({ discordId = null, perksPending = false, limit = 50, offset = 0 } = {}) {
+      return data.donations
+        .filter(d => !discordId || d.discord_id === discordId)
+        .filter(d => !perksPending || (d.discord_id && !d.perks_applied_at))
+        .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+        .slice(offset, offset + limit)
+        .map(copy);
+    },
+    async record({ provider, externalId = null, discordId = null, donorName = null, amountMinor, currency, message = null, isPublic = true, recordedBy = null }) {
+      if (externalId != null && data.donations.some(d => d.provider === provider && d.external_id === externalId)) return null;
+      const row = { id: nextId('donations'), provider, external_id: externalId, discord_id: discordId, donor_name: donorName, amount_minor: amountMinor, currency, message, is_public: Boolean(isPublic), recorded_by: recordedBy, created_at: new Date(), perks_applied_at: null };
+      data.donations.push(row);
+      persist();
+      return copy(row);
+    },
+    async link(id, discordId) {
+      const row = data.donations.find(d => d.id === id && !d.discord_id);
+      if (!row) return null;
+      row.discord_id = discordId;
+      persist();
+      return copy(row);
+    },
+    async markPerksApplied(id) {
+      const row = data.donations.find(d => d.id === id);
+      if (row) row.perks_applied_at = new Date();
+      persist();
+    }
+  };
+
+  /* ---------- Personal Data ---------- */
+  const privacy = {
+    async collect(discordId, { logLimit = 5000 } = {}) {
+      const user = data.users[discordId];
+      const robloxId = user && user.roblox_id;
+      const mine = (rows, key = 'discord_id') => rows.filter(r => r[key] === discordId).map(copy);
+      const sessions = mine(data.aiSessions);
+      return {
+        user: copy(user),
+        guildMembers: mine(Object.values(data.guildMembers)),
+        verifications: mine(Object.values(data.verifications)),
+        termsConsents: mine(data.termsConsents),
+        tokenLedger: mine(data.tokenLedger),
+        infractions: mine(data.infractions),
+        aiSessions: sessions.map(s => ({ ...s, messages: data.aiMessages.filter(m => m.session_id === s.id).map(copy) })),
+        logs: data.logs.filter(l => l.discord_id === discordId || (robloxId && l.roblox_id === robloxId)).slice(-logLimit).reverse().map(copy),
+        auditLog: data.auditLog.filter(a => a.actor_id === discordId || a.target_id === discordId).map(copy),
+        donations: mine(data.donations),
+        deletionRequest: copy(data.deletionRequests[discordId])
+      };
+    },
+    async erase(discordId, { scrub = [] } = {}) {
+      const user = data.users[discordId];
+      const robloxId = user && user.roblox_id || null;
+      const counts = { users: 0, guildMembers: 0, verifications: 0, termsConsents: 0, tokenLedger: 0, infractions: 0, aiSessions: 0, logs: 0, donations: 0, auditLog: 0, moderatorRefs: 0, settingsRefs: 0, logText: 0 };
+      const drop = (table, predicate) => {
+        const before = data[table].length;
+        data[table] = data[table].filter(r => !predicate(r));
+        return before - data[table].length;
+      };
+      const clear = (rows, key) => rows.filter(r => r[key] === discordId).map(r => { r[key] = null; return r; }).length;
+
+      if (user) { delete data.users[discordId]; counts.users = 1; }
+      for (const [key, m] of Object.entries(data.guildMembers)) if (m.discord_id === discordId) { delete data.guildMembers[key]; counts.guildMembers++; }
+      if (data.verifications[discordId]) { delete data.verifications[discordId]; counts.verifications = 1; }
+      counts.termsConsents = drop('termsConsents', c => c.discord_id === discordId);
+      counts.tokenLedger = drop('tokenLedger', t => t.discord_id === discordId);
+      counts.infractions = drop('infractions', i => i.discord_id === discordId);
+      const sessionIds = new Set(data.aiSessions.filter(s => s.discord_id === discordId).map(s => s.id));
+      counts.aiSessions = drop('aiSessions', s => sessionIds.has(s.id));
+      drop('aiMessages', m => sessionIds.has(m.session_id));
+      counts.logs = drop('logs', l => l.discord_id === discordId || (robloxId && l.roblox_id === robloxId));
+      for (const d of data.donations) {
+        if (d.discord_id !== discordId) continue;
+        Object.assign(d, { discord_id: null, donor_name: null, message: null });
+        counts.donations++;
+      }
+      for (const a of data.auditLog) {
+        if (a.actor_id !== discordId && a.target_id !== discordId) continue;
+        if (a.actor_id === discordId) a.actor_id = '[deleted]';
+        if (a.target_id === discordId) a.target_id = '[deleted]';
+        counts.auditLog++;
+      }
+      counts.moderatorRefs = clear(data.infractions, 'moderator_id') + clear(data.infractions, 'pardoned_by');
+      counts.settingsRefs = clear(Object.values(data.guildSettings), 'updated_by') + clear(Object.values(data.aiGuildSettings), 'updated_by')
+        + clear(data.termsVersions, 'created_by') + clear(data.roleBindings, 'created_by') + clear(data.tokenLedger, 'actor_id')
+        + clear(data.donations, 'recorded_by');
+
+      const idPattern = new RegExp(wholeWordPattern(discordId));
+      const patterns = scrubTerms([discordId, robloxId, ...scrub]).map(term => new RegExp(wholeWordPattern(term), 'g'));
+      for (const l of data.logs) if (l.meta && idPattern.test(JSON.stringify(l.meta))) l.meta = null;
+      for (const re of patterns) {
+        for (const l of data.logs) {
+          const message = String(l.message).replace(re, '[deleted user]');
+          if (message !== l.message) { l.message = message; counts.logText++; }
+        }
+      }
+      delete data.deletionRequests[discordId];
+      persist();
+      return counts;
+    },
+    async requestDeletion(discordId, { scheduledFor, identifiers = [] }) {
+      data.deletionRequests[discordId] = { discord_id: discordId, requested_at: new Date(), scheduled_for: scheduledFor, identifiers };
+      persist();
+      return copy(data.deletionRequests[discordId]);
+    },
+    async deletionRequest(discordId) {
+      return copy(data.deletionRequests[discordId]);
+    },
+    async cancelDeletion(discordId) {
+      const existed = Boolean(data.deletionRequests[discordId]);
+      delete data.deletionRequests[discordId];
+      persist();
+      return existed;
+    },
+    async dueDeletions(now = new Date()) {
+      return Object.values(data.deletionRequests).filter(r => r.scheduled_for <= now).sort((a, b) => a.scheduled_for - b.scheduled_for).map(copy);
+    }
+  };
+
+  /* ---------- Pending Verifications ---------- */
+  function pendingFromRecord(v) {
+    const expiresAt = v.expires_at || new Date(v.created_at.getTime() + verificationTtlMinutes * 60 * 1000);
+    return { discordId: v.discord_id, guildId: v.guild_id || null, robloxId: v.roblox_id, robloxName: v.roblox_username, verificationKey: v.verification_key, method: v.method || 'profile', ageSeconds: (Date.now() - v.created_at.getTime()) / 1000, expired: Date.now() > expiresAt.getTime() };
+  }
+
+  const verifications = {
+    async save(discordId, pend) {
+      const now = new Date();
+      data.verifications[discordId] = { discord_id: discordId, guild_id: pend.guildId || null, roblox_id: pend.robloxId == null ? null : String(pend.robloxId), roblox_username: pend.robloxName || null, verification_key: pend.verificationKey, method: pend.method || 'profile', created_at: now, expires_at: new Date(now.getTime() + verificationTtlMinutes * 60 * 1000) };
+      persist();
+    },
+    async get(discordId) {
+      const v = data.verifications[discordId];
+      return v ? pendingFromRecord(v) : null;
+    },
+    async findByKey(key) {
+      const v = Object.values(data.verifications).find(x => x.verification_key === key);
+      return v ? pendingFromRecord(v) : null;
+    },
+    async remove(discordId) {
+      delete data.verifications[discordId];
+      persist();
+    },
+    async sweepExpired() {
+      const removed = Object.values(data.verifications).map(pendingFromRecord).filter(p => p.expired);
+      removed.forEach(p => delete data.verifications[p.discordId]);
+      if (removed.length) persist();
+      return removed.map(p => ({ discordId: p.discordId, robloxName: p.robloxName, method: p.method }));
+    }
+  };
+
+  /* ---------- Logs ---------- */
+  // Only the newest maxLogs log lines are kept on disk; the audit log is never trimmed.
+  const logs = {
+    async append({ level, message, event = null, discordId = null, robloxId = null, meta = null }) {
+      data.logs.push({ id: nextId('logs'), ts: new Date(), level, event, discord_id: discordId, roblox_id: robloxId == null ? null : String(robloxId), message, meta });
+      if (data.logs.length > maxLogs) data.logs.splice(0, data.logs.length - maxLogs);
+      persist();
+    },
+    async query({ levels = [], from = null, to = null, text = '', discordId = '', robloxId = '', event = '', before = null, limit = 100 } = {}) {
+      const needle = text.toLowerCase();
+      const rows = [];
+      for (let i = data.logs.length - 1; i >= 0 && rows.length <= limit; i--) {
+        const l = data.logs[i];
+        if (before && l.id >= before) continue;
+        if (levels.length && !levels.includes(l.level)) continue;
+        if ((from && l.ts < from) || (to && l.ts > to)) continue;
+        if (needle && !String(l.message).toLowerCase().includes(needle)) continue;
+        if ((discordId && l.discord_id !== discordId) || (robloxId && l.roblox_id !== String(robloxId)) || (event && l.event !== event)) continue;
+        rows.push({ event: null, discord_id: null, roblox_id: null, meta: null, ...l });
+      }
+      const page = rows.slice(0, limit);
+      return { rows: page, nextBefore: rows.length > limit ? page[page.length - 1].id : null };
+    },
+    async purgeOlderThan(days) {
+      const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+      const before = data.logs.length;
+      data.logs = data.logs.filter(l => l.ts.getTime() >= cutoff);
+      if (data.logs.length !== before) persist();
+      return before - data.logs.length;
+    },
+    async audit({ actorId, action, targetId, details = {} }) {
+      data.auditLog.push({ id: nextId('auditLog'), ts: new Date(), actor_id: actorId, action, target_id: targetId, details });
+      persist();
+    }
+  };
+
+  /* ---------- Tokens ---------- */
+  function appendLedger(entry) {
+    data.tokenLedger.push({ id: nextId('tokenLedger'), discord_id: entry.discordId, guild_id: entry.guildId || null, delta: entry.delta, balance_after: entry.balanceAfter, kind: entry.kind, reason: entry.reason || null, actor_id: entry.actorId || null, created_at: new Date() });
+  }
+
+  function refill(discordId, { quota, since, guildId }) {
+    if (!guildId) throw new Error('Token balances are per guild: guildId is required');
+    if (!data.guildMembers[memberKey(guildId, discordId)]) return Object.assign(ensureMember(guildId, discordId), { tokens: quota, last_token_reset: new Date() });
+    const u = data.guildMembers[memberKey(guildId, discordId)];
+    if (u.tokens == null || !u.last_token_reset || u.last_token_reset < since) {
+      const delta = quota - (u.tokens || 0);
+      u.tokens = quota;
+      u.last_token_reset = new Date();
+      appendLedger({ discordId, guildId, delta, balanceAfter: quota, kind: 'reset', reason: 'daily quota' });
+    }
+    return u;
+  }
+
+  const tokens = {
+    async balance(discordId, opts) {
+      const u = refill(discordId, opts);
+      persist();
+      return u.tokens;
+    },
+    async spend(discordId, amount, { reason, ...opts }) {
+      const u = refill(discordId, opts);
+      persist();
+      if (u.tokens < amount) return { ok: false, balance: u.tokens };
+      u.tokens -= amount;
+      appendLedger({ discordId, guildId: opts.guildId, delta: -amount, balanceAfter: u.tokens, kind: 'debit', reason });
+      return { ok: true, balance: u.tokens };
+    },
+    async adjust(discordId, amount, { kind, reason, actorId, ...opts }) {
+      const u = refill(discordId, opts);
+      u.tokens = Math.max(u.tokens + amount, 0);
+      appendLedger({ discordId, guildId: opts.guildId, delta: amount, balanceAfter: u.tokens, kind, reason, actorId });
+      persist();
+      return u.tokens;
+    },
+    async history(discordId, limit = 10, guildId = null) {
+      return data.tokenLedger.filter(e => e.discord_id === discordId && (!guildId || e.guild_id === guildId)).slice(-limit).reverse().map(copy);
+    }
+  };
+
+  /* ---------- Infractions ---------- */
+  const infractions = {
+    async insert(i) {
+      const record = { id: nextId('infractions'), discord_id: i.discordId, guild_id: i.guildId, channel_id: i.channelId, message_id: i.messageId, source: i.source, action: i.action, duration_ms: i.durationMs, rule_id: i.ruleId, reason: i.reason, content: i.content, moderator_id: i.moderatorId, created_at: new Date(), pardoned_at: null, pardoned_by: null };
+      data.infractions.push(record);
+      persist();
+      return copy(record);
+    },
+    async countActive(discordId, guildId, windowSeconds) {
+      const since = Date.now() - windowSeconds * 1000;
+      return data.infractions.filter(i => i.discord_id === discordId && i.guild_id === guildId && !i.pardoned_at && i.created_at.getTime() > since).length;
+    },
+    async list(discordId, guildId, limit = 25) {
+      return data.infractions.filter(i => i.discord_id === discordId && i.guild_id === guildId).slice(-limit).reverse().map(copy);
+    },
+    async pardon({ discordId, guildId, infractionId = null, moderatorId }) {
+      const targets = data.infractions.filter(i => i.discord_id === discordId && i.guild_id === guildId && !i.pardoned_at && (!infractionId || i.id === Number(infractionId)));
+      for (const i of targets) { i.pardoned_at = new Date(); i.pardoned_by = moderatorId; }
+      persist();
+      return targets.length;
+    }
+  };
+
+  /* ---------- AI Sessions ---------- */
+  const sameOwner = (s, discordId, guildId) => s.discord_id === discordId && (s.guild_id || null) === (guildId || null);
+
+  const aiSessions = {
+    async getActiveSession(discordId, guildId) {
+      return copy(data.aiSessions.filter(s => sameOwner(s, discordId, guildId) && s.active).sort((a, b) => a.updated_at - b.updated_at).pop());
+    },
+    async getSession(id, discordId) {
+      return copy(data.aiSessions.find(s => s.id === Number(id) && s.discord_id === discordId));
+    },
+    async findSessionByThread(threadId) {
+      return copy(data.aiSessions.find(s => s.thread_id === threadId));
+    },
+    async resetActive(discordId, guildId) {
+      const active = data.aiSessions.filter(s => sameOwner(s, discordId, guildId) && s.active);
+      active.forEach(s => { s.active = false; });
+      persist();
+      return active.length;
+    },
+    async createSession(discordId, guildId, title) {
+      await aiSessions.resetActive(discordId, guildId);
+      const now = new Date();
+      const session = { id: nextId('aiSessions'), discord_id: discordId, guild_id: guildId || null, title, thread_id: null, active: true, created_at: now, updated_at: now };
+      data.aiSessions.push(session);
+      persist();
+      return copy(session);
+    },
+    async setActive(session) {
+      await aiSessions.resetActive(session.discord_id, session.guild_id);
+      const s = data.aiSessions.find(x => x.id === session.id);
+      if (s) { s.active = true; s.updated_at = new Date(); }
+      persist();
+    },
+    async setThread(sessionId, threadId) {
+      const s = data.aiSessions.find(x => x.id === sessionId);
+      if (s) s.thread_id = threadId;
+      persist();
+    },
+    async listSessions(discordId, guildId, limit = 10) {
+      return data.aiSessions.filter(s => sameOwner(s, discordId, guildId))
+        .sort((a, b) => b.updated_at - a.updated_at)
+        .slice(0, limit)
+        .map(s => ({ ...s, message_count: data.aiMessages.filter(m => m.session_id === s.id).length }));
+    },
+    async getMessages(sessionId) {
+      return data.aiMessages.filter(m => m.session_id === sessionId).map(m => ({ role: m.role, content: m.content, created_at: m.created_at }));
+    },
+    async appendMessages(sessionId, messages) {
+      for (const m of messages) data.aiMessages.push({ id: nextId('aiMessages'), session_id: sessionId, role: m.role, content: m.content, created_at: new Date() });
+      const s = data.aiSessions.find(x => x.id === sessionId);
+      if (s) s.updated_at = new Date();
+      persist();
+    },
+    async getSystemPrompt(guildId) {
+      if (!guildId) return null;
+      return (data.aiGuildSettings[guildId] || {}).system_prompt || null;
+    },
+    async setSystemPrompt(guildId, prompt, updatedBy) {
+      data.aiGuildSettings[guildId] = { guild_id: guildId, system_prompt: prompt || null, updated_by: updatedBy, updated_at: new Date() };
+      persist();
+    }
+  };
+
+  return {
+    kind: 'file',
+    pool: null,
+    async init() {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+    },
+    close: () => flush(),
+    // Nothing to reach: the data lives in memory and is saved on write.
+    ping: async () => ({ ok: true }),
+    users,
+    members,
+    guilds,
+    terms,
+    bindings,
+    donations,
+    verifications,
+    logs,
+    tokens,
+    infractions,
+    aiSessions,
+    privacy
+  };
+}
+
+module.exports = { createFileStorage };
@@ -0,0 +1,454 @@
+/*
+LineDevs - lib/storagePostgres.cjs
+Postgres storage backend. Implements the storage contract described in lib/storage.cjs; the schema is owned by migrations/.
+*/
+
+const { Pool } = require('pg');
+const { runMigrations } = require('./migrations.cjs');
+const { wholeWordPattern, scrubTerms } = require('./redaction.cjs');
+
+const NOW_UTC_SQL = "(now() AT TIME ZONE 'UTC')";
+const PENDING_SELECT = 'SELECT discord_id, guild_id, roblox_id, roblox_username, verification_key, method, EXTRACT(EPOCH FROM (now() - created_at)) AS age_seconds, COALESCE(expires_at, created_at + make_interval(mins => $2)) < now() AS expired FROM verifications';
+
+function pendingFromRow(row) {
+  return { discordId: row.discord_id, guildId: row.guild_id || null, robloxId: row.roblox_id, robloxName: row.roblox_username, verificationKey: row.verification_key, method: row.method || 'profile', ageSeconds: Number(row.age_seconds), expired: row.expired };
+}
+
+function createPostgresStorage({ connectionString, ssl = true, verificationTtlMinutes = 30, log = async () => {} }) {
+  const pool = new Pool({ connectionString, ssl: ssl ? { rejectUnauthorized: false } : false });
+
+  async function withTransaction(fn) {
+    const db = await pool.connect();
+    try {
+      await db.query('BEGIN');
+      const result = await fn(db);
+      await db.query('COMMIT');
+      return result;
+    } catch (e) {
+      await db.query('ROLLBACK').catch(() => {});
+      throw e;
+    } finally {
+      db.release();
+    }
+  }
+
+  /* ---------- Users ---------- */
+  const users = {
+    async get(discordId) {
+      return (await pool.query('SELECT * FROM users WHERE discord_id=$1', [discordId])).rows[0] || null;
+    },
+    async findByRobloxId(robloxId) {
+      return (await pool.query('SELECT * FROM users WHERE roblox_id=$1', [String(robloxId)])).rows[0] || null;
+    },
+    // Creates or updates the user's Roblox link. The link is global; tokens and flags live in guild_members.
+    async link({ discordId, robloxId, robloxUsername }) {
+      await pool.query("INSERT INTO users(discord_id,roblox_id,roblox_username,linked_at,roblox_status,roblox_checked_at) VALUES($1,$2,$3,now(),'active',now()) ON CONFLICT (discord_id) DO UPDATE SET roblox_id=EXCLUDED.roblox_id, roblox_username=EXCLUDED.roblox_username, linked_at=EXCLUDED.linked_at, roblox_status=EXCLUDED.roblox_status, roblox_checked_at=EXCLUDED.roblox_checked_at", [discordId, String(robloxId), robloxUsername]);
+    },
+    // Linked users not re-synced since checkedBefore, least recently checked first.
+    async listForResync({ checkedBefore, limit = 1000 }) {
+      return (await pool.query('SELECT * FROM users WHERE roblox_id IS NOT NULL AND (roblox_checked_at IS NULL OR roblox_checked_at < $1) ORDER BY roblox_checked_at NULLS FIRST, discord_id LIMIT $2', [checkedBefore, limit])).rows;
+    },
+    // robloxUsername is only written when given.
+    async recordRobloxCheck(discordId, { status, robloxUsername }) {
+      await pool.query('UPDATE users SET roblox_status=$2, roblox_checked_at=now(), roblox_username=COALESCE($3, roblox_username) WHERE discord_id=$1', [discordId, status, robloxUsername || null]);
+    },
+    async remove(discordId) {
+      return (await pool.query('DELETE FROM users WHERE discord_id=$1', [discordId])).rowCount > 0;
+    },
+    // Linked users matching an exact Discord or Roblox ID, or part of a Roblox username; most recently linked first.
+    async search({ query = '', limit = 50, offset = 0 } = {}) {
+      const q = String(query).trim();
+      const params = [limit, offset];
+      let where = 'WHERE roblox_id IS NOT NULL';
+      if (q) {
+        params.push(q, `%${q.replace(/[\\%_]/g, '\\$&')}%`);
+        where += " AND (discord_id=$3 OR roblox_id=$3 OR roblox_username ILIKE $4 ESCAPE '\\')";
+      }
+      return (await pool.query(`SELECT * FROM users ${where} ORDER BY linked_at DESC NULLS LAST, discord_id LIMIT $1 OFFSET $2`, params)).rows;
+    }
+  };
+
+  /* ---------- Guild Members ---------- */
+  // Per-guild member state: token balance (see tokens), active flag count and AI ban.
+  const members = {
+    async get(guildId, discordId) {
+      return (await pool.query('SELECT * FROM guild_members WHERE guild_id=$1 AND discord_id=$2', [guildId, discordId])).rows[0] || null;
+    },
+    async setFlags(guildId, discordId, flags) {
+      await pool.query('INSERT INTO guild_members(guild_id,discord_id,flags) VALUES($1,$2,$3) ON CONFLICT (guild_id, discord_id) DO UPDATE SET flags=EXCLUDED.flags', [guildId, discordId, flags]);
+    },
+    async setBannedUntil(guildId, discordId, until) {
+      await pool.query('INSERT INTO guild_members(guild_id,discord_id,banned_until) VALUES($1,$2,$3) ON CONFLICT (guild_id, discord_id) DO UPDATE SET banned_until=EXCLUDED.banned_until', [guildId, discordId, until]);
+    }
+  };
+
+  /* ---------- Guild Settings ---------- */
+  const GUILD_SETTINGS_UPSERT = `INSERT INTO guild_settings(guild_id,registration_channel_id,ai_channel_id,verified_role_id,unverified_role_id,onboarding,default_quota,role_quotas,donor_role_id,donation_channel_id,donation_bonus_tokens,updated_by,updated_at)
+    VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,now())`;
+  const settingsParams = (guildId, v, updatedBy) => [guildId, v.registration_channel_id || null, v.ai_channel_id || null, v.verified_role_id || null, v.unverified_role_id || null, v.onboarding || null, v.default_quota == null ? null : v.default_quota, v.role_quotas || null, v.donor_role_id || null, v.donation_channel_id || null, v.donation_bonus_tokens == null ? null : v.donation_bonus_tokens, updatedBy || null];
+
+  const guilds = {
+    async get(guildId) {
+      return (await pool.query('SELECT * FROM guild_settings WHERE guild_id=$1', [guildId])).rows[0] || null;
+    },
+    async list() {
+      return (await pool.query('SELECT * FROM guild_settings ORDER BY guild_id')).rows;
+    },
+    // Replaces every setting column with `values` (missing ones become NULL). Returns the stored row.
+    async save(guildId, values, updatedBy) {
+      const r = await pool.query(`${GUILD_SETTINGS_UPSERT} ON CONFLICT (guild_id) DO UPDATE SET registration_channel_id=EXCLUDED.registration_channel_id, ai_channel_id=EXCLUDED.ai_channel_id, verified_role_id=EXCLUDED.verified_role_id, unverified_role_id=EXCLUDED.unverified_role_id, onboarding=EXCLUDED.onboarding, default_quota=EXCLUDED.default_quota, role_quotas=EXCLUDED.role_quotas, donor_role_id=EXCLUDED.donor_role_id, donation_channel_id=EXCLUDED.donation_channel_id, donation_bonus_tokens=EXCLUDED.donation_bonus_tokens, updated_by=EXCLUDED.updated_by, updated_at=EXCLUDED.updated_at RETURNING *`, settingsParams(guildId, values, updatedBy));
+      return r.rows[0];
+    },
+    // Creates the guild's settings unless they exist. The first time, the pre-multi-guild per-user tokens, flags
+    // and bans in users are copied into guild_members for this guild. Returns true when the row was created.
+    async seed(guildId, values) {
+      return withTransaction(async (db) => {
+        const r = await db.query(`${GUILD_SETTINGS_UPSERT} ON CONFLICT (guild_id) DO NOTHING RETURNING guild_id`, settingsParams(guildId, values, null));
+        if (!r.rows[0]) return false;
+        await db.query('INSERT INTO guild_members(guild_id,discord_id,tokens,last_token_reset,flags,banned_until) SELECT $1, discord_id, tokens, last_token_reset, COALESCE(flags, 0), banned_until FROM users ON CONFLICT (guild_id, discord_id) DO NOTHING', [guildId]);
+        return true;
+      });
+    }
+  };
+
+  /* ---------- Terms & Consents ---------- */
+  const terms = {
+    async current(guildId) {
+      return (await pool.query('SELECT * FROM terms_versions WHERE guild_id=$1 ORDER BY version DESC LIMIT 1', [guildId])).rows[0] || null;
+    },
+    async list(guildId, limit = 10) {
+      return (await pool.query('SELECT * FROM terms_versions WHERE guild_id=$1 ORDER BY version DESC LIMIT $2', [guildId, limit])).rows;
+    },
+    // Stores the next version number for the guild. Returns the stored row.
+    async publish({ guildId, title = null, body, requiresReconsent = false, createdBy = null }) {
+      const r = await pool.query('INSERT INTO terms_versions(guild_id,version,title,body,requires_reconsent,created_by) SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5 FROM terms_versions WHERE guild_id=$1 RETURNING *', [guildId, title, body, requiresReconsent, createdBy]);
+      return r.rows[0];
+    },
+    // Newest version that members must have accepted, or 0 when no version asked for re-consent.
+    async requiredVersion(guildId) {
+      return (await pool.query('SELECT COALESCE(MAX(version), 0)::int AS version FROM terms_versions WHERE guild_id=$1 AND requires_reconsent', [guildId])).rows[0].version;
+    },
+    async recordConsent({ guildId, discordId, version, source = 'register' }) {
+      return (await pool.query('INSERT INTO terms_consents(guild_id,discord_id,version,source) VALUES($1,$2,$3,$4) RETURNING *', [guildId, discordId, version, source])).rows[0];
+    },
+    async latestConsent(guildId, discordId) {
+      return (await pool.query('SELECT * FROM terms_consents WHERE guild_id=$1 AND discord_id=$2 ORDER BY accepted_at DESC, id DESC LIMIT 1', [guildId, discordId])).rows[0] || null;
+    },
+    // Members who accepted `version` or a later one.
+    async countAccepted(guildId, version) {
+      return (await pool.query('SELECT COUNT(DISTINCT discord_id)::int AS n FROM terms_consents WHERE guild_id=$1 AND version >= $2', [guildId, version])).rows[0].n;
+    }
+  };
+
+  /* ---------- Role Bindings ---------- */
+  const bindings = {
+    async list(guildId) {
+      return (await pool.query('SELECT * FROM role_bindings WHERE guild_id=$1 ORDER BY group_id, min_rank, id', [guildId])).rows;
+    },
+    // Returns the stored row, or null when the same binding exists.
+    async add({ guildId, groupId, minRank, roleId, createdBy = null }) {
+      const r = await pool.query('INSERT INTO role_bindings(guild_id,group_id,min_rank,role_id,created_by) VALUES($1,$2,$3,$4,$5) ON CONFLICT DO NOTHING RETURNING *', [guildId, String(groupId), minRank, roleId, createdBy]);
+      return r.rows[0] || null;
+    },
+    async remove(guildId, id) {
+      return (await pool.query('DELETE FROM role_bindings WHERE guild_id=$1 AND id=$2', [guildId, id])).rowCount > 0;
+    }
+  };
+
+  /* ---------- Donations ---------- */
+  const donations = {
+    async get(id) {
+      return (await pool.query('SELECT * FROM donations WHERE id=$1', [id])).rows[0] || null;
+    },
+    // Newest first. discordId narrows the list to one donor; perksPending to linked donations whose perks are not applied.
+    async list({ discordId = null, perksPending = false, limit = 50, offset = 0 } = {}) {
+      return (await pool.query('SELECT * FROM donations WHERE ($1::text IS NULL OR discord_id=$1) AND (NOT $4 OR (discord_id IS NOT NULL AND perks_applied_at IS NULL)) ORDER BY created_at DESC, id DESC LIMIT $2 OFFSET $3', [discordId, limit, offset, perksPending])).rows;
+    },
+    // Returns the stored row, or null when the provider already delivered this payment.
+    async record({ provider, externalId = null, discordId = null, donorName = null, amountMinor, currency, message = null, isPublic = true, recordedBy = null }) {
+      const r = await pool.query('INSERT INTO donations(provider,external_id,discord_id,donor_name,amount_minor,currency,message,is_public,recorded_by) VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9) ON CONFLICT DO NOTHING RETURNING *', [provider, externalId, discordId, donorName, amountMinor, currency, message, isPublic, recordedBy]);
+      return r.rows[0] || null;
+    },
+    // Links a donation that has no Discord user yet. Returns the updated row, or null when it was already linked.
+    async link(id, discordId) {
+      return (await pool.query('UPDATE donations SET discord_id=$2 WHERE id=$1 AND discord_id IS NULL RETURNING *', [id, discordId])).rows[0] || null;
+    },
+    async markPerksApplied(id) {
+      await pool.query('UPDATE donations SET perks_applied_at=now() WHERE id=$1', [id]);
+    }
+  };
+
+  /* ---------- Personal Data ---------- */
+  const privacy = {
+    // Everything stored about one user, for /mydata export. Log rows are capped at logLimit (newest first).
+    async collect(discordId, { logLimit = 5000 } = {}) {
+      const q = async (sql, params = [discordId]) => (await pool.query(sql, params)).rows;
+      const [user] = await q('SELECT * FROM users WHERE discord_id=$1');
+      const sessions = await q('SELECT * FROM ai_sessions WHERE discord_id=$1 ORDER BY id');
+      const messages = sessions.length ? await q('SELECT * FROM ai_messages WHERE session_id = ANY($1) ORDER BY id', [sessions.map(s => s.id)]) : [];
+      return {
+        user: user || null,
+        guildMembers: await q('SELECT * FROM guild_members WHERE discord_id=$1 ORDER BY guild_id'),
+        verifications: await q('SELECT * FROM verifications WHERE discord_id=$1'),
+        termsConsents: await q('SELECT * FROM terms_consents WHERE discord_id=$1 ORDER BY id'),
+        tokenLedger: await q('SELECT * FROM token_ledger WHERE discord_id=$1 ORDER BY id'),
+        infractions: await q('SELECT * FROM infractions WHERE discord_id=$1 ORDER BY id'),
+        aiSessions: sessions.map(s => ({ ...s, messages: messages.filter(m => m.session_id === s.id) })),
+        logs: await q('SELECT * FROM logs WHERE discord_id=$1 OR (roblox_id IS NOT NULL AND roblox_id=$2) ORDER BY id DESC LIMIT $3', [discordId, user && user.roblox_id || null, logLimit]),
+        auditLog: await q('SELECT * FROM audit_log WHERE actor_id=$1 OR target_id=$1 ORDER BY id'),
+        donations: await q('SELECT * FROM donations WHERE discord_id=$1 ORDER BY id'),
+        deletionRequest: (await q('SELECT * FROM data_deletion_requests WHERE discord_id=$1'))[0] || null
+      };
+    },
+    // Deletes the user's rows and anonymizes references to them in other people's records. `scrub` lists strings
+    // (names, IDs) replaced in the remaining log text. Returns the number of affected rows per table.
+    async erase(discordId, { scrub = [] } = {}) {
+      return withTransaction(async (db) => {
+        const count = async (sql, params = [discordId]) => (await db.query(sql, params)).rowCount;
+        const user = (await db.query('SELECT roblox_id FROM users WHERE discord_id=$1', [discordId])).rows[0];
+        const robloxId = user && user.roblox_id || null;
+        const counts = {
+          users: await count('DELETE FROM users WHERE discord_id=$1'),
+          guildMembers: await count('DELETE FROM guild_members WHERE discord_id=$1'),
+          verifications: await count('DELETE FROM verifications WHERE discord_id=$1'),
+          termsConsents: await count('DELETE FROM terms_consents WHERE discord_id=$1'),
+          tokenLedger: await count('DELETE FROM token_ledger WHERE discord_id=$1'),
+          infractions: await count('DELETE FROM infractions WHERE discord_id=$1'),
+          aiSessions: await count('DELETE FROM ai_sessions WHERE discord_id=$1'),
+          logs: await count('DELETE FROM logs WHERE discord_id=$1 OR (roblox_id IS NOT NULL AND roblox_id=$2)', [discordId, robloxId]),
+          // Payments stay on record for the books, without anything that names the donor.
+          donations: await count('UPDATE donations SET discord_id=NULL, donor_name=NULL, message=NULL WHERE discord_id=$1'),
+          auditLog: await count("UPDATE audit_log SET actor_id = CASE WHEN actor_id=$1 THEN '[deleted]' ELSE actor_id END, target_id = CASE WHEN target_id=$1 THEN '[deleted]' ELSE target_id END WHERE actor_id=$1 OR target_id=$1"),
+          moderatorRefs: await count('UPDATE infractions SET moderator_id = CASE WHEN moderator_id=$1 THEN NULL ELSE moderator_id END, pardoned_by = CASE WHEN pardoned_by=$1 THEN NULL ELSE pardoned_by END WHERE moderator_id=$1 OR pardoned_by=$1'),
+          settingsRefs: await count('UPDATE guild_settings SET updated_by=NULL WHERE updated_by=$1')
+            + await count('UPDATE ai_guild_settings SET updated_by=NULL WHERE updated_by=$1')
+            + await count('UPDATE terms_versions SET created_by=NULL WHERE created_by=$1')
+            + await count('UPDATE role_bindings SET created_by=NULL WHERE created_by=$1')
+            + await count('UPDATE token_ledger SET actor_id=NULL WHERE actor_id=$1')
+            + await count('UPDATE donations SET recorded_by=NULL WHERE recorded_by=$1'),
+          logText: 0
+        };
+        await count('UPDATE logs SET meta=NULL WHERE meta::text ~ $1', [wholeWordPattern(discordId)]);
+        for (const term of scrubTerms([discordId, robloxId, ...scrub])) {
+          const pattern = wholeWordPattern(term);
+          counts.logText += await count("UPDATE logs SET message=regexp_replace(message, $1, '[deleted user]', 'g') WHERE message ~ $1", [pattern]);
+        }
+        await count('DELETE FROM data_deletion_requests WHERE discord_id=$1');
+        return counts;
+      });
+    },
+    async requestDeletion(discordId, { scheduledFor, identifiers = [] }) {
+      const r = await pool.query('INSERT INTO data_deletion_requests(discord_id,scheduled_for,identifiers) VALUES($1,$2,$3) ON CONFLICT (discord_id) DO UPDATE SET requested_at=now(), scheduled_for=EXCLUDED.scheduled_for, identifiers=EXCLUDED.identifiers RETURNING *', [discordId, scheduledFor, JSON.stringify(identifiers)]);
+      return r.rows[0];
+    },
+    async deletionRequest(discordId) {
+      return (await pool.query('SELECT * FROM data_deletion_requests WHERE discord_id=$1', [discordId])).rows[0] || null;
+    },
+    async cancelDeletion(discordId) {
+      return (await pool.query('DELETE FROM data_deletion_requests WHERE discord_id=$1', [discordId])).rowCount > 0;
+    },
+    async dueDeletions(now = new Date()) {
+      return (await pool.query('SELECT * FROM data_deletion_requests WHERE scheduled_for <= $1 ORDER BY scheduled_for', [now])).rows;
+    }
+  };
+
+  /* ---------- Pending Verifications ---------- */
+  const verifications = {
+    async save(discordId, pend) {
+      await pool.query('INSERT INTO verifications(discord_id,guild_id,roblox_id,roblox_username,verification_key,method,created_at,expires_at) VALUES($1,$2,$3,$4,$5,$6,now(),now() + make_interval(mins => $7)) ON CONFLICT (discord_id) DO UPDATE SET guild_id=EXCLUDED.guild_id, roblox_id=EXCLUDED.roblox_id, verification_key=EXCLUDED.verification_key, roblox_username=EXCLUDED.roblox_username, method=EXCLUDED.method, created_at=EXCLUDED.created_at, expires_at=EXCLUDED.expires_at', [discordId, pend.guildId || null, pend.robloxId == null ? null : String(pend.robloxId), pend.robloxName || null, pend.verificationKey, pend.method || 'profile', verificationTtlMinutes]);
+    },
+    async get(discordId) {
+      const r = await pool.query(`${PENDING_SELECT} WHERE discord_id=$1`, [discordId, verificationTtlMinutes]);
+      return r.rows[0] ? pendingFromRow(r.rows[0]) : null;
+    },
+    async findByKey(key) {
+      const r = await pool.query(`${PENDING_SELECT} WHERE verification_key=$1`, [key, verificationTtlMinutes]);
+      return r.rows[0] ? pendingFromRow(r.rows[0]) : null;
+    },
+    async remove(discordId) {
+      await pool.query('DELETE FROM verifications WHERE discord_id=$1', [discordId]);
+    },
+    async sweepExpired() {
+      const r = await pool.query('DELETE FROM verifications WHERE COALESCE(expires_at, created_at + make_interval(mins => $1)) < now() RETURNING discord_id, roblox_username, method', [verificationTtlMinutes]);
+      return r.rows.map(row => ({ discordId: row.discord_id, robloxName: row.roblox_username, method: row.method || 'profile' }));
+    }
+  };
+
+  /* ---------- Logs ---------- */
+  const logs = {
+    async append({ level, message, event = null, discordId = null, robloxId = null, meta = null }) {
+      await pool.query('INSERT INTO logs(level,message,event,discord_id,roblox_id,meta) VALUES($1,$2,$3,$4,$5,$6)', [level, message, event, discordId, robloxId == null ? null : String(robloxId), meta]);
+    },
+    // Newest first. `before` is an id cursor; returns { rows, nextBefore } where nextBefore is null on the last page.
+    async query({ levels = [], from = null, to = null, text = '', discordId = '', robloxId = '', event = '', before = null, limit = 100 } = {}) {
+      const where = [];
+      const params = [];
+      const add = (sql, value) => { params.push(value); where.push(sql.replace('?', `$${params.length}`)); };
+      if (levels.length) add('level = ANY(?)', levels);
+      // ts is stored in the server's local time zone, like now().
+      if (from) add("ts >= (?::timestamptz AT TIME ZONE current_setting('TimeZone'))", from);
+      if (to) add("ts <= (?::timestamptz AT TIME ZONE current_setting('TimeZone'))", to);
+      if (text) add("message ILIKE ? ESCAPE '\\'", `%${text.replace(/[\\%_]/g, '\\$&')}%`);
+      if (discordId) add('discord_id = ?', discordId);
+      if (robloxId) add('roblox_id = ?', String(robloxId));
+      if (event) add('event = ?', event);
+      if (before) add('id < ?', before);
+      params.push(limit + 1);
+      const r = await pool.query(`SELECT id, ts, level, event, discord_id, roblox_id, message, meta FROM logs ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT $${params.length}`, params);
+      const rows = r.rows.slice(0, limit);
+      return { rows, nextBefore: r.rows.length > limit ? rows[rows.length - 1].id : null };
+    },
+    async purgeOlderThan(days) {
+      return (await pool.query('DELETE FROM logs WHERE ts < now() - make_interval(days => $1)', [days])).rowCount;
+    },
+    async audit({ actorId, action, targetId, details = {} }) {
+      await pool.query('INSERT INTO audit_log(actor_id,action,target_id,details) VALUES($1,$2,$3,$4)', [actorId, action, targetId, details]);
+    }
+  };
+
+  /* ---------- Tokens ---------- */
+  async function appendLedger(db, entry) {
+    await db.query('INSERT INTO token_ledger(discord_id,guild_id,delta,balance_after,kind,reason,actor_id) VALUES($1,$2,$3,$4,$5,$6,$7)', [entry.discordId, entry.guildId || null, entry.delta, entry.balanceAfter, entry.kind, entry.reason || null, entry.actorId || null]);
+  }
+
+  // Creates the guild member row if needed and refills it to `quota` when the last reset is older than `since`.
+  async function refill(db, discordId, { quota, since, guildId }) {
+    if (!guildId) throw new Error('Token balances are per guild: guildId is required');
+    await db.query(`INSERT INTO guild_members(guild_id,discord_id,tokens,last_token_reset) VALUES($1,$2,$3,${NOW_UTC_SQL}) ON CONFLICT (guild_id, discord_id) DO NOTHING`, [guildId, discordId, quota]);
+    const r = await db.query(`WITH prev AS (SELECT tokens FROM guild_members WHERE guild_id=$1 AND discord_id=$2 FOR UPDATE)
+      UPDATE guild_members m SET tokens=$4, last_token_reset=${NOW_UTC_SQL} FROM prev
+      WHERE m.guild_id=$1 AND m.discord_id=$2 AND (m.tokens IS NULL OR m.last_token_reset IS NULL OR m.last_token_reset < ($3::timestamptz AT TIME ZONE 'UTC'))
+      RETURNING prev.tokens AS before, m.tokens AS after`, [guildId, discordId, since, quota]);
+    if (r.rows[0]) {
+      await appendLedger(db, { discordId, guildId, delta: r.rows[0].after - (r.rows[0].before || 0), balanceAfter: r.rows[0].after, kind: 'reset', reason: 'daily quota' });
+      return r.rows[0].after;
+    }
+    return (await db.query('SELECT tokens FROM guild_members WHERE guild_id=$1 AND discord_id=$2', [guildId, discordId])).rows[0].tokens;
+  }
+
+  const tokens = {
+    async balance(discordId, opts) {
+      return withTransaction(db => refill(db, discordId, opts));
+    },
+    // Debits only if the balance covers `amount`. Returns { ok, balance }.
+    async spend(discordId, amount, { reason, ...opts }) {
+      return withTransaction(async (db) => {
+        const current = await refill(db, discordId, opts);
+        const r = await db.query('UPDATE guild_members SET tokens = tokens - $3 WHERE guild_id=$1 AND discord_id=$2 AND tokens >= $3 RETURNING tokens', [opts.guildId, discordId, amount]);
+        if (!r.rows[0]) return { ok: false, balance: current };
+        await appendLedger(db, { discordId, guildId: opts.guildId, delta: -amount, balanceAfter: r.rows[0].tokens, kind: 'debit', reason });
+        return { ok: true, balance: r.rows[0].tokens };
+      });
+    },
+    // Adds `amount` (negative removes, never below zero). Returns the new balance.
+    async adjust(discordId, amount, { kind, reason, actorId, ...opts }) {
+      return withTransaction(async (db) => {
+        await refill(db, discordId, opts);
+        const after = (await db.query('UPDATE guild_members SET tokens = GREATEST(tokens + $3, 0) WHERE guild_id=$1 AND discord_id=$2 RETURNING tokens', [opts.guildId, discordId, amount])).rows[0].tokens;
+        await appendLedger(db, { discordId, guildId: opts.guildId, delta: amount, balanceAfter: after, kind, reason, actorId });
+        return after;
+      });
+    },
+    // Ledger entries for one guild, or for every guild when guildId is omitted.
+    async history(discordId, limit = 10, guildId = null) {
+      return (await pool.query('SELECT * FROM token_ledger WHERE discord_id=$1 AND ($3::text IS NULL OR guild_id=$3) ORDER BY id DESC LIMIT $2', [discordId, limit, guildId])).rows;
+    }
+  };
+
+  /* ---------- Infractions ---------- */
+  const infractions = {
+    async insert(i) {
+      const r = await pool.query('INSERT INTO infractions(discord_id,guild_id,channel_id,message_id,source,action,duration_ms,rule_id,reason,content,moderator_id) VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11) RETURNING *', [i.discordId, i.guildId, i.channelId, i.messageId, i.source, i.action, i.durationMs, i.ruleId, i.reason, i.content, i.moderatorId]);
+      return r.rows[0];
+    },
+    // Unpardoned infractions in the guild younger than `windowSeconds`.
+    async countActive(discordId, guildId, windowSeconds) {
+      const r = await pool.query('SELECT COUNT(*)::int AS n FROM infractions WHERE discord_id=$1 AND guild_id=$2 AND pardoned_at IS NULL AND created_at > now() - make_interval(secs => $3)', [discordId, guildId, windowSeconds]);
+      return r.rows[0].n;
+    },
+    async list(discordId, guildId, limit = 25) {
+      return (await pool.query('SELECT * FROM infractions WHERE discord_id=$1 AND guild_id=$2 ORDER BY created_at DESC, id DESC LIMIT $3', [discordId, guildId, limit])).rows;
+    },
+    // Pardons one infraction (by id) or all of the user's unpardoned ones in the guild. Returns the number pardoned.
+    async pardon({ discordId, guildId, infractionId = null, moderatorId }) {
+      const r = infractionId
+        ? await pool.query('UPDATE infractions SET pardoned_at=now(), pardoned_by=$4 WHERE discord_id=$1 AND guild_id=$2 AND id=$3 AND pardoned_at IS NULL', [discordId, guildId, infractionId, moderatorId])
+        : await pool.query('UPDATE infractions SET pardoned_at=now(), pardoned_by=$3 WHERE discord_id=$1 AND guild_id=$2 AND pardoned_at IS NULL', [discordId, guildId, moderatorId]);
+      return r.rowCount;
+    }
+  };
+
+  /* ---------- AI Sessions ---------- */
+  const aiSessions = {
+    async getActiveSession(discordId, guildId) {
+      return (await pool.query('SELECT * FROM ai_sessions WHERE discord_id=$1 AND guild_id IS NOT DISTINCT FROM $2 AND active ORDER BY updated_at DESC LIMIT 1', [discordId, guildId || null])).rows[0] || null;
+    },
+    async getSession(id, discordId) {
+      return (await pool.query('SELECT * FROM ai_sessions WHERE id=$1 AND discord_id=$2', [id, discordId])).rows[0] || null;
+    },
+    async findSessionByThread(threadId) {
+      return (await pool.query('SELECT * FROM ai_sessions WHERE thread_id=$1', [threadId])).rows[0] || null;
+    },
+    async resetActive(discordId, guildId) {
+      return (await pool.query('UPDATE ai_sessions SET active=false WHERE discord_id=$1 AND guild_id IS NOT DISTINCT FROM $2 AND active', [discordId, guildId || null])).rowCount;
+    },
+    // Creates a session and makes it the owner's only active one.
+    async createSession(discordId, guildId, title) {
+      await aiSessions.resetActive(discordId, guildId);
+      return (await pool.query('INSERT INTO ai_sessions(discord_id,guild_id,title) VALUES($1,$2,$3) RETURNING *', [discordId, guildId || null, title])).rows[0];
+    },
+    async setActive(session) {
+      await aiSessions.resetActive(session.discord_id, session.guild_id);
+      await pool.query('UPDATE ai_sessions SET active=true, updated_at=now() WHERE id=$1', [session.id]);
+    },
+    async setThread(sessionId, threadId) {
+      await pool.query('UPDATE ai_sessions SET thread_id=$2 WHERE id=$1', [sessionId, threadId]);
+    },
+    async listSessions(discordId, guildId, limit = 10) {
+      return (await pool.query('SELECT s.*, (SELECT COUNT(*)::int FROM ai_messages m WHERE m.session_id=s.id) AS message_count FROM ai_sessions s WHERE s.discord_id=$1 AND s.guild_id IS NOT DISTINCT FROM $2 ORDER BY s.updated_at DESC LIMIT $3', [discordId, guildId || null, limit])).rows;
+    },
+    async getMessages(sessionId) {
+      return (await pool.query('SELECT role, content, created_at FROM ai_messages WHERE session_id=$1 ORDER BY id', [sessionId])).rows;
+    },
+    async appendMessages(sessionId, messages) {
+      for (const m of messages) await pool.query('INSERT INTO ai_messages(session_id,role,content) VALUES($1,$2,$3)', [sessionId, m.role, m.content]);
+      await pool.query('UPDATE ai_sessions SET updated_at=now() WHERE id=$1', [sessionId]);
+    },
+    async getSystemPrompt(guildId) {
+      if (!guildId) return null;
+      return ((await pool.query('SELECT system_prompt FROM ai_guild_settings WHERE guild_id=$1', [guildId])).rows[0] || {}).system_prompt || null;
+    },
+    // Pass an empty prompt to clear the server override.
+    async setSystemPrompt(guildId, prompt, updatedBy) {
+      await pool.query('INSERT INTO ai_guild_settings(guild_id,system_prompt,updated_by,updated_at) VALUES($1,$2,$3,now()) ON CONFLICT (guild_id) DO UPDATE SET system_prompt=EXCLUDED.system_prompt, updated_by=EXCLUDED.updated_by, updated_at=EXCLUDED.updated_at', [guildId, prompt || null, updatedBy]);
+    }
+  };
+
+  return {
+    kind: 'postgres',
+    pool,
+    async init() {
+      const applied = await runMigrations(pool, { log });
+      if (applied.length) console.log(`Applied ${applied.length} migration(s).`);
+    },
+    close: () => pool.end(),
+    async ping() {
+      await pool.query('SELECT 1');
+      return { ok: true, totalConnections: pool.totalCount, idleConnections: pool.idleCount };
+    },
+    users,
+    members,
+    guilds,
+    terms,
+    bindings,
+    donations,
+    verifications,
+    logs,
+    tokens,
+    infractions,
+    aiSessions,
+    privacy
+  };
+}
+
+module.exports = { createPostgresStorage };
@@ -0,0 +1,76 @@
+/*
+LineDevs - lib/tokens.cjs
+AI token economy: role-based daily quotas with a fixed reset hour, atomic debits and a ledger of every change.
+*/
+
+// "roleId:30,roleId:50" -> Map(roleId => 30, ...)
+function parseRoleQuotas(spec) {
+  const map = new Map();
+  for (const pair of String(spec || '').split(',')) {
+    const [roleId, amount] = pair.split(':').map(s => s && s.trim());
+    if (roleId && Number.isFinite(Number(amount))) map.set(roleId, Number(amount));
+  }
+  return map;
+}
+
+function memberRoleIds(member) {
+  if (!member || !member.roles) return [];
+  if (member.roles.cache) return [...member.roles.cache.keys()];
+  return Array.isArray(member.roles) ? member.roles : [];
+}
+
+/* =====================
+   Token Service
+   ===================== */
+// Quota and cost policy on top of storage.tokens, which does the atomic refills, debits and ledger writes.
+function createTokenService({ storage, log = async () => {}, defaultQuota = 15, roleQuotas = new Map(), resetHourUtc = 0, costBase = 1, costPerChars = 0, costPerImage = 0 }) {
+  function lastResetAt(now = new Date()) {
+    const boundary = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), resetHourUtc));
+    if (boundary > now) boundary.setUTCDate(boundary.getUTCDate() - 1);
+    return boundary;
+  }
+
+  function nextResetAt(now = new Date()) {
+    const next = lastResetAt(now);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return next;
+  }
+
+  // Highest quota among the member's roles, never below the default. `guild` holds the guild's own
+  // defaultQuota and roleQuotas (lib/guildConfig.cjs), which take precedence over the env defaults.
+  function quotaForMember(member, guild = {}) {
+    const base = guild.defaultQuota == null ? defaultQuota : guild.defaultQuota;
+    const quotas = guild.roleQuotas && guild.roleQuotas.size ? new Map([...roleQuotas, ...guild.roleQuotas]) : roleQuotas;
+    return memberRoleIds(member).reduce((best, id) => Math.max(best, quotas.has(id) ? quotas.get(id) : 0), base);
+  }
+
+  function costFor({ chars = 0, images = 0 } = {}) {
+    return costBase + (costPerChars > 0 ? Math.floor(chars / costPerChars) : 0) + images * costPerImage;
+  }
+
+  async function getBalance(discordId, { quota = defaultQuota, guildId } = {}) {
+    const tokens = await storage.tokens.balance(discordId, { quota, since: lastResetAt(), guildId });
+    return { tokens, quota, nextResetAt: nextResetAt() };
+  }
+
+  // Debits `amount` only if the balance covers it. Returns { ok, balance, cost }.
+  async function spend(discordId, amount, { quota = defaultQuota, guildId, reason = 'ai' } = {}) {
+    const r = await storage.tokens.spend(discordId, amount, { quota, since: lastResetAt(), guildId, reason });
+    return { ...r, cost: amount };
+  }
+
+  // Adds (or with a negative amount, removes) tokens. kind is 'refund', 'grant' or 'revoke'. Returns the new balance.
+  async function credit(discordId, amount, { kind = 'grant', reason = '', actorId = null, guildId, quota = defaultQuota } = {}) {
+    const balance = await storage.tokens.adjust(discordId, amount, { quota, since: lastResetAt(), guildId, kind, reason, actorId });
+    if (kind !== 'refund') await log('INFO', `Tokens ${kind} ${amount >= 0 ? '+' : ''}${amount} for ${discordId}${actorId ? ` by ${actorId}` : ''} (balance ${balance})`);
+    return balance;
+  }
+
+  async function history(discordId, limit = 10, guildId = null) {
+    return storage.tokens.history(discordId, limit, guildId);
+  }
+
+  return { quotaForMember, costFor, getBalance, spend, credit, history, nextResetAt, defaultQuota };
+}
+
+module.exports = { createTokenService, parseRoleQuotas };
@@ -0,0 +1,179 @@
+/*
+LineDevs - lib/verification.cjs
+The Roblox verification flow behind Agree & Register: reuse an existing link or a lookup provider's answer, otherwise
+offer the interactive methods (profile key, OAuth, game). Pending keys live in storage.verifications. Shared by the
+button and modal handlers and by the OAuth/game HTTP callbacks; nothing here touches the gateway client.
+*/
+
+const fetch = require('node-fetch');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, MessageFlags } = require('discord.js');
+const { INACTIVE_STATUSES } = require('./robloxSync.cjs');
+
+function generateVerificationKey() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789._';
+  let k = '';
+  for (let i = 0; i < 12; i++) k += chars.charAt(Math.floor(Math.random() * chars.length));
+  return k;
+}
+
+function buildRobloxUsernameModal() {
+  const modal = new ModalBuilder().setCustomId('modal_register_roblox').setTitle('Register — Roblox Username');
+  const usernameInput = new TextInputBuilder().setCustomId('roblox_username').setLabel('Roblox username (only username)').setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(32);
+  modal.addComponents(new ActionRowBuilder().addComponents(usernameInput));
+  return modal;
+}
+
+// providers come from createVerificationProviders; rememberName hides Roblox usernames from dashboard viewers.
+function createVerification({
+  storage,
+  guildConfig,
+  groupBindings,
+  providers = [],
+  metrics,
+  usernamesBaseUrl = 'https://users.roproxy.com',
+  apiKey = '',
+  fetchImpl = fetch,
+  reissueCooldownSeconds = 60,
+  doneCooldownSeconds = 15,
+  rememberName = () => {},
+  log = async () => {},
+  logEvent = async () => {}
+}) {
+  // Last Done press per Discord user, for the cooldown on the Done button.
+  const donePresses = new Map();
+  const getProvider = (id) => providers.find(p => p.id === id) || null;
+
+  async function resolveRobloxUsername(username) {
+    try {
+      const res = await fetchImpl(`${usernamesBaseUrl}/v1/usernames/users`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(apiKey ? { 'x-api-key': apiKey } : {}) },
+        body: JSON.stringify({ usernames: [username], excludeBannedUsers: true })
+      });
+      if (!res.ok) return null;
+      const js = await res.json();
+      if (!js.data || !js.data.length) return null;
+      return js.data[0];
+    } catch (e) {
+      await log('WARN', 'resolveRobloxUsername error', e && e.message || e);
+      return null;
+    }
+  }
+
+  // Returns the account the user already linked here (e.g. while verifying in another server), otherwise walks the
+  // lookup providers in configured order and returns the first linked account found.
+  async function findLinkedRobloxAccount(discordId, guildId) {
+    const own = await storage.users.get(discordId).catch(e => { log('ERROR', 'DB load user failed', e.message); return null; });
+    if (own && own.roblox_id && !INACTIVE_STATUSES.has(own.roblox_status)) return { robloxId: own.roblox_id, robloxUsername: own.roblox_username, method: 'existing' };
+    for (const provider of providers.filter(p => p.kind === 'lookup')) {
+      const linked = await provider.lookup(discordId, { guildId });
+      if (linked) return { ...linked, method: provider.id };
+    }
+    return null;
+  }
+
+  /* ---------- Pending Verifications ---------- */
+  async function savePendingVerification(discordId, pend) {
+    rememberName(pend.robloxName);
+    await storage.verifications.save(discordId, pend);
+  }
+  // Returns { discordId, guildId, robloxId, robloxName, verificationKey, method, ageSeconds, expired } or null.
+  const loadPendingVerification = (discordId) => storage.verifications.get(discordId);
+  const findPendingVerificationByKey = (key) => storage.verifications.findByKey(key);
+  const deletePendingVerification = (discordId) => storage.verifications.remove(discordId);
+
+  // Issues a key for an interactive provider, honouring the re-issue cooldown.
+  // Returns { key } or { wait, key } when a recent key is still valid.
+  async function issueVerificationKey(discordId, pend) {
+    const previous = await loadPendingVerification(discordId).catch(e => { log('ERROR', 'DB load verification failed', e.message); return null; });
+    if (previous && !previous.expired && previous.ageSeconds < reissueCooldownSeconds) {
+      return { wait: Math.ceil(reissueCooldownSeconds - previous.ageSeconds), key: previous.verificationKey };
+    }
+    const key = generateVerificationKey();
+    await savePendingVerification(discordId, { ...pend, verificationKey: key });
+    return { key };
+  }
+
+  async function sweepExpiredVerifications() {
+    const expired = await storage.verifications.sweepExpired();
+    expired.forEach(p => metrics.recordVerification('expired', p.method));
+    const removed = expired.map(p => `${p.discordId} (${p.robloxName || 'game'})`);
+    for (const [discordId, last] of donePresses) {
+      if (Date.now() - last > doneCooldownSeconds * 1000) donePresses.delete(discordId);
+    }
+    if (removed.length) await log('INFO', `Verification sweeper removed ${removed.length} expired key(s):`, removed.join(', '));
+  }
+
+  /* ---------- Flow ---------- */
+  // Links a Roblox account and swaps roles in `guild`. Shared by interaction flows and the OAuth/game HTTP callbacks.
+  // Returns { ok: true } or { ok: false, ownerId } when the Roblox account belongs to someone else.
+  async function completeVerification({ discordId, guild, robloxId, robloxUsername, method }) {
+    rememberName(robloxUsername);
+    const existing = await storage.users.findByRobloxId(robloxId);
+    if (existing && existing.discord_id !== discordId) {
+      metrics.recordVerification('conflict', method);
+      return { ok: false, ownerId: existing.discord_id };
+    }
+    metrics.recordVerification('completed', method);
+    await storage.users.link({ discordId, robloxId, robloxUsername }).catch(e => log('ERROR', `DB insert/update failed (${method} verification)`, e.message));
+    try {
+      const settings = await guildConfig.get(guild.id);
+      const member = await guild.members.fetch(discordId);
+      if (settings.unverifiedRoleId) await member.roles.remove(settings.unverifiedRoleId).catch(e => log('WARN', `Failed to remove unverified role (${method})`, e.message));
+      if (settings.verifiedRoleId) await member.roles.add(settings.verifiedRoleId).catch(e => log('WARN', `Failed to add verified role (${method})`, e.message));
+      await member.setNickname(robloxUsername).catch(e => log('WARN', `Failed to set nickname (${method})`, e.message));
+      await groupBindings.syncMember(member, robloxId).catch(e => log('WARN', `Failed to apply group role bindings (${method})`, e.message));
+      await logEvent('INFO', 'verification.completed', { discordId, robloxId: String(robloxId), meta: { method, guildId: guild.id } }, `User ${member.user.tag} verified via ${method} as ${robloxUsername}`);
+    } catch (e) { await log('ERROR', `Role/Nickname update failed (${method} verification)`, e.message); }
+    await deletePendingVerification(discordId).catch(e => log('ERROR', 'DB delete verification failed', e.message));
+    return { ok: true };
+  }
+
+  // Links the member via an existing Roblox link if one is found, otherwise offers the enabled verification methods.
+  async function startVerification(interaction) {
+    const lookups = providers.filter(p => p.kind === 'lookup');
+    const interactive = providers.filter(p => p.kind === 'interactive');
+    // Only a button can still open the profile modal, and only before any other response; one lookup fits inside the
+    // 3s interaction window as long as callers do their own writes after this has responded.
+    const deferEarly = !interaction.isButton() || lookups.length > 1;
+    if (deferEarly) await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const linked = await findLinkedRobloxAccount(interaction.user.id, interaction.guildId);
+    if (linked) {
+      if (!interaction.deferred) await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      const result = await completeVerification({ discordId: interaction.user.id, guild: interaction.guild, robloxId: linked.robloxId, robloxUsername: linked.robloxUsername, method: linked.method });
+      if (!result.ok) return interaction.editReply({ content: `This Roblox account is already linked to <@${result.ownerId}>. That user must logout first.` });
+      return interaction.editReply({ content: `Verified via linked Roblox account: **${linked.robloxUsername}**` });
+    }
+
+    if (!deferEarly && interaction.isButton() && interactive.length === 1 && interactive[0].id === 'profile') return interaction.showModal(buildRobloxUsernameModal());
+
+    if (interactive.some(p => p.id === 'oauth')) metrics.recordVerification('started', 'oauth');
+    const buttons = interactive.map(p => p.id === 'oauth'
+      ? new ButtonBuilder().setLabel(p.label).setStyle(ButtonStyle.Link).setURL(p.buildAuthorizeUrl(interaction.user.id, interaction.guildId))
+      : new ButtonBuilder().setCustomId(`verify_method_${p.id}`).setLabel(p.label).setStyle(ButtonStyle.Primary));
+    const payload = buttons.length
+      ? { content: 'No linked Roblox account was found. Choose how you would like to verify:', components: [ new ActionRowBuilder().addComponents(...buttons) ] }
+      : { content: 'No linked Roblox account was found and no other verification methods are enabled. Please contact the moderation team.' };
+    if (interaction.deferred) return interaction.editReply(payload);
+    return interaction.reply({ ...payload, flags: MessageFlags.Ephemeral });
+  }
+
+  return {
+    providers,
+    getProvider,
+    donePresses,
+    buildRobloxUsernameModal,
+    resolveRobloxUsername,
+    findLinkedRobloxAccount,
+    issueVerificationKey,
+    loadPendingVerification,
+    findPendingVerificationByKey,
+    deletePendingVerification,
+    sweepExpiredVerifications,
+    completeVerification,
+    startVerification
+  };
+}
+
+module.exports = { createVerification, generateVerificationKey, buildRobloxUsernameModal };
@@ -0,0 +1,261 @@
+/*
+LineDevs - lib/verificationProviders.cjs
+Pluggable Roblox verification providers walked by the agree_register flow.
+Every provider takes its base URL from options so it can be pointed at a local HTTP stub.
+*/
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+/* =====================
+   Shared Helpers
+   ===================== */
+function pickPath(obj, dotted) {
+  return String(dotted).split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (_, k) => encodeURIComponent(values[k] == null ? '' : values[k]));
+}
+
+function hmacHex(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('hex');
+}
+
+function safeEqualHex(a, b) {
+  if (String(a || '').length !== String(b || '').length) return false;
+  const ba = Buffer.from(String(a || ''), 'hex');
+  const bb = Buffer.from(String(b || ''), 'hex');
+  return ba.length > 0 && ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+async function fetchRobloxUsername(usersBaseUrl, robloxId, fetchImpl, timeout) {
+  const res = await fetchImpl(`${usersBaseUrl}/v1/users/${encodeURIComponent(robloxId)}`, { timeout });
+  if (!res.ok) return null;
+  const js = await res.json();
+  return js && js.name ? js.name : null;
+}
+
+/* =====================
+   Lookup Providers
+   ===================== */
+// verify.eryn.io (legacy RoVer) - GET /api/user/:discordId -> { status, robloxId, robloxUsername }
+function createErynProvider({ baseUrl = 'https://verify.eryn.io', fetchImpl = fetch, timeout = 2000, log = async () => {} } = {}) {
+  return {
+    id: 'eryn',
+    label: 'verify.eryn.io',
+    kind: 'lookup',
+    isConfigured: () => true,
+    async lookup(discordId) {
+      try {
+        const res = await fetchImpl(`${baseUrl}/api/user/${encodeURIComponent(discordId)}`, { timeout });
+        if (!res.ok) {
+          if (res.status === 429) await log('WARN', 'eryn provider rate limited (HTTP 429)');
+          return null;
+        }
+        const js = await res.json();
+        if (js && js.status === 'ok') return { robloxId: String(js.robloxId), robloxUsername: js.robloxUsername };
+        return null;
+      } catch (e) {
+        await log('WARN', 'eryn provider lookup error', e && e.message || e);
+        return null;
+      }
+    }
+  };
+}
+
+// Bloxlink/RoVer-style guild registries: GET <urlTemplate> with an API key -> JSON holding the Roblox ID.
+// The username is read from usernameField when the registry returns one, otherwise resolved via the users API.
+// Lookups run against the guild of the interaction; guildId is only the fallback when none is passed.
+function createRegistryProvider({
+  id,
+  label,
+  urlTemplate,
+  apiKey,
+  authScheme = '',
+  guildId = '',
+  idField,
+  usernameField = '',
+  usersBaseUrl = 'https://users.roblox.com',
+  fetchImpl = fetch,
+  timeout = 2000,
+  log = async () => {}
+}) {
+  return {
+    id,
+    label,
+    kind: 'lookup',
+    isConfigured: () => Boolean(apiKey && urlTemplate),
+    async lookup(discordId, ctx = {}) {
+      const lookupGuildId = ctx.guildId || guildId;
+      if (!lookupGuildId) return null;
+      try {
+        const url = fillTemplate(urlTemplate, { guildId: lookupGuildId, discordId });
+        const res = await fetchImpl(url, { timeout, headers: { Authorization: authScheme ? `${authScheme} ${apiKey}` : apiKey } });
+        if (!res.ok) {
+          if (res.status === 429) await log('WARN', `${id} provider rate limited (HTTP 429)`);
+          return null;
+        }
+        const js = await res.json();
+        const robloxId = pickPath(js, idField);
+        if (!robloxId) return null;
+        let robloxUsername = usernameField ? pickPath(js, usernameField) : null;
+        if (!robloxUsername) robloxUsername = await fetchRobloxUsername(usersBaseUrl, robloxId, fetchImpl, timeout);
+        if (!robloxUsername) return null;
+        return { robloxId: String(robloxId), robloxUsername };
+      } catch (e) {
+        await log('WARN', `${id} provider lookup error`, e && e.message || e);
+        return null;
+      }
+    }
+  };
+}
+
+function createBloxlinkProvider({ baseUrl = 'https://api.blox.link', ...opts } = {}) {
+  return createRegistryProvider({
+    id: 'bloxlink',
+    label: 'Bloxlink',
+    urlTemplate: `${baseUrl}/v4/public/guilds/{guildId}/discord-to-roblox/{discordId}`,
+    idField: 'robloxID',
+    usernameField: 'resolved.roblox.name',
+    ...opts
+  });
+}
+
+function createRoverProvider({ baseUrl = 'https://registry.rover.link', ...opts } = {}) {
+  return createRegistryProvider({
+    id: 'rover',
+    label: 'RoVer',
+    urlTemplate: `${baseUrl}/api/guilds/{guildId}/discord-to-roblox/{discordId}`,
+    authScheme: 'Bearer',
+    idField: 'robloxId',
+    usernameField: 'cachedUsername',
+    ...opts
+  });
+}
+
+/* =====================
+   Interactive Providers
+   ===================== */
+// Paste-a-key-into-About flow. The key is issued by the modal handler; checkKey is called on Done.
+function createProfileKeyProvider({ usersBaseUrl = 'https://users.roblox.com', fetchImpl = fetch, timeout = 5000, log = async () => {} } = {}) {
+  return {
+    id: 'profile',
+    label: 'Paste key in Roblox profile',
+    kind: 'interactive',
+    isConfigured: () => true,
+    async checkKey(robloxId, key) {
+      try {
+        const res = await fetchImpl(`${usersBaseUrl}/v1/users/${encodeURIComponent(robloxId)}`, { timeout });
+        if (!res.ok) {
+          await log('ERROR', `Roblox profile fetch failed for ${robloxId}. HTTP Status: ${res.status}`);
+          return false;
+        }
+        const js = await res.json();
+        return String(js.description || '').includes(key);
+      } catch (e) {
+        await log('WARN', 'Verification profile fetch error', e && e.message || e);
+        return false;
+      }
+    }
+  };
+}
+
+// Roblox OAuth2 authorization code flow. The Discord user and guild IDs travel in a signed, expiring state parameter.
+function createRobloxOAuthProvider({
+  clientId,
+  clientSecret,
+  redirectUri,
+  stateSecret = clientSecret,
+  baseUrl = 'https://apis.roblox.com/oauth',
+  stateTtlMs = 10 * 60 * 1000,
+  fetchImpl = fetch,
+  timeout = 5000
+} = {}) {
+  return {
+    id: 'oauth',
+    label: 'Log in with Roblox',
+    kind: 'interactive',
+    isConfigured: () => Boolean(clientId && clientSecret && redirectUri && stateSecret),
+    buildAuthorizeUrl(discordId, guildId) {
+      const payload = `${discordId}.${guildId}.${Date.now() + stateTtlMs}.${crypto.randomBytes(8).toString('hex')}`;
+      const state = `${payload}.${hmacHex(stateSecret, payload)}`;
+      const qs = new URLSearchParams({ client_id: clientId, redirect_uri: redirectUri, scope: 'openid profile', response_type: 'code', state });
+      return `${baseUrl}/v1/authorize?${qs.toString()}`;
+    },
+    // Returns { discordId, guildId } the state was issued for, or null when tampered with or expired.
+    verifyState(state) {
+      const parts = String(state || '').split('.');
+      if (parts.length !== 5) return null;
+      const [discordId, guildId, expires, nonce, sig] = parts;
+      if (!safeEqualHex(sig, hmacHex(stateSecret, `${discordId}.${guildId}.${expires}.${nonce}`))) return null;
+      if (Date.now() > Number(expires)) return null;
+      return { discordId, guildId };
+    },
+    async exchangeCode(code) {
+      const tokenRes = await fetchImpl(`${baseUrl}/v1/token`, {
+        method: 'POST',
+        timeout,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ grant_type: 'authorization_code', code, client_id: clientId, client_secret: clientSecret, redirect_uri: redirectUri }).toString()
+      });
+      if (!tokenRes.ok) throw new Error(`token exchange failed (HTTP ${tokenRes.status})`);
+      const token = await tokenRes.json();
+      const infoRes = await fetchImpl(`${baseUrl}/v1/userinfo`, { timeout, headers: { Authorization: `Bearer ${token.access_token}` } });
+      if (!infoRes.ok) throw new Error(`userinfo failed (HTTP ${infoRes.status})`);
+      const info = await infoRes.json();
+      if (!info.sub) throw new Error('userinfo missing sub');
+      return { robloxId: String(info.sub), robloxUsername: info.preferred_username || info.nickname || info.name };
+    }
+  };
+}
+
+// "Join a game" flow. A Roblox server script posts { key, robloxId, robloxUsername } with
+// x-linedevs-timestamp and x-linedevs-signature = hex HMAC-SHA256(secret, `${timestamp}.${rawBody}`).
+function createGameJoinProvider({ placeId, secret, toleranceMs = 5 * 60 * 1000 } = {}) {
+  return {
+    id: 'game',
+    label: 'Join the verification game',
+    kind: 'interactive',
+    isConfigured: () => Boolean(placeId && secret),
+    gameUrl: () => `https://www.roblox.com/games/${placeId}`,
+    verifySignature(rawBody, timestamp, signature) {
+      const ts = Number(timestamp);
+      if (!ts || Math.abs(Date.now() - ts) > toleranceMs) return false;
+      return safeEqualHex(signature, hmacHex(secret, `${timestamp}.${rawBody}`));
+    }
+  };
+}
+
+/* =====================
+   Registry
+   ===================== */
+// Builds every known provider and returns the configured ones in the requested order.
+function createVerificationProviders(order, options = {}) {
+  const { fetchImpl = fetch, timeout = 2000, log = async () => {}, guildId = '', usersBaseUrl = 'https://users.roblox.com' } = options;
+  const shared = { fetchImpl, log, usersBaseUrl };
+  const all = {
+    eryn: createErynProvider({ ...shared, timeout, baseUrl: options.erynBaseUrl }),
+    bloxlink: createBloxlinkProvider({ ...shared, timeout, guildId, apiKey: options.bloxlinkApiKey, baseUrl: options.bloxlinkBaseUrl }),
+    rover: createRoverProvider({ ...shared, timeout, guildId, apiKey: options.roverApiKey, baseUrl: options.roverBaseUrl }),
+    profile: createProfileKeyProvider(shared),
+    oauth: createRobloxOAuthProvider({ fetchImpl, clientId: options.oauthClientId, clientSecret: options.oauthClientSecret, redirectUri: options.oauthRedirectUri, stateSecret: options.oauthStateSecret || options.oauthClientSecret, baseUrl: options.oauthBaseUrl }),
+    game: createGameJoinProvider({ placeId: options.gamePlaceId, secret: options.gameSecret })
+  };
+  return order
+    .map(id => all[id])
+    .filter(p => p && p.isConfigured());
+}
+
+module.exports = {
+  createVerificationProviders,
+  createErynProvider,
+  createRegistryProvider,
+  createBloxlinkProvider,
+  createRoverProvider,
+  createProfileKeyProvider,
+  createRobloxOAuthProvider,
+  createGameJoinProvider,
+  hmacHex,
+  safeEqualHex
+};
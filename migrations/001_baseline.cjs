@@ -0,0 +1,30 @@
+// Baseline tables created by initDatabase before versioned migrations existed.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS users (
+      discord_id TEXT PRIMARY KEY,
+      roblox_id TEXT,
+      roblox_username TEXT,
+      tokens INTEGER DEFAULT 15,
+      last_token_reset TIMESTAMP DEFAULT now(),
+      flags INTEGER DEFAULT 0,
+      banned_until TIMESTAMP NULL,
+      linked_at TIMESTAMP NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS verifications (
+      discord_id TEXT PRIMARY KEY,
+      roblox_id TEXT,
+      roblox_username TEXT,
+      verification_key TEXT,
+      created_at TIMESTAMP DEFAULT now()
+    );
+
+    CREATE TABLE IF NOT EXISTS logs (
+      id SERIAL PRIMARY KEY,
+      ts TIMESTAMP DEFAULT now(),
+      level TEXT,
+      message TEXT
+    );
+  `
+};
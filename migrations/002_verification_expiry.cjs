@@ -0,0 +1,7 @@
+// Key expiry and the provider that issued a pending verification.
+module.exports = {
+  up: `
+    ALTER TABLE verifications ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP NULL;
+    ALTER TABLE verifications ADD COLUMN IF NOT EXISTS method TEXT DEFAULT 'profile';
+  `
+};
@@ -0,0 +1,23 @@
+// Moderation infractions (automated flags and staff actions).
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS infractions (
+      id SERIAL PRIMARY KEY,
+      discord_id TEXT NOT NULL,
+      guild_id TEXT,
+      channel_id TEXT,
+      message_id TEXT,
+      source TEXT NOT NULL DEFAULT 'automod',
+      action TEXT NOT NULL,
+      duration_ms BIGINT NULL,
+      rule_id TEXT,
+      reason TEXT,
+      content TEXT,
+      moderator_id TEXT NULL,
+      created_at TIMESTAMP DEFAULT now(),
+      pardoned_at TIMESTAMP NULL,
+      pardoned_by TEXT NULL
+    );
+    CREATE INDEX IF NOT EXISTS infractions_discord_id_idx ON infractions(discord_id, created_at);
+  `
+};
@@ -0,0 +1,13 @@
+// Staff actions, recorded with the acting user's ID.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id SERIAL PRIMARY KEY,
+      ts TIMESTAMP DEFAULT now(),
+      actor_id TEXT,
+      action TEXT,
+      target_id TEXT,
+      details JSONB
+    );
+  `
+};
@@ -0,0 +1,32 @@
+// /ai conversation sessions and per-server system prompts.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS ai_sessions (
+      id SERIAL PRIMARY KEY,
+      discord_id TEXT NOT NULL,
+      guild_id TEXT,
+      title TEXT,
+      thread_id TEXT NULL,
+      active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT now(),
+      updated_at TIMESTAMP DEFAULT now()
+    );
+    CREATE INDEX IF NOT EXISTS ai_sessions_owner_idx ON ai_sessions(discord_id, guild_id);
+
+    CREATE TABLE IF NOT EXISTS ai_messages (
+      id SERIAL PRIMARY KEY,
+      session_id INTEGER NOT NULL REFERENCES ai_sessions(id) ON DELETE CASCADE,
+      role TEXT NOT NULL,
+      content TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT now()
+    );
+    CREATE INDEX IF NOT EXISTS ai_messages_session_idx ON ai_messages(session_id, id);
+
+    CREATE TABLE IF NOT EXISTS ai_guild_settings (
+      guild_id TEXT PRIMARY KEY,
+      system_prompt TEXT,
+      updated_by TEXT,
+      updated_at TIMESTAMP DEFAULT now()
+    );
+  `
+};
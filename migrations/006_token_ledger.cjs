@@ -0,0 +1,17 @@
+// Every token debit and credit.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS token_ledger (
+      id SERIAL PRIMARY KEY,
+      discord_id TEXT NOT NULL,
+      guild_id TEXT,
+      delta INTEGER NOT NULL,
+      balance_after INTEGER,
+      kind TEXT NOT NULL,
+      reason TEXT,
+      actor_id TEXT NULL,
+      created_at TIMESTAMP DEFAULT now()
+    );
+    CREATE INDEX IF NOT EXISTS token_ledger_discord_id_idx ON token_ledger(discord_id, created_at);
+  `
+};
@@ -0,0 +1,8 @@
+// Every verification looks up users by roblox_id; game verification looks up pending keys.
+module.exports = {
+  up: `
+    CREATE INDEX IF NOT EXISTS users_roblox_id_idx ON users(roblox_id);
+    CREATE INDEX IF NOT EXISTS verifications_key_idx ON verifications(verification_key);
+    CREATE INDEX IF NOT EXISTS logs_ts_idx ON logs(ts);
+  `
+};
@@ -0,0 +1,13 @@
+// Structured log records: event type, the Discord/Roblox user involved and free-form metadata.
+module.exports = {
+  up: `
+    ALTER TABLE logs ADD COLUMN IF NOT EXISTS event TEXT NULL;
+    ALTER TABLE logs ADD COLUMN IF NOT EXISTS discord_id TEXT NULL;
+    ALTER TABLE logs ADD COLUMN IF NOT EXISTS roblox_id TEXT NULL;
+    ALTER TABLE logs ADD COLUMN IF NOT EXISTS meta JSONB NULL;
+    CREATE INDEX IF NOT EXISTS logs_level_ts_idx ON logs(level, ts);
+    CREATE INDEX IF NOT EXISTS logs_discord_id_idx ON logs(discord_id) WHERE discord_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS logs_roblox_id_idx ON logs(roblox_id) WHERE roblox_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS logs_event_idx ON logs(event) WHERE event IS NOT NULL;
+  `
+};
@@ -0,0 +1,32 @@
+// Per-guild configuration and per-guild member state (tokens, flags, AI ban). users keeps only the Roblox link;
+// its tokens/flags/banned_until columns are copied into guild_members for the GUILD_ID server on first start.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS guild_settings (
+      guild_id TEXT PRIMARY KEY,
+      registration_channel_id TEXT,
+      ai_channel_id TEXT,
+      verified_role_id TEXT,
+      unverified_role_id TEXT,
+      terms_text TEXT,
+      default_quota INTEGER,
+      role_quotas TEXT,
+      updated_by TEXT,
+      updated_at TIMESTAMP DEFAULT now()
+    );
+
+    CREATE TABLE IF NOT EXISTS guild_members (
+      guild_id TEXT NOT NULL,
+      discord_id TEXT NOT NULL,
+      tokens INTEGER,
+      last_token_reset TIMESTAMP NULL,
+      flags INTEGER NOT NULL DEFAULT 0,
+      banned_until TIMESTAMP NULL,
+      PRIMARY KEY (guild_id, discord_id)
+    );
+
+    ALTER TABLE verifications ADD COLUMN IF NOT EXISTS guild_id TEXT;
+    CREATE INDEX IF NOT EXISTS infractions_guild_member_idx ON infractions(guild_id, discord_id, created_at);
+    CREATE INDEX IF NOT EXISTS token_ledger_guild_member_idx ON token_ledger(guild_id, discord_id, created_at);
+  `
+};
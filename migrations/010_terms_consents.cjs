@@ -0,0 +1,33 @@
+// Versioned registration terms per guild, each member's acceptance of them, and per-guild onboarding steps.
+// Custom terms saved on guild_settings become version 1.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS terms_versions (
+      id SERIAL PRIMARY KEY,
+      guild_id TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      title TEXT,
+      body TEXT NOT NULL,
+      requires_reconsent BOOLEAN NOT NULL DEFAULT false,
+      created_by TEXT,
+      created_at TIMESTAMP DEFAULT now(),
+      UNIQUE (guild_id, version)
+    );
+
+    CREATE TABLE IF NOT EXISTS terms_consents (
+      id SERIAL PRIMARY KEY,
+      guild_id TEXT NOT NULL,
+      discord_id TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'register',
+      accepted_at TIMESTAMP DEFAULT now()
+    );
+    CREATE INDEX IF NOT EXISTS terms_consents_member_idx ON terms_consents(guild_id, discord_id, accepted_at);
+
+    ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS onboarding TEXT;
+    INSERT INTO terms_versions(guild_id, version, body, created_by, created_at)
+      SELECT guild_id, 1, terms_text, updated_by, updated_at FROM guild_settings WHERE terms_text IS NOT NULL
+      ON CONFLICT (guild_id, version) DO NOTHING;
+    ALTER TABLE guild_settings DROP COLUMN IF EXISTS terms_text;
+  `
+};
@@ -0,0 +1,8 @@
+// Roblox re-sync state per linked user: roblox_status is 'active', 'banned' or 'deleted' (NULL until first checked).
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS roblox_status TEXT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS roblox_checked_at TIMESTAMP NULL;
+    CREATE INDEX IF NOT EXISTS users_roblox_checked_idx ON users(roblox_checked_at) WHERE roblox_id IS NOT NULL;
+  `
+};
@@ -0,0 +1,15 @@
+// Roblox group rank -> Discord role bindings, managed per guild with /bindings.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS role_bindings (
+      id SERIAL PRIMARY KEY,
+      guild_id TEXT NOT NULL,
+      group_id TEXT NOT NULL,
+      min_rank INTEGER NOT NULL,
+      role_id TEXT NOT NULL,
+      created_by TEXT,
+      created_at TIMESTAMP DEFAULT now(),
+      UNIQUE (guild_id, group_id, min_rank, role_id)
+    );
+  `
+};
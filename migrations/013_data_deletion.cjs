@@ -0,0 +1,11 @@
+// /mydata delete requests waiting out their grace period. identifiers holds the names to scrub from log text.
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS data_deletion_requests (
+      discord_id TEXT PRIMARY KEY,
+      requested_at TIMESTAMP DEFAULT now(),
+      scheduled_for TIMESTAMP NOT NULL,
+      identifiers JSONB
+    );
+  `
+};
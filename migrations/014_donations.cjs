@@ -0,0 +1,26 @@
+// Donations from the payment provider webhooks or entered by staff, and the per-guild donor perks.
+// amount_minor is in the currency's minor unit (cents); external_id is the provider's payment ID (NULL for manual entries).
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS donations (
+      id SERIAL PRIMARY KEY,
+      provider TEXT NOT NULL,
+      external_id TEXT,
+      discord_id TEXT,
+      donor_name TEXT,
+      amount_minor INTEGER NOT NULL,
+      currency TEXT NOT NULL,
+      message TEXT,
+      is_public BOOLEAN NOT NULL DEFAULT true,
+      recorded_by TEXT,
+      created_at TIMESTAMP DEFAULT now(),
+      perks_applied_at TIMESTAMP NULL,
+      UNIQUE (provider, external_id)
+    );
+    CREATE INDEX IF NOT EXISTS donations_discord_idx ON donations(discord_id);
+
+    ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS donor_role_id TEXT;
+    ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS donation_channel_id TEXT;
+    ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS donation_bonus_tokens INTEGER;
+  `
+};
@@ -0,0 +1,11 @@
+// Moderation flags used to quote the flagged message at the end of the log line, where the viewer redaction could
+// not reliably hide it. The text moves into meta.content, which dashboard viewers never see. Rows written before
+// structured logs still carry the "[LEVEL] <ts> - " prefix of the console line.
+module.exports = {
+  up: `
+    UPDATE logs
+       SET meta = COALESCE(meta, '{}'::jsonb) || jsonb_build_object('content', substring(message from '^.*? for banned word usage[^":]*: "(.*)"$')),
+           message = substring(message from '^(.*? for banned word usage[^":]*): ".*$')
+     WHERE message ~ '^(\\[\\w+\\] \\S+ - )?User .* for banned word usage[^":]*: "';
+  `
+};
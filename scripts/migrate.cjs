@@ -0,0 +1,44 @@
+/*
+LineDevs - scripts/migrate.cjs
+Schema migrations from the command line, using the same DATABASE_URL / DATABASE_SSL settings as the bot.
+  node scripts/migrate.cjs status      list applied and pending migrations
+  node scripts/migrate.cjs up          apply pending migrations
+  node scripts/migrate.cjs up --dry-run
+*/
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { migrationStatus, runMigrations } = require('../lib/migrations.cjs');
+
+async function main() {
+  const [command = 'status', ...flags] = process.argv.slice(2);
+  if (!process.env.DATABASE_URL) throw new Error('DATABASE_URL is not set');
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_SSL !== 'false' ? { rejectUnauthorized: false } : false
+  });
+
+  try {
+    if (command === 'status') {
+      const { applied, pending } = await migrationStatus(pool);
+      for (const m of applied) console.log(`  applied  ${m.file}  (${new Date(m.appliedAt).toISOString()})`);
+      for (const m of pending) console.log(`  pending  ${m.file}`);
+      console.log(`${applied.length} applied, ${pending.length} pending.`);
+    } else if (command === 'up') {
+      const dryRun = flags.includes('--dry-run');
+      const log = async (level, ...parts) => console.log(`[${level}]`, ...parts);
+      const migrations = await runMigrations(pool, { dryRun, log });
+      if (dryRun) migrations.forEach(m => console.log(`  would apply  ${m.file}`));
+      console.log(migrations.length ? `${migrations.length} migration(s) ${dryRun ? 'pending' : 'applied'}.` : 'Schema is up to date.');
+    } else {
+      throw new Error(`Unknown command "${command}" (expected status or up)`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(e => {
+  console.error(e.message || e);
+  process.exit(1);
+});
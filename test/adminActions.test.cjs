@@ -0,0 +1,32 @@
+/*
+LineDevs - test/adminActions.test.cjs
+Shared admin actions: a failed write is reported to the caller and not audited as done.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAdminActions } = require('../lib/adminActions.cjs');
+
+function setup(setBannedUntil) {
+  const audited = [];
+  const adminActions = createAdminActions({
+    storage: { members: { setBannedUntil } },
+    audit: async (actorId, action, targetId, meta) => { audited.push({ action, targetId, meta }); },
+    getGuild: () => null
+  });
+  return { adminActions, audited };
+}
+
+test('clearBan clears banned_until and audits the unban', async () => {
+  const cleared = [];
+  const { adminActions, audited } = setup(async (guildId, discordId, until) => { cleared.push([guildId, discordId, until]); });
+  assert.deepEqual(await adminActions.clearBan({ actorId: '1', guildId: 'g', discordId: '2', via: 'dashboard' }), { timeoutLifted: false });
+  assert.deepEqual(cleared, [['g', '2', null]]);
+  assert.deepEqual(audited.map(a => a.action), ['unban']);
+});
+
+test('clearBan fails without an audit entry when banned_until cannot be cleared', async () => {
+  const { adminActions, audited } = setup(async () => { throw new Error('db down'); });
+  await assert.rejects(adminActions.clearBan({ actorId: '1', guildId: 'g', discordId: '2', via: 'dashboard' }), /db down/);
+  assert.deepEqual(audited, []);
+});
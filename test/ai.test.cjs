@@ -0,0 +1,112 @@
+/*
+LineDevs - test/ai.test.cjs
+/ai through the command registry with a stub AI client: the reply is deferred before any check, tokens are spent
+before a session is opened or reset, and failed generations are refunded.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCommandRegistry } = require('../lib/commandRegistry.cjs');
+const { createFileStorage } = require('../lib/storageFile.cjs');
+const { createGuildConfig } = require('../lib/guildConfig.cjs');
+const { createMetrics } = require('../lib/metrics.cjs');
+const { createTokenService } = require('../lib/tokens.cjs');
+const { createFakeInteraction, createFakeGuild, createFakeMember, createFakeUser, addMember } = require('./support/fakeDiscord.cjs');
+
+// reply is the stub's answer; an Error instance makes generate() fail with it.
+function createStubAiClient() {
+  const client = {
+    backend: 'stub',
+    model: 'stub-1',
+    configured: true,
+    reply: 'Hello there',
+    prompts: [],
+    isConfigured: () => client.configured,
+    async generate({ messages, onDelta }) {
+      client.prompts.push(messages);
+      if (client.reply instanceof Error) throw client.reply;
+      onDelta(client.reply);
+      return { text: client.reply, attempts: 1 };
+    }
+  };
+  return client;
+}
+
+async function setup(t, { quota = 5 } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linedevs-test-'));
+  const storage = createFileStorage({ file: path.join(dir, 'data.json') });
+  await storage.init();
+  t.after(async () => {
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const aiClient = createStubAiClient();
+  const tokenService = createTokenService({ storage, defaultQuota: quota });
+  const commands = createCommandRegistry({
+    context: {
+      config: { aiMemoryDefault: false, aiSystemPrompt: '', aiContextTokenBudget: 6000, aiStreamEditIntervalMs: 0, aiMaxReplyMessages: 4, aiAttachmentMaxBytes: 1024, aiTextAttachmentMaxChars: 1000 },
+      storage,
+      guildConfig: createGuildConfig({ storage }),
+      metrics: createMetrics(),
+      tokenService,
+      aiClient,
+      aiSessions: storage.aiSessions,
+      appLog: async () => {},
+      logEvent: async () => {}
+    }
+  });
+
+  const guild = createFakeGuild();
+  const member = addMember(guild, createFakeMember({ user: createFakeUser() }));
+  const balance = async () => (await tokenService.getBalance(member.id, { guildId: guild.id })).tokens;
+  const runAi = async (options) => {
+    const interaction = createFakeInteraction({ commandName: 'ai', options, member });
+    await commands.dispatch(interaction);
+    return interaction;
+  };
+  return { storage, aiClient, guild, member, balance, runAi };
+}
+
+test('/ai defers before checking the backend', async (t) => {
+  const { aiClient, runAi } = await setup(t);
+  aiClient.configured = false;
+  const interaction = await runAi({ prompt: 'hi' });
+  assert.deepEqual(interaction.calls.map(c => c.method), ['deferReply', 'editReply']);
+  assert.match(interaction.lastContent(), /Assistant not configured/);
+});
+
+test('/ai spends a token and keeps the turn in the active session', async (t) => {
+  const { storage, aiClient, guild, member, balance, runAi } = await setup(t);
+  const interaction = await runAi({ prompt: 'hi', memory: true });
+  assert.equal(interaction.calls[0].method, 'deferReply');
+  assert.equal(interaction.lastContent(), 'Assistant:\nHello there');
+  assert.equal(await balance(), 4);
+
+  const session = await storage.aiSessions.getActiveSession(member.id, guild.id);
+  assert.deepEqual((await storage.aiSessions.getMessages(session.id)).map(m => [m.role, m.content]), [['user', 'hi'], ['model', 'Hello there']]);
+  await runAi({ prompt: 'again', memory: true });
+  assert.deepEqual(aiClient.prompts[1].map(m => m.content), ['hi', 'Hello there', 'again']);
+});
+
+test('/ai without tokens leaves the active session alone', async (t) => {
+  const { storage, aiClient, guild, member, runAi } = await setup(t, { quota: 0 });
+  const active = await storage.aiSessions.createSession(member.id, guild.id, 'ongoing');
+  const interaction = await runAi({ prompt: 'hi', thread: true });
+  assert.match(interaction.lastContent(), /costs 1 token\(s\) and you have 0 left/);
+  assert.equal(aiClient.prompts.length, 0);
+  assert.equal((await storage.aiSessions.getActiveSession(member.id, guild.id)).id, active.id);
+});
+
+test('/ai refunds the tokens when generation fails', async (t) => {
+  const { storage, aiClient, guild, member, balance, runAi } = await setup(t);
+  aiClient.reply = Object.assign(new Error('upstream down'), { status: 503 });
+  const interaction = await runAi({ prompt: 'hi', memory: true });
+  assert.match(interaction.lastContent(), /AI request failed \(HTTP 503\)\. Your tokens were refunded/);
+  assert.equal(await balance(), 5);
+  const session = await storage.aiSessions.getActiveSession(member.id, guild.id);
+  assert.deepEqual(await storage.aiSessions.getMessages(session.id), []);
+});
@@ -0,0 +1,62 @@
+/*
+LineDevs - test/logout.test.cjs
+!logout through the command registry: success is only announced once the account was actually unlinked.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PermissionsBitField } = require('discord.js');
+const { createCommandRegistry } = require('../lib/commandRegistry.cjs');
+const { createFakeMessage, createFakeUser, FakeCollection } = require('./support/fakeDiscord.cjs');
+
+// failWith makes both unlink paths reject with that error.
+function setup({ failWith = null } = {}) {
+  const unlinked = [];
+  const unlink = async (discordId) => {
+    if (failWith) throw failWith;
+    unlinked.push(discordId);
+    return 1;
+  };
+  const events = [];
+  const commands = createCommandRegistry({
+    context: {
+      client: { guilds: { cache: new FakeCollection([['guild-1', {}]]) } },
+      adminActions: { releaseAccount: (discordId) => unlink(discordId), forceUnlink: ({ discordId }) => unlink(discordId) },
+      appLog: async () => {},
+      logEvent: async (level, event) => { events.push(event); }
+    }
+  });
+  const send = async (opts) => {
+    const message = createFakeMessage(opts);
+    await commands.dispatchMessage(message);
+    return message;
+  };
+  return { unlinked, events, send };
+}
+
+const admin = [PermissionsBitField.Flags.Administrator];
+
+test('!logout @member announces the unlink', async () => {
+  const { unlinked, events, send } = setup();
+  const target = createFakeUser();
+  const message = await send({ content: `!logout ${target}`, mentions: [target], permissions: admin });
+  assert.deepEqual(unlinked, [target.id]);
+  assert.match(message.channel.sent[0], /has been logged out and unlinked/);
+  assert.deepEqual(events, ['user.logout']);
+});
+
+test('!logout @member reports a failed unlink instead of announcing it', async () => {
+  const { events, send } = setup({ failWith: new Error('db down') });
+  const target = createFakeUser();
+  const message = await send({ content: `!logout ${target}`, mentions: [target], permissions: admin });
+  assert.deepEqual(message.channel.sent, []);
+  assert.match(message.calls[0].payload, /Could not log out/);
+  assert.deepEqual(events, []);
+});
+
+test('!logout reports a failed self logout', async () => {
+  const { events, send } = setup({ failWith: new Error('db down') });
+  const message = await send({ content: '!logout' });
+  assert.match(message.calls[0].payload, /Could not log you out/);
+  assert.deepEqual(events, []);
+});
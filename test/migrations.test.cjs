@@ -0,0 +1,81 @@
+/*
+LineDevs - test/migrations.test.cjs
+Every migration applies to an empty database, a second run is a no-op, and `migrate status` reports them applied.
+Data migrations are checked against rows in the shapes earlier versions wrote.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { Pool } = require('pg');
+const { loadMigrations, migrationStatus, runMigrations } = require('../lib/migrations.cjs');
+const { skip, ssl, createTestSchema } = require('./support/postgres.cjs');
+
+const flaggedContentMigration = require('../migrations/015_flagged_content_meta.cjs');
+
+const MIGRATE_SCRIPT = path.join(__dirname, '..', 'scripts', 'migrate.cjs');
+
+test('migration files are numbered from 001 without gaps', () => {
+  const versions = loadMigrations().map(m => m.version);
+  assert.deepEqual(versions, versions.map((_, i) => i + 1));
+});
+
+test('migrations on an empty database', { skip }, async (t) => {
+  const db = await createTestSchema();
+  const pool = new Pool({ connectionString: db.url, ssl });
+  t.after(async () => {
+    await pool.end();
+    await db.drop();
+  });
+  const all = loadMigrations();
+
+  await t.test('the first run applies every migration in order', async () => {
+    const applied = await runMigrations(pool);
+    assert.deepEqual(applied.map(m => m.file), all.map(m => m.file));
+    const tables = (await pool.query('SELECT table_name FROM information_schema.tables WHERE table_schema = $1', [db.schema])).rows.map(r => r.table_name);
+    for (const table of ['users', 'guild_settings', 'logs', 'infractions', 'ai_sessions', 'donations', 'schema_migrations']) assert.ok(tables.includes(table), `${table} exists`);
+  });
+
+  await t.test('a second run applies nothing', async () => {
+    assert.deepEqual(await runMigrations(pool), []);
+    const { applied, pending } = await migrationStatus(pool);
+    assert.equal(applied.length, all.length);
+    assert.equal(pending.length, 0);
+  });
+
+  await t.test('migrate status reports every migration as applied', async () => {
+    const { stdout } = await promisify(execFile)(process.execPath, [MIGRATE_SCRIPT, 'status'], {
+      env: { ...process.env, DATABASE_URL: db.url, DATABASE_SSL: ssl ? 'true' : 'false' },
+      timeout: 30000
+    });
+    for (const m of all) assert.match(stdout, new RegExp(`applied  ${m.file.replace('.', '\\.')}`));
+    assert.doesNotMatch(stdout, /pending  /);
+    assert.match(stdout, new RegExp(`${all.length} applied, 0 pending\\.`));
+  });
+});
+
+test('015 moves flagged message text out of old log lines', { skip }, async (t) => {
+  const db = await createTestSchema();
+  const pool = new Pool({ connectionString: db.url, ssl });
+  t.after(async () => {
+    await pool.end();
+    await db.drop();
+  });
+  await runMigrations(pool);
+  const lines = [
+    '[WARN] 2025-01-02T03:04:05.000Z - User a#1 flagged (1) for banned word usage: "say "this"\nand that"',
+    'User b flagged (2) for banned word usage in an edited message [fuck]: "fuck"',
+    'Unrelated: "kept"'
+  ];
+  for (const message of lines) await pool.query('INSERT INTO logs (level, message) VALUES ($1, $2)', ['WARN', message]);
+  await pool.query(flaggedContentMigration.up);
+
+  const { rows } = await pool.query('SELECT message, meta FROM logs ORDER BY id');
+  assert.deepEqual(rows.map(r => [r.message, r.meta]), [
+    ['[WARN] 2025-01-02T03:04:05.000Z - User a#1 flagged (1) for banned word usage', { content: 'say "this"\nand that' }],
+    ['User b flagged (2) for banned word usage in an edited message [fuck]', { content: 'fuck' }],
+    ['Unrelated: "kept"', null]
+  ]);
+});
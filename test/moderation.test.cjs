@@ -0,0 +1,63 @@
+/*
+LineDevs - test/moderation.test.cjs
+Default word list matching (inflections, evasion, harmless lookalikes) and the escalation ladder parser.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createModeration, loadModerationConfig, compileRule, normalizedTokens, parseLadder, describeLadder } = require('../lib/moderation.cjs');
+
+const moderation = createModeration({ storage: {}, config: loadModerationConfig({}) });
+const ruleFor = (text) => {
+  const match = moderation.scan(text, null);
+  return match ? match.ruleId : null;
+};
+
+test('default list matches inflected forms', () => {
+  assert.equal(ruleFor('you motherfucking idiot'), 'fuck');
+  assert.equal(ruleFor('fuckin hell'), 'fuck');
+  assert.equal(ruleFor('what a motherfucker'), 'fuck');
+  assert.equal(ruleFor('stop bitching'), 'bitch');
+  assert.equal(ruleFor('total assholes'), 'asshole');
+  assert.equal(ruleFor('you cunts'), 'cunt');
+});
+
+test('default list sees through spacing, leetspeak and repeated letters', () => {
+  assert.equal(ruleFor('f u c k this'), 'fuck');
+  assert.equal(ruleFor('f.u.c.k'), 'fuck');
+  assert.equal(ruleFor('fuuuuuck'), 'fuck');
+  assert.equal(ruleFor('b1tch'), 'bitch');
+  assert.equal(ruleFor('c u n t'), 'cunt');
+});
+
+test('default list leaves harmless words alone', () => {
+  for (const text of ['Greetings from Scunthorpe', 'she sniggered', 'a classic assessment', 'the pitch was fine', 'hello there']) {
+    assert.equal(ruleFor(text), null, text);
+  }
+});
+
+test('exempt channels are not scanned', () => {
+  const exempt = createModeration({ storage: {}, config: { ...loadModerationConfig({}), exemptChannelIds: ['42'] } });
+  assert.equal(exempt.scan('fuck', '42'), null);
+  assert.equal(exempt.scan('fuck', '43').ruleId, 'fuck');
+});
+
+test('rule types', () => {
+  const tokens = (text) => normalizedTokens(text);
+  const word = compileRule({ type: 'word', pattern: 'heck' });
+  assert.equal(word.test('oh hecking no', tokens('oh hecking no')), true);
+  assert.equal(word.test('checkmate', tokens('checkmate')), false);
+  const stem = compileRule({ type: 'stem', pattern: 'heck' });
+  assert.equal(stem.test('checkmate', tokens('checkmate')), true);
+  const regex = compileRule({ type: 'regex', pattern: 'discord\\.gg/\\w+' });
+  assert.equal(regex.test('join discord.gg/abc', []), true);
+  assert.throws(() => compileRule({ type: 'glob', pattern: '*' }), /Unknown moderation rule type/);
+});
+
+test('ladder parsing and description', () => {
+  const ladder = parseLadder('warn,warn,timeout:1h,kick');
+  assert.deepEqual(ladder, [{ action: 'warn' }, { action: 'warn' }, { action: 'timeout', durationMs: 60 * 60 * 1000 }, { action: 'kick' }]);
+  assert.equal(describeLadder(ladder), '2 warnings, a 1-hour timeout, then removal from the server');
+  assert.throws(() => parseLadder('warn,ban'), /Unknown ladder step/);
+  assert.throws(() => parseLadder(''), /ladder is empty/);
+});
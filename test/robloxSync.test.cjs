@@ -0,0 +1,153 @@
+/*
+LineDevs - test/robloxSync.test.cjs
+Roblox re-sync against a stub users API (renamed, banned, deleted, rate limited) and the member side of a check.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRobloxSync, createMemberSync } = require('../lib/robloxSync.cjs');
+const { createFileStorage } = require('../lib/storageFile.cjs');
+const { createFakeGuild, createFakeMember, addMember } = require('./support/fakeDiscord.cjs');
+const { startStub, createLogSink } = require('./support/httpStub.cjs');
+
+// Roblox IDs the stub knows: 1 renamed, 2 banned (hidden when excludeBannedUsers), 3 unchanged; anything else is deleted.
+const ROBLOX_USERS = { 1: { name: 'NewName', banned: false }, 2: { name: 'Banned', banned: true }, 3: { name: 'Same', banned: false } };
+
+function usersRoute(entry) {
+  const { userIds, excludeBannedUsers } = JSON.parse(entry.body);
+  const data = userIds
+    .filter(id => ROBLOX_USERS[id] && !(excludeBannedUsers && ROBLOX_USERS[id].banned))
+    .map(id => ({ id, name: ROBLOX_USERS[id].name, displayName: ROBLOX_USERS[id].name }));
+  return { body: { data } };
+}
+
+async function linkedStorage(t, links) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linedevs-test-'));
+  const storage = createFileStorage({ file: path.join(dir, 'data.json') });
+  await storage.init();
+  for (const [discordId, robloxId, robloxUsername] of links) await storage.users.link({ discordId, robloxId, robloxUsername });
+  t.after(async () => {
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return storage;
+}
+
+const syncFor = (storage, stub, extra = {}) => createRobloxSync({ storage, usersBaseUrl: stub.baseUrl, recheckAfterMs: -60 * 1000, requestIntervalMs: 0, ...extra });
+
+test('re-sync records renames, bans and deletions', async (t) => {
+  const stub = await startStub({ 'POST /v1/users': usersRoute });
+  t.after(() => stub.close());
+  const storage = await linkedStorage(t, [['100', '1', 'OldName'], ['200', '2', 'Banned'], ['300', '3', 'Same'], ['400', '4', 'Gone']]);
+  const checks = [];
+  const sync = syncFor(storage, stub, { onChecked: async (check) => { checks.push(check); } });
+
+  const summary = await sync.run();
+  assert.deepEqual({ ...summary, durationMs: undefined, finishedAt: undefined }, { checked: 4, renamed: 1, banned: 1, deleted: 1, restored: 0, failedBatches: 0, durationMs: undefined, finishedAt: undefined });
+  assert.deepEqual(stub.requests.map(r => JSON.parse(r.body).excludeBannedUsers), [false, true]);
+
+  assert.equal((await storage.users.get('100')).roblox_username, 'NewName');
+  assert.equal((await storage.users.get('200')).roblox_status, 'banned');
+  assert.equal((await storage.users.get('300')).roblox_status, 'active');
+  const deleted = await storage.users.get('400');
+  assert.equal(deleted.roblox_status, 'deleted');
+  assert.equal(deleted.roblox_username, 'Gone');
+
+  const byId = Object.fromEntries(checks.map(c => [c.discordId, c]));
+  assert.deepEqual(byId['100'], { discordId: '100', robloxId: '1', previousUsername: 'OldName', robloxUsername: 'NewName', previousStatus: 'active', status: 'active' });
+  assert.equal(byId['200'].status, 'banned');
+  assert.equal(byId['400'].robloxUsername, 'Gone');
+});
+
+test('a restored account counts as restored', async (t) => {
+  const stub = await startStub({ 'POST /v1/users': usersRoute });
+  t.after(() => stub.close());
+  const storage = await linkedStorage(t, [['300', '3', 'Same']]);
+  await storage.users.recordRobloxCheck('300', { status: 'banned' });
+  const summary = await syncFor(storage, stub).run();
+  assert.equal(summary.restored, 1);
+  assert.equal((await storage.users.get('300')).roblox_status, 'active');
+});
+
+test('re-sync waits out a 429 and retries', async (t) => {
+  let calls = 0;
+  const stub = await startStub({
+    'POST /v1/users': (entry) => (++calls === 1 ? { status: 429, headers: { 'Retry-After': '0' }, body: { errors: [] } } : usersRoute(entry))
+  });
+  t.after(() => stub.close());
+  const storage = await linkedStorage(t, [['100', '1', 'OldName']]);
+  const sink = createLogSink();
+  const summary = await syncFor(storage, stub, { log: sink.log }).run();
+  assert.equal(summary.checked, 1);
+  assert.equal(summary.failedBatches, 0);
+  assert.equal(stub.requests.length, 3);
+  assert.match(sink.lines.join('\n'), /WARN Roblox users API rate limited; retrying in 0s/);
+});
+
+test('re-sync stops the run once retries are used up', async (t) => {
+  const stub = await startStub({ 'POST /v1/users': () => ({ status: 429, headers: { 'Retry-After': '0' }, body: { errors: [] } }) });
+  t.after(() => stub.close());
+  const storage = await linkedStorage(t, [['100', '1', 'OldName'], ['300', '3', 'Same']]);
+  const summary = await syncFor(storage, stub, { batchSize: 1, maxRetries: 1 }).run();
+  assert.equal(summary.checked, 0);
+  assert.equal(summary.failedBatches, 1);
+  assert.equal(stub.requests.length, 2);
+  assert.equal((await storage.users.get('100')).roblox_username, 'OldName');
+});
+
+test('member sync', async (t) => {
+  const settings = { verifiedRoleId: 'verified', unverifiedRoleId: 'unverified' };
+  const guildConfig = { get: async () => settings };
+  const synced = [];
+  const groupBindings = {
+    list: async () => [],
+    syncMember: async (member, robloxId) => { synced.push(robloxId); return { added: [], removed: [] }; }
+  };
+  const memberWith = (opts) => addMember(createFakeGuild(), createFakeMember(opts));
+  const check = (status, extra = {}) => ({ discordId: '100', robloxId: '1', previousUsername: 'OldName', robloxUsername: 'OldName', previousStatus: 'active', status, ...extra });
+
+  await t.test('follows a rename only when the bot set the nickname', async () => {
+    const sync = createMemberSync({ guildConfig, groupBindings });
+    const botNamed = memberWith({ nickname: 'OldName' });
+    const selfNamed = memberWith({ nickname: 'Custom' });
+    await sync.applyToMember(botNamed, check('active', { robloxUsername: 'NewName' }), null);
+    await sync.applyToMember(selfNamed, check('active', { robloxUsername: 'NewName' }), null);
+    assert.equal(botNamed.nickname, 'NewName');
+    assert.equal(selfNamed.nickname, 'Custom');
+  });
+
+  await t.test('keeps the Verified role of banned accounts unless removeVerified is set', async () => {
+    const member = memberWith({ roles: ['verified'] });
+    assert.equal(await createMemberSync({ guildConfig, groupBindings }).applyToMember(member, check('banned'), null), null);
+    assert.ok(member.roles.cache.has('verified'));
+  });
+
+  await t.test('removes Verified and restores Unverified for banned and deleted accounts', async () => {
+    const sync = createMemberSync({ guildConfig, groupBindings, removeVerified: true });
+    for (const status of ['banned', 'deleted']) {
+      const member = memberWith({ roles: ['verified'] });
+      synced.length = 0;
+      assert.deepEqual(await sync.applyToMember(member, check(status), null), { added: [], removed: [] });
+      assert.ok(!member.roles.cache.has('verified'), status);
+      assert.ok(member.roles.cache.has('unverified'), status);
+      assert.deepEqual(synced, [null], 'group-bound roles are cleared');
+    }
+  });
+
+  await t.test('loads group ranks only for guilds with bindings', async () => {
+    let loads = 0;
+    const loadRanks = async () => { loads++; return new Map(); };
+    const member = memberWith({ roles: ['verified'] });
+    assert.equal(await createMemberSync({ guildConfig, groupBindings }).applyToMember(member, check('active'), loadRanks), null);
+    assert.equal(loads, 0);
+    const bound = createMemberSync({ guildConfig, groupBindings: { ...groupBindings, list: async () => [{ id: 1 }] } });
+    synced.length = 0;
+    await bound.applyToMember(member, check('active'), loadRanks);
+    assert.equal(loads, 1);
+    assert.deepEqual(synced, ['1']);
+    assert.ok(member.roles.cache.has('verified'));
+  });
+});
@@ -0,0 +1,40 @@
+/*
+LineDevs - test/storage.test.cjs
+Runs the storage contract against the file store and, when TEST_DATABASE_URL is set, against Postgres.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage.cjs');
+const { storageContract } = require('./support/storageContract.cjs');
+const { skip, ssl, createTestSchema } = require('./support/postgres.cjs');
+
+storageContract('file', {
+  async create() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linedevs-test-'));
+    const storage = createStorage({ dataFile: path.join(dir, 'data.json') });
+    return {
+      ...storage,
+      async close() {
+        await storage.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    };
+  }
+});
+
+storageContract('postgres', {
+  skip,
+  async create() {
+    const db = await createTestSchema();
+    const storage = createStorage({ databaseUrl: db.url, ssl });
+    return {
+      ...storage,
+      async close() {
+        await storage.close();
+        await db.drop();
+      }
+    };
+  }
+});
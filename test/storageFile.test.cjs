@@ -0,0 +1,37 @@
+/*
+LineDevs - test/storageFile.test.cjs
+File backend persistence: overlapping flushes and reloading the saved file.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStorage } = require('../lib/storageFile.cjs');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linedevs-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'data.json');
+}
+
+test('overlapping flushes all succeed and the last change wins', async (t) => {
+  const file = tempFile(t);
+  const storage = createFileStorage({ file });
+  await storage.init();
+  const writes = [];
+  for (let i = 0; i < 20; i++) {
+    await storage.users.link({ discordId: '100000000000000001', robloxId: String(1000 + i), robloxUsername: `Builder${i}` });
+    writes.push(storage.close());
+  }
+  await Promise.all(writes);
+  assert.equal(fs.existsSync(`${file}.tmp`), false);
+
+  const reloaded = createFileStorage({ file });
+  await reloaded.init();
+  const user = await reloaded.users.get('100000000000000001');
+  assert.equal(user.roblox_username, 'Builder19');
+  assert.ok(user.linked_at instanceof Date);
+  await reloaded.close();
+});
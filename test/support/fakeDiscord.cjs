@@ -0,0 +1,260 @@
+/*
+LineDevs - test/support/fakeDiscord.cjs
+Stand-ins for the discord.js objects command modules touch, to run flows through the registry without a gateway
+connection. Every reply-like call is recorded in `calls` as { method, payload }, DMs in user.sent and role changes on
+member.roles.cache. They follow discord.js closely enough for the handlers in commands/ (e.g. editReply before
+deferReply throws), not the full API.
+
+  const { createCommandRegistry } = require('../../lib/commandRegistry.cjs');
+  const commands = createCommandRegistry({ context: { ...ctx, aiClient: stubClient } });
+  const interaction = createFakeInteraction({ commandName: 'ai', options: { prompt: 'hi' } });
+  await commands.dispatch(interaction);
+  interaction.calls  // [{ method: 'deferReply', ... }, { method: 'editReply', ... }]
+*/
+
+const { PermissionsBitField, ChannelType } = require('discord.js');
+
+// discord.js Collections are Maps with a few helpers; handlers use first().
+class FakeCollection extends Map {
+  first() { return this.values().next().value; }
+}
+
+let nextId = 100000000000000000n;
+const snowflake = () => String(nextId++);
+
+function createFakeUser({ id = snowflake(), username = `user${id.slice(-4)}`, globalName = null, bot = false } = {}) {
+  const user = {
+    id,
+    username,
+    globalName,
+    tag: username,
+    bot,
+    sent: [],
+    // Set dmsClosed to make send() fail like a user who blocks DMs.
+    dmsClosed: false,
+    async send(payload) {
+      if (user.dmsClosed) throw new Error('Cannot send messages to this user');
+      user.sent.push(payload);
+      return payload;
+    },
+    toString: () => `<@${id}>`
+  };
+  return user;
+}
+
+function createFakeGuild({ id = snowflake(), name = 'Test Server', members = [] } = {}) {
+  const guild = { id, name, members: null, roles: { cache: new FakeCollection() } };
+  const cache = new FakeCollection();
+  guild.members = {
+    cache,
+    async fetch(discordId) {
+      if (!cache.has(discordId)) throw new Error('Unknown Member');
+      return cache.get(discordId);
+    }
+  };
+  for (const m of members) addMember(guild, m);
+  return guild;
+}
+
+function createFakeMember({ user = createFakeUser(), guild = null, roles = [], permissions = [], nickname = null } = {}) {
+  const roleCache = new FakeCollection(roles.map(roleId => [roleId, { id: roleId }]));
+  const member = {
+    id: user.id,
+    user,
+    guild,
+    nickname,
+    get displayName() { return member.nickname || user.globalName || user.username; },
+    permissions: new PermissionsBitField(permissions),
+    timedOutUntil: null,
+    roles: {
+      cache: roleCache,
+      async add(roleId) { roleCache.set(roleId, { id: roleId }); return member; },
+      async remove(roleId) { roleCache.delete(roleId); return member; }
+    },
+    async setNickname(name) { member.nickname = name; return member; },
+    async timeout(ms) { member.timedOutUntil = ms ? new Date(Date.now() + ms) : null; return member; },
+    async kick() { if (guild) guild.members.cache.delete(member.id); return member; },
+    toString: () => `<@${user.id}>`
+  };
+  return member;
+}
+
+function addMember(guild, member) {
+  member.guild = guild;
+  guild.members.cache.set(member.id, member);
+  return member;
+}
+
+function createFakeChannel({ id = snowflake(), type = ChannelType.GuildText, thread = false } = {}) {
+  const channel = {
+    id,
+    type,
+    sent: [],
+    isThread: () => thread,
+    async send(payload) { channel.sent.push(payload); return payload; },
+    threads: {
+      async create({ name }) {
+        const created = createFakeChannel({ type: ChannelType.PrivateThread, thread: true });
+        created.name = name;
+        created.members = { async add() {} };
+        return created;
+      }
+    },
+    toString: () => `<#${id}>`
+  };
+  return channel;
+}
+
+// Option getters like CommandInteractionOptionResolver: missing required options throw.
+function createOptions(values, subcommand) {
+  const get = (name, required) => {
+    if (values[name] !== undefined && values[name] !== null) return values[name];
+    if (required) throw new Error(`Required option "${name}" not found`);
+    return null;
+  };
+  const users = new FakeCollection(Object.values(values).filter(v => v && v.tag !== undefined).map(u => [u.id, u]));
+  return {
+    getSubcommand(required = true) {
+      if (!subcommand && required) throw new Error('No subcommand specified');
+      return subcommand || null;
+    },
+    getString: get,
+    getInteger: get,
+    getNumber: get,
+    getBoolean: get,
+    getUser: get,
+    getMember: get,
+    getRole: get,
+    getChannel: get,
+    getAttachment: get,
+    resolved: { users }
+  };
+}
+
+// type: 'command' (commandName, subcommand, options), 'button' (customId) or 'modal' (customId, fields).
+// permissions are PermissionsBitField flags held by the member; guild, channel, user and member are created when absent.
+function createFakeInteraction({
+  type = 'command',
+  commandName = null,
+  subcommand = null,
+  options = {},
+  customId = null,
+  fields = {},
+  user = null,
+  member = null,
+  guild = null,
+  channel = null,
+  permissions = []
+} = {}) {
+  const theGuild = guild || (member && member.guild) || createFakeGuild();
+  const theMember = member || addMember(theGuild, createFakeMember({ user: user || createFakeUser(), permissions }));
+  const theChannel = channel || createFakeChannel();
+  const calls = [];
+  const record = (method, payload) => { calls.push({ method, payload }); return payload; };
+  const mustBeAcknowledged = (method) => {
+    if (!interaction.deferred && !interaction.replied) throw new Error(`${method} before the interaction was acknowledged`);
+  };
+  const mustBeFresh = (method) => {
+    if (interaction.deferred || interaction.replied) throw new Error(`${method} after the interaction was already acknowledged`);
+  };
+
+  const interaction = {
+    id: snowflake(),
+    type,
+    commandName,
+    customId,
+    user: theMember.user,
+    member: theMember,
+    memberPermissions: theMember.permissions,
+    guild: theGuild,
+    guildId: theGuild.id,
+    channel: theChannel,
+    channelId: theChannel.id,
+    options: createOptions(options, subcommand),
+    fields: {
+      getTextInputValue(id) {
+        if (fields[id] === undefined) throw new Error(`No text input "${id}"`);
+        return fields[id];
+      }
+    },
+    deferred: false,
+    replied: false,
+    ephemeral: null,
+    calls,
+    isChatInputCommand: () => type === 'command',
+    isButton: () => type === 'button',
+    isModalSubmit: () => type === 'modal',
+    isRepliable: () => true,
+    async reply(payload) {
+      mustBeFresh('reply');
+      interaction.replied = true;
+      return record('reply', payload);
+    },
+    async deferReply(payload = {}) {
+      mustBeFresh('deferReply');
+      interaction.deferred = true;
+      return record('deferReply', payload);
+    },
+    async editReply(payload) {
+      mustBeAcknowledged('editReply');
+      return record('editReply', typeof payload === 'string' ? { content: payload } : payload);
+    },
+    async followUp(payload) {
+      mustBeAcknowledged('followUp');
+      return record('followUp', payload);
+    },
+    async update(payload) {
+      if (type === 'command') throw new Error('update is only available on component interactions');
+      mustBeFresh('update');
+      interaction.replied = true;
+      return record('update', payload);
+    },
+    async showModal(modal) {
+      if (type === 'modal') throw new Error('showModal cannot answer a modal submit');
+      mustBeFresh('showModal');
+      interaction.replied = true;
+      return record('showModal', modal);
+    },
+    // The last thing the member would see: the content of the latest reply, edit, update or follow-up.
+    lastContent() {
+      const last = [...calls].reverse().find(c => c.payload && c.payload.content !== undefined);
+      return last ? last.payload.content : null;
+    }
+  };
+  return interaction;
+}
+
+// A guild message for prefix commands and message handlers. mentions are users.
+function createFakeMessage({ content = '', author = null, member = null, guild = null, channel = null, mentions = [], permissions = [] } = {}) {
+  const theGuild = guild || (member && member.guild) || createFakeGuild();
+  const theMember = member || addMember(theGuild, createFakeMember({ user: author || createFakeUser(), permissions }));
+  const theChannel = channel || createFakeChannel();
+  const calls = [];
+  const message = {
+    id: snowflake(),
+    content,
+    author: theMember.user,
+    member: theMember,
+    guild: theGuild,
+    guildId: theGuild.id,
+    channel: theChannel,
+    channelId: theChannel.id,
+    mentions: { users: new FakeCollection(mentions.map(u => [u.id, u])) },
+    deleted: false,
+    calls,
+    async reply(payload) { calls.push({ method: 'reply', payload }); return payload; },
+    async delete() { message.deleted = true; return message; }
+  };
+  return message;
+}
+
+module.exports = {
+  createFakeUser,
+  createFakeGuild,
+  createFakeMember,
+  createFakeChannel,
+  createFakeInteraction,
+  createFakeMessage,
+  addMember,
+  FakeCollection
+};
@@ -0,0 +1,43 @@
+/*
+LineDevs - test/support/httpStub.cjs
+Local HTTP stub for the outbound API clients. Routes map "METHOD /path" to a handler that returns
+{ status, body, headers }, or to 'hang' to never answer (for timeouts). Every request is recorded.
+*/
+
+const http = require('http');
+
+async function startStub(routes = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://stub');
+      const entry = { method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body: raw };
+      requests.push(entry);
+      const route = routes[`${req.method} ${url.pathname}`] || routes[url.pathname];
+      if (route === 'hang') return;
+      const reply = route ? await route(entry, requests) : { status: 404, body: { error: 'not found' } };
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...(reply.headers || {}) });
+      res.end(reply.body === undefined ? '' : JSON.stringify(reply.body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// Collects log(level, ...parts) calls as 'LEVEL message' strings.
+function createLogSink() {
+  const lines = [];
+  const log = async (level, ...parts) => { lines.push(`${level} ${parts.join(' ')}`); };
+  return { log, lines };
+}
+
+module.exports = { startStub, createLogSink };
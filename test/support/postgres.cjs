@@ -0,0 +1,31 @@
+/*
+LineDevs - test/support/postgres.cjs
+Throwaway Postgres schemas for the tests that need a database. They run only when TEST_DATABASE_URL is set
+(TEST_DATABASE_SSL=true for hosted databases); each schema is created empty and dropped afterwards.
+*/
+
+const crypto = require('crypto');
+const { Pool } = require('pg');
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL || '';
+const ssl = process.env.TEST_DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : false;
+const skip = TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+// Returns { url, schema, drop() }: url points every connection's search_path at the new, empty schema.
+async function createTestSchema() {
+  const schema = `linedevs_test_${crypto.randomBytes(4).toString('hex')}`;
+  const admin = new Pool({ connectionString: TEST_DATABASE_URL, ssl });
+  await admin.query(`CREATE SCHEMA ${schema}`);
+  const url = new URL(TEST_DATABASE_URL);
+  url.searchParams.set('options', `-c search_path=${schema}`);
+  return {
+    url: url.toString(),
+    schema,
+    async drop() {
+      await admin.query(`DROP SCHEMA IF EXISTS ${schema} CASCADE`);
+      await admin.end();
+    }
+  };
+}
+
+module.exports = { TEST_DATABASE_URL, ssl, skip, createTestSchema };
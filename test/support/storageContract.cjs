@@ -0,0 +1,211 @@
+/*
+LineDevs - test/support/storageContract.cjs
+The storage contract (see lib/storage.cjs) as one suite that every backend has to pass. Each check uses its own
+guild and user IDs, so they can share one store.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+let nextSnowflake = 100000000000000000n;
+const snowflake = () => String(nextSnowflake++);
+
+// create() returns an un-initialized store; it is initialized here and closed when the suite ends.
+function storageContract(name, { create, skip = false }) {
+  test(`storage contract: ${name}`, { skip }, async (t) => {
+    const storage = await create();
+    await storage.init();
+    t.after(() => storage.close());
+
+    await t.test('users: link, look up, search, resync and remove', async () => {
+      const discordId = snowflake();
+      const robloxId = String(Date.now());
+      assert.equal(await storage.users.get(discordId), null);
+
+      await storage.users.link({ discordId, robloxId, robloxUsername: 'ContractBuilder' });
+      const user = await storage.users.get(discordId);
+      assert.equal(user.roblox_id, robloxId);
+      assert.equal(user.roblox_username, 'ContractBuilder');
+      assert.equal(user.roblox_status, 'active');
+      assert.ok(user.linked_at instanceof Date);
+      assert.equal((await storage.users.findByRobloxId(robloxId)).discord_id, discordId);
+      assert.ok((await storage.users.search({ query: 'contractbuild' })).some(u => u.discord_id === discordId));
+      assert.deepEqual((await storage.users.search({ query: discordId })).map(u => u.discord_id), [discordId]);
+
+      const due = await storage.users.listForResync({ checkedBefore: new Date(Date.now() + 60 * 1000) });
+      assert.ok(due.some(u => u.discord_id === discordId));
+      await storage.users.recordRobloxCheck(discordId, { status: 'banned', robloxUsername: 'RenamedBuilder' });
+      const checked = await storage.users.get(discordId);
+      assert.equal(checked.roblox_status, 'banned');
+      assert.equal(checked.roblox_username, 'RenamedBuilder');
+      assert.ok(!(await storage.users.listForResync({ checkedBefore: new Date(Date.now() - 60 * 1000) })).some(u => u.discord_id === discordId));
+
+      assert.equal(await storage.users.remove(discordId), true);
+      assert.equal(await storage.users.get(discordId), null);
+      assert.equal(await storage.users.findByRobloxId(robloxId), null);
+      assert.equal(await storage.users.remove(discordId), false);
+    });
+
+    await t.test('members and guild settings', async () => {
+      const guildId = snowflake();
+      const discordId = snowflake();
+      assert.equal(await storage.members.get(guildId, discordId), null);
+      await storage.members.setFlags(guildId, discordId, 2);
+      const until = new Date(Date.now() + 60 * 60 * 1000);
+      await storage.members.setBannedUntil(guildId, discordId, until);
+      const member = await storage.members.get(guildId, discordId);
+      assert.equal(member.flags, 2);
+      assert.equal(member.banned_until.getTime(), until.getTime());
+
+      assert.equal(await storage.guilds.get(guildId), null);
+      assert.equal(await storage.guilds.seed(guildId, { verified_role_id: '1' }), true);
+      assert.equal(await storage.guilds.seed(guildId, { verified_role_id: '2' }), false);
+      const saved = await storage.guilds.save(guildId, { verified_role_id: '3', ai_channel_id: '', default_quota: 20 }, discordId);
+      assert.equal(saved.verified_role_id, '3');
+      assert.equal(saved.ai_channel_id, null);
+      assert.equal(saved.default_quota, 20);
+      assert.equal((await storage.guilds.get(guildId)).updated_by, discordId);
+      assert.ok((await storage.guilds.list()).some(g => g.guild_id === guildId));
+    });
+
+    await t.test('terms: versions, required version and consent', async () => {
+      const guildId = snowflake();
+      const discordId = snowflake();
+      assert.equal(await storage.terms.current(guildId), null);
+      assert.equal(await storage.terms.requiredVersion(guildId), 0);
+
+      assert.equal((await storage.terms.publish({ guildId, body: 'v1' })).version, 1);
+      const v2 = await storage.terms.publish({ guildId, title: 'Rules', body: 'v2', requiresReconsent: true, createdBy: discordId });
+      assert.equal(v2.version, 2);
+      assert.equal(v2.requires_reconsent, true);
+      await storage.terms.publish({ guildId, body: 'v3' });
+      assert.equal((await storage.terms.current(guildId)).body, 'v3');
+      assert.deepEqual((await storage.terms.list(guildId)).map(v => v.version), [3, 2, 1]);
+      assert.equal(await storage.terms.requiredVersion(guildId), 2);
+
+      assert.equal(await storage.terms.latestConsent(guildId, discordId), null);
+      await storage.terms.recordConsent({ guildId, discordId, version: 1 });
+      assert.equal(await storage.terms.countAccepted(guildId, 2), 0);
+      const consent = await storage.terms.recordConsent({ guildId, discordId, version: 3, source: 'reconsent' });
+      assert.equal(consent.source, 'reconsent');
+      const latest = await storage.terms.latestConsent(guildId, discordId);
+      assert.equal(latest.version, 3);
+      assert.ok(latest.accepted_at instanceof Date);
+      assert.equal(await storage.terms.countAccepted(guildId, 2), 1);
+      assert.equal(await storage.terms.latestConsent(snowflake(), discordId), null);
+    });
+
+    await t.test('tokens: per-guild balances and the ledger', async () => {
+      const guildId = snowflake();
+      const discordId = snowflake();
+      const opts = { guildId, quota: 10, since: new Date(Date.now() - 60 * 60 * 1000) };
+      assert.equal(await storage.tokens.balance(discordId, opts), 10);
+
+      assert.deepEqual(await storage.tokens.spend(discordId, 3, { ...opts, reason: 'ai' }), { ok: true, balance: 7 });
+      assert.deepEqual(await storage.tokens.spend(discordId, 8, { ...opts, reason: 'ai' }), { ok: false, balance: 7 });
+      assert.equal(await storage.tokens.adjust(discordId, 5, { ...opts, kind: 'grant', reason: 'donation', actorId: 'staff' }), 12);
+      assert.equal(await storage.tokens.adjust(discordId, -50, { ...opts, kind: 'revoke', reason: 'abuse' }), 0);
+      assert.equal(await storage.tokens.balance(discordId, { ...opts, guildId: snowflake() }), 10);
+
+      const history = await storage.tokens.history(discordId, 10, guildId);
+      assert.deepEqual(history.map(e => [e.kind, e.delta, e.balance_after]), [['revoke', -50, 0], ['grant', 5, 12], ['debit', -3, 7]]);
+      assert.equal(history[1].actor_id, 'staff');
+      assert.ok(history[0].created_at instanceof Date);
+
+      // A reset older than `since` refills to the quota and is recorded.
+      assert.equal(await storage.tokens.balance(discordId, { ...opts, since: new Date(Date.now() + 60 * 1000) }), 10);
+      assert.deepEqual((await storage.tokens.history(discordId, 1, guildId)).map(e => [e.kind, e.delta, e.balance_after]), [['reset', 10, 10]]);
+      assert.equal((await storage.tokens.history(discordId, 10)).length, 4);
+      await assert.rejects(storage.tokens.balance(discordId, { quota: 10, since: new Date() }), /guildId is required/);
+    });
+
+    await t.test('infractions: count, list and pardon per guild', async () => {
+      const guildId = snowflake();
+      const otherGuildId = snowflake();
+      const discordId = snowflake();
+      const base = { discordId, guildId, channelId: '1', messageId: '2', source: 'automod', action: 'warn', durationMs: null, ruleId: 'fuck', reason: 'Matched', content: 'text', moderatorId: null };
+      const first = await storage.infractions.insert(base);
+      await storage.infractions.insert({ ...base, action: 'timeout', durationMs: 3600000 });
+      await storage.infractions.insert({ ...base, guildId: otherGuildId });
+      assert.equal(first.discord_id, discordId);
+      assert.equal(first.content, 'text');
+      assert.ok(first.created_at instanceof Date);
+
+      assert.equal(await storage.infractions.countActive(discordId, guildId, 3600), 2);
+      assert.deepEqual((await storage.infractions.list(discordId, guildId)).map(i => i.action), ['timeout', 'warn']);
+      assert.equal(await storage.infractions.pardon({ discordId, guildId, infractionId: first.id, moderatorId: 'mod' }), 1);
+      assert.equal(await storage.infractions.pardon({ discordId, guildId, infractionId: first.id, moderatorId: 'mod' }), 0);
+      assert.equal(await storage.infractions.countActive(discordId, guildId, 3600), 1);
+      assert.equal(await storage.infractions.pardon({ discordId, guildId, moderatorId: 'mod' }), 1);
+      assert.equal(await storage.infractions.countActive(discordId, guildId, 3600), 0);
+      assert.equal(await storage.infractions.countActive(discordId, otherGuildId, 3600), 1);
+      assert.equal((await storage.infractions.list(discordId, guildId)).find(i => i.id === first.id).pardoned_by, 'mod');
+    });
+
+    await t.test('pending verifications', async () => {
+      const discordId = snowflake();
+      const key = `LD-${discordId}`;
+      await storage.verifications.save(discordId, { guildId: '5', robloxId: 42, robloxName: 'Builder', verificationKey: key, method: 'profile' });
+      const pending = await storage.verifications.get(discordId);
+      assert.deepEqual({ ...pending, ageSeconds: undefined }, { discordId, guildId: '5', robloxId: '42', robloxName: 'Builder', verificationKey: key, method: 'profile', ageSeconds: undefined, expired: false });
+      assert.equal((await storage.verifications.findByKey(key)).discordId, discordId);
+      await storage.verifications.remove(discordId);
+      assert.equal(await storage.verifications.get(discordId), null);
+    });
+
+    await t.test('AI sessions: one active session per user and guild', async () => {
+      const guildId = snowflake();
+      const discordId = snowflake();
+      const first = await storage.aiSessions.createSession(discordId, guildId, 'first');
+      assert.equal((await storage.aiSessions.getActiveSession(discordId, guildId)).id, first.id);
+      await storage.aiSessions.appendMessages(first.id, [{ role: 'user', content: 'hi' }, { role: 'model', content: 'hello' }]);
+      assert.deepEqual((await storage.aiSessions.getMessages(first.id)).map(m => [m.role, m.content]), [['user', 'hi'], ['model', 'hello']]);
+
+      const second = await storage.aiSessions.createSession(discordId, guildId, 'second');
+      assert.equal((await storage.aiSessions.getActiveSession(discordId, guildId)).id, second.id);
+      assert.equal((await storage.aiSessions.getSession(first.id, discordId)).active, false);
+      assert.equal(await storage.aiSessions.getSession(first.id, snowflake()), null);
+      assert.equal(await storage.aiSessions.getActiveSession(discordId, snowflake()), null);
+
+      await storage.aiSessions.setActive(first);
+      assert.equal((await storage.aiSessions.getActiveSession(discordId, guildId)).id, first.id);
+      await storage.aiSessions.setThread(second.id, `thread-${second.id}`);
+      assert.equal((await storage.aiSessions.findSessionByThread(`thread-${second.id}`)).id, second.id);
+      const listed = await storage.aiSessions.listSessions(discordId, guildId);
+      assert.deepEqual(listed.map(s => [s.id, Number(s.message_count)]).sort((a, b) => a[0] - b[0]), [[first.id, 2], [second.id, 0]]);
+      assert.equal(await storage.aiSessions.resetActive(discordId, guildId), 1);
+      assert.equal(await storage.aiSessions.getActiveSession(discordId, guildId), null);
+
+      assert.equal(await storage.aiSessions.getSystemPrompt(guildId), null);
+      await storage.aiSessions.setSystemPrompt(guildId, 'Be brief.', discordId);
+      assert.equal(await storage.aiSessions.getSystemPrompt(guildId), 'Be brief.');
+    });
+
+    await t.test('donations: dedupe, link and perks', async () => {
+      const discordId = snowflake();
+      const externalId = `txn-${discordId}`;
+      const base = { provider: 'kofi', externalId, donorName: 'Fan', amountMinor: 499, currency: 'USD', message: 'thanks', isPublic: true };
+      const row = await storage.donations.record(base);
+      assert.equal(row.external_id, externalId);
+      assert.equal(row.discord_id, null);
+      assert.equal(row.perks_applied_at, null);
+      assert.ok(row.created_at instanceof Date);
+      assert.equal(await storage.donations.record(base), null);
+      const manual = { provider: 'manual', amountMinor: 100, currency: 'PHP', recordedBy: 'staff' };
+      assert.ok(await storage.donations.record(manual));
+      assert.ok(await storage.donations.record(manual));
+
+      assert.ok(!(await storage.donations.list({ perksPending: true, limit: 1000 })).some(d => d.id === row.id));
+      assert.equal((await storage.donations.link(row.id, discordId)).discord_id, discordId);
+      assert.equal(await storage.donations.link(row.id, snowflake()), null);
+      assert.ok((await storage.donations.list({ perksPending: true, limit: 1000 })).some(d => d.id === row.id));
+      await storage.donations.markPerksApplied(row.id);
+      assert.ok((await storage.donations.get(row.id)).perks_applied_at instanceof Date);
+      assert.ok(!(await storage.donations.list({ perksPending: true, limit: 1000 })).some(d => d.id === row.id));
+      assert.deepEqual((await storage.donations.list({ discordId })).map(d => d.id), [row.id]);
+      assert.equal(await storage.donations.get(-1), null);
+    });
+  });
+}
+
+module.exports = { storageContract };
@@ -0,0 +1,98 @@
+/*
+LineDevs - test/update.test.cjs
+/update through the command registry: the Verified role is only given once terms published with re-consent are accepted.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCommandRegistry } = require('../lib/commandRegistry.cjs');
+const { createFileStorage } = require('../lib/storageFile.cjs');
+const { createGuildConfig } = require('../lib/guildConfig.cjs');
+const { createRobloxSync, createMemberSync, INACTIVE_STATUSES } = require('../lib/robloxSync.cjs');
+const { createFakeInteraction, createFakeGuild, createFakeMember, createFakeUser, addMember } = require('./support/fakeDiscord.cjs');
+const { startStub } = require('./support/httpStub.cjs');
+
+async function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linedevs-test-'));
+  const storage = createFileStorage({ file: path.join(dir, 'data.json') });
+  await storage.init();
+  const stub = await startStub({ 'POST /v1/users': (entry) => ({ body: { data: JSON.parse(entry.body).userIds.map(id => ({ id, name: 'Builder' })) } }) });
+  t.after(async () => {
+    await stub.close();
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const guildConfig = createGuildConfig({ storage });
+  const groupBindings = { list: async () => [], syncMember: async () => ({ added: [], removed: [] }) };
+  const commands = createCommandRegistry({
+    context: {
+      config: { robloxUpdateCooldownSeconds: 0 },
+      storage,
+      guildConfig,
+      robloxSync: createRobloxSync({ storage, usersBaseUrl: stub.baseUrl, requestIntervalMs: 0 }),
+      appLog: async () => {},
+      takeCooldown: () => 0,
+      logRobloxCheck: async () => {},
+      ROBLOX_INACTIVE_STATUSES: INACTIVE_STATUSES,
+      applyRobloxCheckToMember: createMemberSync({ guildConfig, groupBindings }).applyToMember,
+      groupRanksLoader: () => async () => new Map()
+    }
+  });
+
+  const guild = createFakeGuild();
+  await guildConfig.update(guild.id, { verifiedRoleId: 'verified', unverifiedRoleId: 'unverified' }, null);
+  const member = addMember(guild, createFakeMember({ user: createFakeUser(), roles: ['unverified'] }));
+  await storage.users.link({ discordId: member.id, robloxId: '42', robloxUsername: 'Builder' });
+  const runUpdate = async () => {
+    const interaction = createFakeInteraction({ commandName: 'update', member });
+    await commands.dispatch(interaction);
+    return interaction.lastContent();
+  };
+  return { storage, stub, guild, member, runUpdate };
+}
+
+test('/update verifies linked members without a consent row while no terms require re-consent', async (t) => {
+  const { storage, guild, member, runUpdate } = await setup(t);
+  assert.equal(await storage.terms.requiredVersion(guild.id), 0);
+  assert.equal(await storage.terms.latestConsent(guild.id, member.id), null);
+  assert.match(await runUpdate(), /Updated as \*\*Builder\*\*/);
+  assert.ok(member.roles.cache.has('verified'));
+  assert.ok(!member.roles.cache.has('unverified'));
+});
+
+test('/update verifies members who accepted the default terms', async (t) => {
+  const { storage, guild, member, runUpdate } = await setup(t);
+  await storage.terms.recordConsent({ guildId: guild.id, discordId: member.id, version: 0 });
+  assert.match(await runUpdate(), /Updated as \*\*Builder\*\*/);
+  assert.ok(member.roles.cache.has('verified'));
+  assert.ok(!member.roles.cache.has('unverified'));
+});
+
+test('/update needs the newest version published with re-consent before granting Verified', async (t) => {
+  const { storage, stub, guild, member, runUpdate } = await setup(t);
+  await storage.terms.publish({ guildId: guild.id, body: 'v1' });
+  await storage.terms.recordConsent({ guildId: guild.id, discordId: member.id, version: 1 });
+  await storage.terms.publish({ guildId: guild.id, body: 'v2', requiresReconsent: true });
+  const reply = await runUpdate();
+  assert.match(reply, /Updated as \*\*Builder\*\*/);
+  assert.match(reply, /not accepted the current terms.*Agree & Register/);
+  assert.ok(stub.requests.length > 0, 'the Roblox account is still re-checked');
+  assert.ok(!member.roles.cache.has('verified'));
+  assert.ok(member.roles.cache.has('unverified'));
+
+  await storage.terms.recordConsent({ guildId: guild.id, discordId: member.id, version: 2, source: 'reconsent' });
+  assert.doesNotMatch(await runUpdate(), /not accepted/);
+  assert.ok(member.roles.cache.has('verified'));
+});
+
+test('/update ignores consent given in another server', async (t) => {
+  const { storage, guild, member, runUpdate } = await setup(t);
+  await storage.terms.publish({ guildId: guild.id, body: 'v1', requiresReconsent: true });
+  await storage.terms.recordConsent({ guildId: createFakeGuild().id, discordId: member.id, version: 1 });
+  assert.match(await runUpdate(), /not accepted the current terms/);
+  assert.ok(!member.roles.cache.has('verified'));
+});
@@ -0,0 +1,153 @@
+/*
+LineDevs - test/verification.test.cjs
+Agree & Register through the command registry: profile key verification against a stub Roblox API, reusing an
+existing link, refusing a Roblox account that belongs to someone else, and answering before the consent write.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCommandRegistry } = require('../lib/commandRegistry.cjs');
+const { createFileStorage } = require('../lib/storageFile.cjs');
+const { createGuildConfig } = require('../lib/guildConfig.cjs');
+const { createMetrics } = require('../lib/metrics.cjs');
+const { createOnboardingTracker } = require('../lib/onboarding.cjs');
+const { createVerificationProviders } = require('../lib/verificationProviders.cjs');
+const { createVerification } = require('../lib/verification.cjs');
+const { createFakeInteraction, createFakeGuild, createFakeMember, createFakeUser, addMember } = require('./support/fakeDiscord.cjs');
+const { startStub } = require('./support/httpStub.cjs');
+
+// The stub Roblox API knows one account, Builder (42), whose About section is `profile.description`.
+async function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linedevs-test-'));
+  const storage = createFileStorage({ file: path.join(dir, 'data.json') });
+  await storage.init();
+  const profile = { description: '' };
+  const stub = await startStub({
+    'POST /v1/usernames/users': (entry) => ({ body: { data: JSON.parse(entry.body).usernames.includes('Builder') ? [{ id: 42, name: 'Builder', requestedUsername: 'Builder' }] : [] } }),
+    'GET /v1/users/42': () => ({ body: { id: 42, name: 'Builder', description: profile.description } })
+  });
+  t.after(async () => {
+    await stub.close();
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const guildConfig = createGuildConfig({ storage });
+  const metrics = createMetrics();
+  // The interaction's responses at the time consent was recorded, per Agree & Register press.
+  const consentAfter = [];
+  const verification = createVerification({
+    storage,
+    guildConfig,
+    groupBindings: { syncMember: async () => ({ added: [], removed: [] }) },
+    providers: createVerificationProviders(['profile'], { usersBaseUrl: stub.baseUrl }),
+    metrics,
+    usernamesBaseUrl: stub.baseUrl,
+    doneCooldownSeconds: 0
+  });
+  const commands = createCommandRegistry({
+    context: {
+      config: { verificationTtlMinutes: 30, verificationDoneCooldownSeconds: 0 },
+      storage,
+      guildConfig,
+      metrics,
+      onboarding: createOnboardingTracker(),
+      appLog: async () => {},
+      logEvent: async () => {},
+      takeCooldown: () => 0,
+      currentTerms: async () => ({ version: 0 }),
+      recordTermsConsent: (interaction, version, source) => {
+        consentAfter.push(interaction.calls.map(c => c.method));
+        return storage.terms.recordConsent({ guildId: interaction.guildId, discordId: interaction.user.id, version, source });
+      },
+      startVerification: verification.startVerification,
+      resolveRobloxUsername: verification.resolveRobloxUsername,
+      getVerificationProvider: verification.getProvider,
+      issueVerificationKey: verification.issueVerificationKey,
+      loadPendingVerification: verification.loadPendingVerification,
+      deletePendingVerification: verification.deletePendingVerification,
+      completeVerification: verification.completeVerification,
+      doneVerificationPresses: verification.donePresses
+    }
+  });
+
+  const guild = createFakeGuild();
+  await guildConfig.update(guild.id, { verifiedRoleId: 'verified', unverifiedRoleId: 'unverified' }, null);
+  const member = addMember(guild, createFakeMember({ user: createFakeUser(), roles: ['unverified'] }));
+  const press = async (customId, fields) => {
+    const interaction = createFakeInteraction({ type: fields ? 'modal' : 'button', customId, fields, member });
+    await commands.dispatch(interaction);
+    return interaction;
+  };
+  return { storage, stub, profile, metrics, verification, consentAfter, guild, member, press };
+}
+
+test('profile key verification links the account and swaps the roles', async (t) => {
+  const { storage, profile, metrics, consentAfter, guild, member, press } = await setup(t);
+
+  const agree = await press('agree_register');
+  assert.deepEqual(agree.calls.map(c => c.method), ['showModal']);
+  assert.deepEqual(consentAfter, [['showModal']], 'consent is recorded after the modal opened');
+  assert.equal(agree.calls[0].payload.data.custom_id, 'modal_register_roblox');
+  const consent = await storage.terms.latestConsent(guild.id, member.id);
+  assert.equal(consent.version, 0);
+
+  assert.match((await press('modal_register_roblox', { roblox_username: 'Nobody' })).lastContent(), /\*\*Nobody\*\* not found/);
+  const issued = await press('modal_register_roblox', { roblox_username: 'Builder' });
+  const pend = await storage.verifications.get(member.id);
+  assert.equal(pend.robloxId, '42');
+  assert.ok(issued.lastContent().includes(pend.verificationKey));
+
+  assert.match((await press('done_verification')).lastContent(), /Key not found on profile/);
+  assert.ok(!member.roles.cache.has('verified'));
+
+  profile.description = `hello ${pend.verificationKey}`;
+  assert.match((await press('done_verification')).lastContent(), /Verified as \*\*Builder\*\*/);
+  assert.ok(member.roles.cache.has('verified'));
+  assert.ok(!member.roles.cache.has('unverified'));
+  assert.equal(member.nickname, 'Builder');
+  assert.equal((await storage.users.get(member.id)).roblox_id, '42');
+  assert.equal(await storage.verifications.get(member.id), null);
+  const funnel = metrics.snapshot().verifications.byMethod.profile;
+  assert.deepEqual([funnel.started, funnel.failed, funnel.completed], [1, 1, 1]);
+});
+
+test('an existing link verifies without asking for a username', async (t) => {
+  const { storage, stub, member, press } = await setup(t);
+  await storage.users.link({ discordId: member.id, robloxId: '42', robloxUsername: 'Builder' });
+  const agree = await press('agree_register');
+  assert.deepEqual(agree.calls.map(c => c.method), ['deferReply', 'editReply']);
+  assert.match(agree.lastContent(), /Verified via linked Roblox account: \*\*Builder\*\*/);
+  assert.ok(member.roles.cache.has('verified'));
+  assert.equal(stub.requests.length, 0);
+});
+
+test('a banned link is not reused', async (t) => {
+  const { storage, member, press } = await setup(t);
+  await storage.users.link({ discordId: member.id, robloxId: '42', robloxUsername: 'Builder' });
+  await storage.users.recordRobloxCheck(member.id, { status: 'banned' });
+  const agree = await press('agree_register');
+  assert.deepEqual(agree.calls.map(c => c.method), ['showModal']);
+  assert.ok(!member.roles.cache.has('verified'));
+});
+
+test('a Roblox account linked to someone else is refused', async (t) => {
+  const { storage, profile, member, press } = await setup(t);
+  await storage.users.link({ discordId: '900000000000000001', robloxId: '42', robloxUsername: 'Builder' });
+  await press('modal_register_roblox', { roblox_username: 'Builder' });
+  profile.description = (await storage.verifications.get(member.id)).verificationKey;
+  assert.match((await press('done_verification')).lastContent(), /already linked to <@900000000000000001>/);
+  assert.ok(!member.roles.cache.has('verified'));
+  assert.equal(await storage.users.get(member.id), null);
+});
+
+test('verification started from a modal submit defers before looking up links', async (t) => {
+  const { verification, member } = await setup(t);
+  const interaction = createFakeInteraction({ type: 'modal', customId: 'onboard_quiz', member });
+  await verification.startVerification(interaction);
+  assert.deepEqual(interaction.calls.map(c => c.method), ['deferReply', 'editReply']);
+  assert.equal(interaction.calls[1].payload.components[0].components[0].data.custom_id, 'verify_method_profile');
+});
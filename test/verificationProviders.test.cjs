@@ -0,0 +1,245 @@
+/*
+LineDevs - test/verificationProviders.test.cjs
+Verification providers against a local HTTP stub: success, not found, rate limited and timeout for every provider
+that calls out, plus the signed state and signature checks of the OAuth and game providers.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createErynProvider,
+  createBloxlinkProvider,
+  createRoverProvider,
+  createProfileKeyProvider,
+  createRobloxOAuthProvider,
+  createGameJoinProvider,
+  createVerificationProviders,
+  hmacHex
+} = require('../lib/verificationProviders.cjs');
+const { startStub, createLogSink } = require('./support/httpStub.cjs');
+
+const DISCORD_ID = '123456789012345678';
+const GUILD_ID = '876543210987654321';
+const TIMEOUT = 200;
+
+const rateLimited = () => ({ status: 429, headers: { 'Retry-After': '30' }, body: { error: 'Too many requests' } });
+
+test('eryn provider', async (t) => {
+  const path = `/api/user/${DISCORD_ID}`;
+
+  await t.test('returns the linked account', async () => {
+    const stub = await startStub({ [path]: () => ({ body: { status: 'ok', robloxId: 42, robloxUsername: 'Builder' } }) });
+    try {
+      const provider = createErynProvider({ baseUrl: stub.baseUrl, timeout: TIMEOUT });
+      assert.deepEqual(await provider.lookup(DISCORD_ID), { robloxId: '42', robloxUsername: 'Builder' });
+    } finally { await stub.close(); }
+  });
+
+  await t.test('returns null when the user is not linked', async () => {
+    const stub = await startStub({ [path]: () => ({ status: 404, body: { status: 'error', error: 'User not found.' } }) });
+    try {
+      const provider = createErynProvider({ baseUrl: stub.baseUrl, timeout: TIMEOUT });
+      assert.equal(await provider.lookup(DISCORD_ID), null);
+    } finally { await stub.close(); }
+  });
+
+  await t.test('returns null and warns when rate limited', async () => {
+    const stub = await startStub({ [path]: rateLimited });
+    const sink = createLogSink();
+    try {
+      const provider = createErynProvider({ baseUrl: stub.baseUrl, timeout: TIMEOUT, log: sink.log });
+      assert.equal(await provider.lookup(DISCORD_ID), null);
+      assert.match(sink.lines.join('\n'), /WARN eryn provider rate limited/);
+    } finally { await stub.close(); }
+  });
+
+  await t.test('returns null and warns on timeout', async () => {
+    const stub = await startStub({ [path]: 'hang' });
+    const sink = createLogSink();
+    try {
+      const provider = createErynProvider({ baseUrl: stub.baseUrl, timeout: TIMEOUT, log: sink.log });
+      assert.equal(await provider.lookup(DISCORD_ID), null);
+      assert.match(sink.lines.join('\n'), /WARN eryn provider lookup error.*timeout/);
+    } finally { await stub.close(); }
+  });
+});
+
+const registries = [
+  {
+    id: 'bloxlink',
+    create: createBloxlinkProvider,
+    path: `/v4/public/guilds/${GUILD_ID}/discord-to-roblox/${DISCORD_ID}`,
+    found: { robloxID: '42', resolved: { roblox: { name: 'Builder' } } },
+    idOnly: { robloxID: '42' },
+    authorization: 'key-1'
+  },
+  {
+    id: 'rover',
+    create: createRoverProvider,
+    path: `/api/guilds/${GUILD_ID}/discord-to-roblox/${DISCORD_ID}`,
+    found: { robloxId: 42, cachedUsername: 'Builder' },
+    idOnly: { robloxId: 42 },
+    authorization: 'Bearer key-1'
+  }
+];
+
+for (const registry of registries) {
+  test(`${registry.id} provider`, async (t) => {
+    const build = (stub, extra = {}) => registry.create({ baseUrl: stub.baseUrl, usersBaseUrl: stub.baseUrl, apiKey: 'key-1', timeout: TIMEOUT, ...extra });
+
+    await t.test('is only configured with an API key', () => {
+      assert.equal(registry.create({}).isConfigured(), false);
+      assert.equal(registry.create({ apiKey: 'key-1' }).isConfigured(), true);
+    });
+
+    await t.test('returns the linked account for the interaction guild', async () => {
+      const stub = await startStub({ [registry.path]: () => ({ body: registry.found }) });
+      try {
+        const result = await build(stub).lookup(DISCORD_ID, { guildId: GUILD_ID });
+        assert.deepEqual(result, { robloxId: '42', robloxUsername: 'Builder' });
+        assert.equal(stub.requests[0].headers.authorization, registry.authorization);
+      } finally { await stub.close(); }
+    });
+
+    await t.test('resolves the username through the users API when the registry has none', async () => {
+      const stub = await startStub({
+        [registry.path]: () => ({ body: registry.idOnly }),
+        '/v1/users/42': () => ({ body: { id: 42, name: 'Builder' } })
+      });
+      try {
+        assert.deepEqual(await build(stub).lookup(DISCORD_ID, { guildId: GUILD_ID }), { robloxId: '42', robloxUsername: 'Builder' });
+      } finally { await stub.close(); }
+    });
+
+    await t.test('falls back to the configured guild and skips the lookup without one', async () => {
+      const stub = await startStub({ [registry.path]: () => ({ body: registry.found }) });
+      try {
+        assert.equal(await build(stub).lookup(DISCORD_ID), null);
+        assert.equal(stub.requests.length, 0);
+        assert.equal((await build(stub, { guildId: GUILD_ID }).lookup(DISCORD_ID)).robloxId, '42');
+      } finally { await stub.close(); }
+    });
+
+    await t.test('returns null when the user is not linked', async () => {
+      const stub = await startStub({ [registry.path]: () => ({ status: 404, body: { error: 'User not found' } }) });
+      try {
+        assert.equal(await build(stub).lookup(DISCORD_ID, { guildId: GUILD_ID }), null);
+      } finally { await stub.close(); }
+    });
+
+    await t.test('returns null and warns when rate limited', async () => {
+      const stub = await startStub({ [registry.path]: rateLimited });
+      const sink = createLogSink();
+      try {
+        assert.equal(await build(stub, { log: sink.log }).lookup(DISCORD_ID, { guildId: GUILD_ID }), null);
+        assert.match(sink.lines.join('\n'), new RegExp(`WARN ${registry.id} provider rate limited`));
+      } finally { await stub.close(); }
+    });
+
+    await t.test('returns null and warns on timeout', async () => {
+      const stub = await startStub({ [registry.path]: 'hang' });
+      const sink = createLogSink();
+      try {
+        assert.equal(await build(stub, { log: sink.log }).lookup(DISCORD_ID, { guildId: GUILD_ID }), null);
+        assert.match(sink.lines.join('\n'), new RegExp(`WARN ${registry.id} provider lookup error.*timeout`));
+      } finally { await stub.close(); }
+    });
+  });
+}
+
+test('profile key provider', async (t) => {
+  const build = (stub, log) => createProfileKeyProvider({ usersBaseUrl: stub.baseUrl, timeout: TIMEOUT, log });
+
+  await t.test('accepts a profile holding the key and rejects one without it', async () => {
+    const stub = await startStub({ '/v1/users/42': () => ({ body: { id: 42, description: 'hello LD-KEY-1 there' } }) });
+    try {
+      assert.equal(await build(stub).checkKey('42', 'LD-KEY-1'), true);
+      assert.equal(await build(stub).checkKey('42', 'LD-KEY-2'), false);
+    } finally { await stub.close(); }
+  });
+
+  await t.test('rejects an unknown Roblox user', async () => {
+    const stub = await startStub({});
+    const sink = createLogSink();
+    try {
+      assert.equal(await build(stub, sink.log).checkKey('42', 'LD-KEY-1'), false);
+      assert.match(sink.lines.join('\n'), /HTTP Status: 404/);
+    } finally { await stub.close(); }
+  });
+
+  await t.test('rejects when rate limited', async () => {
+    const stub = await startStub({ '/v1/users/42': rateLimited });
+    const sink = createLogSink();
+    try {
+      assert.equal(await build(stub, sink.log).checkKey('42', 'LD-KEY-1'), false);
+      assert.match(sink.lines.join('\n'), /HTTP Status: 429/);
+    } finally { await stub.close(); }
+  });
+
+  await t.test('rejects on timeout', async () => {
+    const stub = await startStub({ '/v1/users/42': 'hang' });
+    const sink = createLogSink();
+    try {
+      assert.equal(await build(stub, sink.log).checkKey('42', 'LD-KEY-1'), false);
+      assert.match(sink.lines.join('\n'), /WARN Verification profile fetch error.*timeout/);
+    } finally { await stub.close(); }
+  });
+});
+
+test('Roblox OAuth provider', async (t) => {
+  const build = (stub) => createRobloxOAuthProvider({ clientId: 'client', clientSecret: 'secret', redirectUri: 'https://bot.example/oauth', baseUrl: stub ? stub.baseUrl : 'https://apis.roblox.com/oauth', timeout: TIMEOUT });
+
+  await t.test('round-trips the signed state and rejects a tampered one', () => {
+    const provider = build();
+    const url = new URL(provider.buildAuthorizeUrl(DISCORD_ID, GUILD_ID));
+    const state = url.searchParams.get('state');
+    assert.deepEqual(provider.verifyState(state), { discordId: DISCORD_ID, guildId: GUILD_ID });
+    assert.equal(provider.verifyState(state.replace(DISCORD_ID, '111111111111111111')), null);
+  });
+
+  await t.test('exchanges the code for the Roblox account', async () => {
+    const stub = await startStub({
+      'POST /v1/token': (req) => (new URLSearchParams(req.body).get('code') === 'abc' ? { body: { access_token: 'tok' } } : { status: 400, body: {} }),
+      'GET /v1/userinfo': (req) => (req.headers.authorization === 'Bearer tok' ? { body: { sub: '42', preferred_username: 'Builder' } } : { status: 401, body: {} })
+    });
+    try {
+      assert.deepEqual(await build(stub).exchangeCode('abc'), { robloxId: '42', robloxUsername: 'Builder' });
+    } finally { await stub.close(); }
+  });
+
+  await t.test('fails when the code is unknown', async () => {
+    const stub = await startStub({ 'POST /v1/token': () => ({ status: 400, body: { error: 'invalid_grant' } }) });
+    try {
+      await assert.rejects(build(stub).exchangeCode('abc'), /token exchange failed \(HTTP 400\)/);
+    } finally { await stub.close(); }
+  });
+
+  await t.test('fails when rate limited', async () => {
+    const stub = await startStub({ 'POST /v1/token': rateLimited });
+    try {
+      await assert.rejects(build(stub).exchangeCode('abc'), /token exchange failed \(HTTP 429\)/);
+    } finally { await stub.close(); }
+  });
+
+  await t.test('fails on timeout', async () => {
+    const stub = await startStub({ 'POST /v1/token': 'hang' });
+    try {
+      await assert.rejects(build(stub).exchangeCode('abc'), /timeout/);
+    } finally { await stub.close(); }
+  });
+});
+
+test('game join provider checks the signature and its age', () => {
+  const provider = createGameJoinProvider({ placeId: '1', secret: 'shh' });
+  const body = JSON.stringify({ key: 'LD-KEY-1', robloxId: '42', robloxUsername: 'Builder' });
+  const now = String(Date.now());
+  assert.equal(provider.verifySignature(body, now, hmacHex('shh', `${now}.${body}`)), true);
+  assert.equal(provider.verifySignature(body, now, hmacHex('other', `${now}.${body}`)), false);
+  const old = String(Date.now() - 10 * 60 * 1000);
+  assert.equal(provider.verifySignature(body, old, hmacHex('shh', `${old}.${body}`)), false);
+});
+
+test('registry keeps the requested order and drops unconfigured providers', () => {
+  const providers = createVerificationProviders(['rover', 'profile', 'eryn', 'oauth', 'bloxlink'], { bloxlinkApiKey: 'key-1' });
+  assert.deepEqual(providers.map(p => p.id), ['profile', 'eryn', 'bloxlink']);
+});